@@ -1,16 +1,118 @@
 #!/usr/bin/env node
 
+import { appendFileSync, writeFileSync } from "fs";
 import { Octokit } from "@octokit/rest";
 import { input, confirm } from "@inquirer/prompts";
 import { getToken } from "./lib/auth.js";
 import { showHelp } from "./lib/help.js";
+import { createGraphQLSource } from "./lib/graphql.js";
+import { withRetries, formatRateLimit } from "./lib/request.js";
+import { openCheckpoint } from "./lib/checkpoint.js";
+import { cascadeClose } from "./lib/cascade.js";
+import { reconcileRecursively } from "./lib/reconcile.js";
+import { buildRunReport, renderMarkdownReport } from "./lib/output.js";
+import { createEventStream } from "./lib/events.js";
+import { overlayDecisions, renderDot, renderMermaid } from "./lib/graph.js";
+import { collectStatusTree, computeRollups, renderStatus } from "./lib/status.js";
+import { findBlockers, renderExplanation } from "./lib/explain.js";
+import { applyPlan, readPlan, writePlan } from "./lib/plan.js";
+import { defaultUndoFile, openUndoLog, readUndoLog, rollback } from "./lib/undo.js";
+import { approveCloses } from "./lib/approve.js";
+import { DEFAULT_COMMENT_TEMPLATE, loadCommentTemplate } from "./lib/template.js";
 import {
+  createCloseBudget,
+  parseDepthRange,
   parseIssueInput,
   parseArgs,
   processIssueRecursively,
+  readIssueList,
   validateNonInteractiveMode,
+  validateOptions,
 } from "./lib/core.js";
 
+/**
+ * Counts the issues a dry-run decided to close, and the repositories they are in
+ * @param {Object[]} refs - References (owner/repo#123) of the issues that would be closed
+ * @returns {Object} `closes` and `repos` counts
+ */
+function countCloses(refs) {
+  const repos = new Set(refs.map((ref) => ref.slice(0, ref.lastIndexOf("#")).toLowerCase()));
+  return { closes: refs.length, repos: repos.size };
+}
+
+/**
+ * Adds up the counts returned by the walks of several roots
+ * @param {Object[]} results - Counts returned by each walk, such as { processed, closed }
+ * @returns {Object} Combined counts
+ */
+function sumTotals(results) {
+  const totals = {};
+  for (const result of results) {
+    for (const [key, count] of Object.entries(result)) {
+      totals[key] = (totals[key] || 0) + count;
+    }
+  }
+  return totals;
+}
+
+/**
+ * Decides between dry-run and live mode, asking when neither was given
+ * @param {Object} cliArgs - Parsed CLI arguments
+ * @param {Function} info - Output function for human-oriented lines
+ * @param {Function} preflight - Resolves to the `closes` and `repos` a live run would make,
+ *   shown before asking for confirmation
+ * @returns {Promise<boolean>} True for a dry-run
+ */
+async function chooseDryRun(cliArgs, info, preflight = null) {
+  let dryRun = cliArgs.dryRun;
+
+  if (dryRun === null) {
+    if (cliArgs.nonInteractive) {
+      dryRun = true; // Default to dry-run in non-interactive mode
+    } else {
+      dryRun = await confirm({
+        message: "Do you want to run in dry-run mode (preview without closing)?",
+        default: true,
+      });
+    }
+  }
+
+  if (dryRun) {
+    info("\n🔍 Running in DRY-RUN mode (no issues will be closed)\n");
+  } else {
+    info("\n⚠️  LIVE MODE - Issues will be closed!\n");
+
+    if (!cliArgs.nonInteractive) {
+      if (preflight) {
+        info("🔍 Checking what would be closed...");
+        const { closes, repos } = await preflight();
+        info(`📊 This will close ${closes} issue(s) across ${repos} repo(s)`);
+        if (cliArgs.maxClose !== null && closes > cliArgs.maxClose) {
+          info(
+            `   --max-close ${cliArgs.maxClose} stops after the first ${cliArgs.maxClose}, the rest will only be reported`
+          );
+        }
+        info("");
+      }
+
+      // With --confirm-each, every close is approved on its own instead
+      const confirmAction =
+        cliArgs.confirmEach ||
+        (await confirm({
+          message: "Are you sure you want to proceed?",
+          default: false,
+        }));
+
+      if (!confirmAction) {
+        info("Operation cancelled.");
+        process.exit(0);
+      }
+    }
+  }
+
+  return dryRun;
+}
+
 /**
  * Main function
  */
@@ -25,8 +127,17 @@ async function main() {
   }
 
   const cliArgs = parseArgs(args);
+  const json = cliArgs.output === "json";
+  const emit = cliArgs.events === "ndjson" ? createEventStream() : null;
+  const graph = cliArgs.command === "graph";
 
-  console.log("🔧 GitHub Sub-Issue Closer\n");
+  // With --output json, --events or graph, stdout is reserved for machine-readable output
+  const reserved = json || emit || graph;
+  const info = reserved
+    ? (...lines) => console.error(...lines)
+    : (...lines) => console.log(...lines);
+
+  info("🔧 GitHub Sub-Issue Closer\n");
 
   // Validate non-interactive mode
   if (cliArgs.nonInteractive) {
@@ -45,113 +156,531 @@ async function main() {
     }
   }
 
+  const problems = validateOptions(cliArgs);
+
+  if (problems.length > 0) {
+    problems.forEach((problem) => console.error(`✗ ${problem}`));
+    process.exit(1);
+  }
+
+  // Live runs journal their changes so they can be rolled back
+  let undo = null;
+  const openUndo = (dryRun, root) => {
+    undo = dryRun
+      ? null
+      : openUndoLog(cliArgs.undoLog || defaultUndoFile(), { command: cliArgs.command, root });
+    return undo;
+  };
+  const reportUndo = () => {
+    if (undo?.count() > 0) {
+      info(`\n↩️  Undo journal: ${undo.file}`);
+      info(`   Reverse this run with: node index.js rollback ${undo.file} --live`);
+    }
+  };
+
+  // Shared by everything that closes issues in this run
+  const closeBudget = cliArgs.maxClose === null ? null : createCloseBudget(cliArgs.maxClose);
+
   try {
     // Get authentication token
-    const token = cliArgs.token || (await getToken());
-    const octokit = new Octokit({ auth: token });
+    const token = cliArgs.token || (await getToken(info));
+    const octokit = withRetries(new Octokit({ auth: token }));
 
     // Verify authentication
     try {
       const { data: user } = await octokit.rest.users.getAuthenticated();
-      console.log(`✓ Authenticated as: ${user.login}\n`);
+      info(`✓ Authenticated as: ${user.login}\n`);
+      if (cliArgs.verbose && formatRateLimit(octokit.rateLimit)) {
+        info(`   API quota remaining: ${formatRateLimit(octokit.rateLimit)}\n`);
+      }
     } catch (error) {
       console.error("✗ Authentication failed. Please check your token.");
       process.exit(1);
     }
 
-    // Get parent issue
-    let issueInput = cliArgs.issue;
+    // apply works from the issues recorded in the plan instead of walking a tree
+    if (cliArgs.command === "apply") {
+      const plan = readPlan(cliArgs.planFile);
+      info(
+        `📋 Plan: ${cliArgs.planFile} (${plan.actions.length} close(s) planned from ${plan.root} at ${plan.created_at})`
+      );
 
-    if (!issueInput) {
-      if (cliArgs.nonInteractive) {
-        console.error("✗ Issue is required in non-interactive mode. Use -i/--issue");
+      const dryRun = await chooseDryRun(cliArgs, info, async () =>
+        countCloses(plan.actions.map((action) => action.ref))
+      );
+      const result = await applyPlan(octokit, plan, {
+        dryRun,
+        undo: openUndo(dryRun, plan.root),
+        closeBudget,
+        confirmChanged:
+          cliArgs.nonInteractive || dryRun
+            ? null
+            : (action, changes) =>
+                confirm({
+                  message: `${action.ref} changed since the plan was made (${changes.join("; ")}). Close it anyway?`,
+                  default: false,
+                }),
+      });
+
+      info("\n✨ Complete!");
+      info(`   Issues planned: ${result.planned}`);
+      info(`   Issues ${dryRun ? "that would be closed" : "closed"}: ${result.closed}`);
+      if (result.refused.length > 0) {
+        info(`   Issues refused: ${result.refused.length}`);
+        result.refused.forEach(({ ref, reason }) => info(`     - ${ref}: ${reason}`));
+      }
+      if (result.errors.length > 0) {
+        info(`   Issues that could not be processed: ${result.errors.length}`);
+        result.errors.forEach(({ ref, message }) => info(`     - ${ref}: ${message}`));
+      }
+      reportUndo();
+      if (result.errors.length > 0) {
         process.exit(1);
       }
-      issueInput = await input({
-        message: "Enter the parent issue (format: owner/repo#123 or full URL):",
-        validate: (value) => {
-          if (!parseIssueInput(value)) {
-            return "Invalid format. Use owner/repo#123 or https://github.com/owner/repo/issues/123";
-          }
-          return true;
-        },
+      return;
+    }
+
+    // rollback reverses the changes recorded by an earlier live run
+    if (cliArgs.command === "rollback") {
+      const entries = readUndoLog(cliArgs.journal);
+      info(`↩️  Journal: ${cliArgs.journal} (${entries.length} change(s) recorded)`);
+
+      const dryRun = await chooseDryRun(cliArgs, info);
+      const result = await rollback(octokit, entries, {
+        dryRun,
+        editComments: cliArgs.editComments,
       });
+
+      info("\n✨ Complete!");
+      info(`   Issues ${dryRun ? "that would be reopened" : "reopened"}: ${result.reopened}`);
+      if (result.reclosed > 0) {
+        info(
+          `   Issues ${dryRun ? "that would be closed again" : "closed again"}: ${result.reclosed}`
+        );
+      }
+      if (result.restored > 0) {
+        info(
+          `   Follow-up issues ${dryRun ? "that would be undone" : "undone"}: ${result.restored}`
+        );
+      }
+      if (result.errors.length > 0) {
+        info(`   Changes that could not be rolled back: ${result.errors.length}`);
+        result.errors.forEach(({ ref, message }) => info(`     - ${ref}: ${message}`));
+        process.exit(1);
+      }
+      return;
     }
 
-    const issueInfo = parseIssueInput(issueInput);
+    // Get the parent issues, from -i, the positional arguments and --issues-file
+    const issueInputs = [...cliArgs.issues];
+
+    if (cliArgs.issuesFile) {
+      issueInputs.push(...readIssueList(cliArgs.issuesFile));
+      if (issueInputs.length === 0) {
+        console.error(
+          `✗ No issues found in ${cliArgs.issuesFile === "-" ? "stdin" : cliArgs.issuesFile}`
+        );
+        process.exit(1);
+      }
+    }
 
-    if (!issueInfo) {
-      console.error(
-        "✗ Invalid issue format. Use owner/repo#123 or https://github.com/owner/repo/issues/123"
+    if (issueInputs.length === 0) {
+      if (cliArgs.nonInteractive) {
+        console.error("✗ Issue is required in non-interactive mode. Use -i/--issue");
+        process.exit(1);
+      }
+      issueInputs.push(
+        await input({
+          message: "Enter the parent issue (format: owner/repo#123 or full URL):",
+          validate: (value) => {
+            if (!parseIssueInput(value)) {
+              return "Invalid format. Use owner/repo#123 or https://github.com/owner/repo/issues/123";
+            }
+            return true;
+          },
+        })
       );
-      process.exit(1);
     }
 
-    console.log(`\n📍 Target: ${issueInfo.owner}/${issueInfo.repo}#${issueInfo.issue_number}\n`);
+    // Each root is processed once, however often it was given
+    const roots = [];
 
-    // Dry run option
-    let dryRun = cliArgs.dryRun;
+    for (const issueInput of issueInputs) {
+      const parsed = parseIssueInput(issueInput);
 
-    if (dryRun === null) {
-      if (cliArgs.nonInteractive) {
-        dryRun = true; // Default to dry-run in non-interactive mode
-      } else {
-        dryRun = await confirm({
-          message: "Do you want to run in dry-run mode (preview without closing)?",
-          default: true,
-        });
+      if (!parsed) {
+        console.error(
+          `✗ Invalid issue format: ${issueInput}. Use owner/repo#123 or https://github.com/owner/repo/issues/123`
+        );
+        process.exit(1);
+      }
+
+      const ref = `${parsed.owner}/${parsed.repo}#${parsed.issue_number}`;
+      if (!roots.some((root) => root.ref.toLowerCase() === ref.toLowerCase())) {
+        roots.push({ ...parsed, ref });
       }
     }
 
-    if (dryRun) {
-      console.log("\n🔍 Running in DRY-RUN mode (no issues will be closed)\n");
+    // Commands other than close, cascade and reconcile take a single issue
+    const [issueInfo] = roots;
+
+    if (roots.length === 1) {
+      info(`\n📍 Target: ${issueInfo.ref}\n`);
     } else {
-      console.log("\n⚠️  LIVE MODE - Issues will be closed!\n");
+      info(`\n📍 Targets: ${roots.map((root) => root.ref).join(", ")}\n`);
+    }
 
-      if (!cliArgs.nonInteractive) {
-        const confirmAction = await confirm({
-          message: "Are you sure you want to proceed?",
-          default: false,
-        });
+    // Pick the backend used to read the issue tree
+    const source =
+      cliArgs.api === "graphql"
+        ? createGraphQLSource(octokit, { pageSize: cliArgs.pageSize })
+        : undefined;
+
+    // The status view only reads, so there is no dry-run or live mode to choose
+    if (cliArgs.command === "status") {
+      const errors = [];
+      const tree = await collectStatusTree(
+        octokit,
+        issueInfo.owner,
+        issueInfo.repo,
+        issueInfo.issue_number,
+        0,
+        {
+          pageSize: cliArgs.pageSize,
+          concurrency: cliArgs.concurrency,
+          source,
+          errors,
+          maxDepth: cliArgs.maxDepth,
+        }
+      );
+      computeRollups(tree);
+      renderStatus(tree, { sort: cliArgs.sort, collapseClosed: cliArgs.collapseClosed }).forEach(
+        (line) => info(line)
+      );
+
+      if (tree.rollup.total > 0) {
+        info(
+          `\n✨ ${tree.rollup.completed}/${tree.rollup.total} sub-issues complete across all levels (${tree.rollup.percent}%)`
+        );
+      }
+      if (errors.length > 0) {
+        info(`   Sub-trees that could not be read: ${errors.length}`);
+        errors.forEach(({ ref, message }) => info(`     - ${ref}: ${message}`));
+      }
+      return;
+    }
+
+    // Explaining only needs the open branches of the tree
+    if (cliArgs.command === "explain") {
+      const tree = await collectStatusTree(
+        octokit,
+        issueInfo.owner,
+        issueInfo.repo,
+        issueInfo.issue_number,
+        0,
+        {
+          pageSize: cliArgs.pageSize,
+          concurrency: cliArgs.concurrency,
+          source,
+          maxDepth: cliArgs.maxDepth,
+          walkClosed: false,
+        }
+      );
+      renderExplanation(tree, findBlockers(tree)).forEach((line) => info(line));
+      return;
+    }
+
+    // Process the issue tree, upwards or (in cascade mode) downwards
+    const walk = {
+      close: processIssueRecursively,
+      cascade: cascadeClose,
+      reconcile: reconcileRecursively,
+      plan: processIssueRecursively,
+    }[cliArgs.command];
+    const walkOptions = {
+      pageSize: cliArgs.pageSize,
+      concurrency: cliArgs.concurrency,
+      source,
+      closeReason: cliArgs.closeReason ?? "completed",
+      // Cascade closes with the root's state reason unless --close-reason overrides it
+      stateReason: cliArgs.command === "cascade" ? cliArgs.closeReason : null,
+      notPlannedPolicy: cliArgs.notPlannedPolicy ?? "not_planned",
+      threshold: cliArgs.threshold ?? 100,
+      minChildren: cliArgs.minChildren ?? 0,
+      followUp: cliArgs.followUp,
+      skipLabels: cliArgs.skipLabels,
+      onlyLabels: cliArgs.onlyLabels,
+      protectLabels: cliArgs.protectLabels,
+      maxDepth: cliArgs.maxDepth,
+      closeDepth: cliArgs.closeDepth === null ? null : parseDepthRange(cliArgs.closeDepth),
+      comment: cliArgs.comment,
+      commentTemplate: !cliArgs.comment
+        ? null
+        : cliArgs.commentTemplate
+          ? loadCommentTemplate(cliArgs.commentTemplate)
+          : DEFAULT_COMMENT_TEMPLATE,
+    };
+
+    // Graphs show the whole hierarchy, closed branches included; a dry-run of the normal
+    // walk is only made to outline what closing would do
+    if (graph) {
+      info("\n🚀 Reading the issue hierarchy...\n");
+      const errors = [];
+      const tree = await collectStatusTree(
+        octokit,
+        issueInfo.owner,
+        issueInfo.repo,
+        issueInfo.issue_number,
+        0,
+        {
+          pageSize: cliArgs.pageSize,
+          concurrency: cliArgs.concurrency,
+          source,
+          errors,
+          maxDepth: cliArgs.maxDepth,
+        }
+      );
+
+      let decisions = null;
+      if (cliArgs.highlightClosable) {
+        decisions = new Map();
+        await processIssueRecursively(
+          octokit,
+          issueInfo.owner,
+          issueInfo.repo,
+          issueInfo.issue_number,
+          0,
+          true,
+          false,
+          // Sub-trees it cannot read were already reported while reading the hierarchy
+          { ...walkOptions, visited: decisions, errors: [], log: () => {} }
+        );
+      }
+
+      const render = cliArgs.format === "dot" ? renderDot : renderMermaid;
+      process.stdout.write(
+        render(decisions ? overlayDecisions(tree, decisions) : tree, {
+          highlight: cliArgs.highlightClosable,
+        })
+      );
+
+      if (errors.length > 0) {
+        info(`   Sub-trees that could not be read: ${errors.length}`);
+        errors.forEach(({ ref, message }) => info(`     - ${ref}: ${message}`));
+        process.exit(1);
+      }
+      return;
+    }
+
+    // Walks every root in turn, sharing `visited` so trees that overlap are only processed once
+    const walkRoots = async (walkDryRun, verbose, options) => {
+      const log = options.log || info;
+      const nothing =
+        cliArgs.command === "reconcile"
+          ? { processed: 0, reopened: 0 }
+          : { processed: 0, closed: 0 };
+      const results = [];
+
+      for (const root of roots) {
+        if (options.visited.has(root.ref.toLowerCase())) {
+          log(`${root.ref} was already processed as part of an earlier root, skipping`);
+          results.push({ ref: root.ref, totals: nothing });
+          continue;
+        }
+
+        try {
+          const totals = await walk(
+            octokit,
+            root.owner,
+            root.repo,
+            root.issue_number,
+            0,
+            walkDryRun,
+            verbose,
+            options
+          );
+          results.push({ ref: root.ref, totals });
+        } catch (error) {
+          // Sub-trees report their own errors, the root's is only known here
+          options.emit?.("error", { ref: root.ref, depth: 0, message: error.message });
+
+          // One bad root does not stop the others
+          if (roots.length === 1) {
+            throw error;
+          }
+          options.errors?.push({ ref: root.ref, message: error.message });
+          console.warn(`⚠️  Could not process ${root.ref}: ${error.message}`);
+          results.push({ ref: root.ref, totals: nothing });
+        }
+      }
+      return results;
+    };
 
-        if (!confirmAction) {
-          console.log("Operation cancelled.");
-          process.exit(0);
+    // Before a live close or cascade is confirmed, a quiet dry pass counts what it would close
+    let dryPass = null;
+    const preflight = ["close", "cascade"].includes(cliArgs.command)
+      ? async () => {
+          const visited = new Map();
+          dryPass = visited;
+          await walkRoots(true, false, { ...walkOptions, visited, log: () => {} });
+          return countCloses(
+            [...visited.values()]
+              .filter((node) => node.decision === "would_close")
+              .map((node) => node.ref)
+          );
         }
+      : null;
+
+    // A plan is always made from a dry-run
+    const dryRun = cliArgs.command === "plan" ? true : await chooseDryRun(cliArgs, info, preflight);
+
+    // Go through the closes found by the dry pass one by one
+    let approved = null;
+
+    if (cliArgs.confirmEach && !dryRun) {
+      const approval = await approveCloses(
+        dryPass,
+        roots.map((root) => root.ref)
+      );
+      approved = approval.approved;
+      info(`\n✅ Approved ${approved.size} of ${approval.total} close(s)`);
+    }
+
+    // Record progress so an interrupted run can be resumed
+    let checkpoint = null;
+
+    if (cliArgs.checkpoint || cliArgs.resume) {
+      checkpoint = openCheckpoint(cliArgs.checkpoint || cliArgs.resume, {
+        dryRun,
+        resumeFrom: cliArgs.resume,
+      });
+
+      if (cliArgs.resume) {
+        info(
+          `↩️  Resuming from ${cliArgs.resume} (${checkpoint.settled.size} issues already settled)`
+        );
       }
+      info(`📝 Writing checkpoint to ${checkpoint.file}`);
     }
 
-    if (cliArgs.verbose) {
-      console.log("\n🚀 Starting recursive processing...\n");
+    if (cliArgs.command === "cascade") {
+      info("\n🚀 Cascading to open sub-issues...\n");
+    } else if (cliArgs.command === "reconcile") {
+      info("\n🚀 Looking for closed parents with open sub-issues...\n");
+    } else if (cliArgs.command === "plan") {
+      info("\n🚀 Planning (nothing will be closed)...\n");
+    } else if (cliArgs.verbose) {
+      info("\n🚀 Starting recursive processing...\n");
     } else {
-      console.log("\n🚀 Processing...\n");
+      info("\n🚀 Processing...\n");
     }
 
-    // Process the issue tree
-    const result = await processIssueRecursively(
-      octokit,
-      issueInfo.owner,
-      issueInfo.repo,
-      issueInfo.issue_number,
-      0,
-      dryRun,
-      cliArgs.verbose
-    );
+    const errors = [];
+    const visited = new Map();
+    const planned = cliArgs.command === "plan" ? [] : null;
+    const perRoot = await walkRoots(dryRun, cliArgs.verbose, {
+      ...walkOptions,
+      errors,
+      visited,
+      checkpoint,
+      closeBudget,
+      approved,
+      log: reserved ? (line) => console.error(line) : undefined,
+      emit: emit || undefined,
+      plan: planned,
+      undo: ["close", "cascade", "reconcile"].includes(cliArgs.command)
+        ? openUndo(dryRun, roots.map((root) => root.ref).join(", "))
+        : null,
+    });
+    const result = sumTotals(perRoot.map((root) => root.totals));
 
-    console.log("\n✨ Complete!");
-    console.log(`   Issues processed: ${result.processed}`);
-    if (dryRun) {
-      console.log(`   Issues that would be closed: ${result.closed}`);
+    info("\n✨ Complete!");
+    info(`   Issues processed: ${result.processed}`);
+    if (cliArgs.command === "reconcile") {
+      info(`   Issues ${dryRun ? "that would be reopened" : "reopened"}: ${result.reopened}`);
+    } else if (dryRun) {
+      info(`   Issues that would be closed: ${result.closed}`);
     } else {
-      console.log(`   Issues closed: ${result.closed}`);
+      info(`   Issues closed: ${result.closed}`);
+      if (closeBudget?.heldBack() > 0) {
+        info(`   Closes held back by --max-close ${closeBudget.max}: ${closeBudget.heldBack()}`);
+      }
+    }
+    if (cliArgs.verbose && formatRateLimit(octokit.rateLimit)) {
+      info(`   API quota remaining: ${formatRateLimit(octokit.rateLimit)}`);
+    }
+    if (errors.length > 0) {
+      info(`   Sub-trees that could not be processed: ${errors.length}`);
+      errors.forEach(({ ref, message }) => info(`     - ${ref}: ${message}`));
+    }
+    // Reconcile reopens issues, the other commands close them
+    const changed = cliArgs.command === "reconcile" ? "reopened" : "closed";
+    if (roots.length > 1) {
+      const label = dryRun ? `would be ${changed}` : changed;
+      info("   Per root:");
+      perRoot.forEach(({ ref, totals }) =>
+        info(`     - ${ref}: ${totals.processed} processed, ${totals[changed]} ${label}`)
+      );
+    }
+
+    reportUndo();
+
+    emit?.("summary", {
+      processed: result.processed,
+      [changed]: result[changed],
+      errors: errors.length,
+    });
+
+    const report = buildRunReport({
+      command: cliArgs.command,
+      root: issueInfo.ref,
+      roots: perRoot,
+      dryRun,
+      visited,
+      totals: result,
+      errors,
+    });
+
+    // Rendered report for humans, e.g. on the summary page of a GitHub Actions run
+    const summaryFile = process.env.GITHUB_STEP_SUMMARY;
+    if (cliArgs.reportMarkdown || summaryFile) {
+      const markdown = renderMarkdownReport(report);
+      if (cliArgs.reportMarkdown) {
+        writeFileSync(cliArgs.reportMarkdown, markdown);
+        info(`\n📄 Wrote Markdown report to ${cliArgs.reportMarkdown}`);
+      }
+      if (summaryFile) {
+        appendFileSync(summaryFile, markdown);
+      }
+    }
+
+    if (cliArgs.command === "plan") {
+      const plan = writePlan(cliArgs.out, { root: report.tree.ref, actions: planned });
+      info(`\n📋 Wrote a plan with ${plan.actions.length} close(s) to ${cliArgs.out}`);
+      info(`   Apply it with: node index.js apply ${cliArgs.out} --live`);
+    }
+
+    if (json) {
+      console.log(JSON.stringify(report, null, 2));
+    }
+
+    // A partial run must not pass for a successful one, e.g. in CI
+    if (errors.length > 0) {
+      process.exit(1);
     }
   } catch (error) {
     if (error.name === "ExitPromptError") {
-      console.log("\n👋 Cancelled by user");
+      info("\n👋 Cancelled by user");
       process.exit(0);
     }
 
+    if (json) {
+      console.log(JSON.stringify({ command: cliArgs.command, error: error.message }, null, 2));
+    }
+    // Stream consumers learn that the run ended, even though its counts are unknown
+    emit?.("summary", { errors: 1 });
     console.error("\n❌ Error:", error.message);
+    reportUndo();
     if (error.response) {
       console.error("   Status:", error.response.status);
       console.error("   Details:", error.response.data?.message || "No additional details");
@@ -0,0 +1,141 @@
+/**
+ * Per-issue approval for the GitHub Sub-Issue Closer (--confirm-each)
+ *
+ * The closes found by a dry pass are put to the user one by one, parents before their
+ * sub-issues, so a whole branch can be turned down at once. The live run then only closes
+ * the approved issues.
+ */
+
+import { select } from "@inquirer/prompts";
+import { bold, dim, purpleClosed, reset } from "./symbols.js";
+
+/**
+ * Lists the closes a dry pass decided on, parents before their sub-issues
+ * @param {Map} visited - Records of the dry pass, keyed by lower-cased ref (see core.js)
+ * @param {string[]} roots - References of the issues the pass started from
+ * @returns {Object[]} Closes with ref, title, summary, reason, open sub-issues (`open`), the open
+ *   sub-issues that are closes themselves (`dependsOn`) and the lower-cased refs of everything
+ *   below the issue (`descendants`)
+ */
+export function listCloses(visited, roots) {
+  const closes = [];
+  const seen = new Set();
+
+  // Lower-cased refs of every issue below a record, each shared sub-issue once
+  const descendantsOf = (node, found = new Set()) => {
+    for (const child of node.children) {
+      const key = child.toLowerCase();
+      if (!found.has(key)) {
+        found.add(key);
+        const record = visited.get(key);
+        if (record) {
+          descendantsOf(record, found);
+        }
+      }
+    }
+    return found;
+  };
+
+  const visit = (ref) => {
+    const key = ref.toLowerCase();
+    const node = visited.get(key);
+    if (!node || seen.has(key)) {
+      return;
+    }
+    seen.add(key);
+
+    if (node.decision === "would_close") {
+      closes.push({
+        ref: node.ref,
+        title: node.title,
+        summary: node.summary,
+        reason: node.reason,
+        open: node.children.filter((child) => {
+          const record = visited.get(child.toLowerCase());
+          return record && record.state !== "closed" && !record.closed;
+        }),
+        dependsOn: node.children.filter((child) => {
+          const record = visited.get(child.toLowerCase());
+          return record?.state !== "closed" && record?.decision === "would_close";
+        }),
+        descendants: descendantsOf(node),
+      });
+    }
+    node.children.forEach(visit);
+  };
+
+  roots.forEach(visit);
+  return closes;
+}
+
+/**
+ * Asks about one close in the terminal
+ * @param {Object} close - Close from listCloses
+ * @param {number} index - Position of the close, from 1
+ * @param {number} count - Number of closes
+ * @returns {Promise<string>} approve, skip, skip_tree or approve_all
+ */
+export async function promptForClose(close, index, count) {
+  console.log(`\n${purpleClosed} ${bold}${close.ref}${reset} ${dim}- "${close.title}"${reset}`);
+  if (close.summary?.total) {
+    console.log(`   ${close.summary.completed}/${close.summary.total} sub-issues complete`);
+  }
+  console.log(`   ${dim}${close.reason}${reset}`);
+  if (close.open.length > 0) {
+    console.log(`   Still open: ${close.open.join(", ")}`);
+  }
+  // Skipping one of these later keeps this issue open, even once it is approved
+  if (close.dependsOn.length > 0) {
+    console.log(`   Only closes if these are approved too: ${close.dependsOn.join(", ")}`);
+  }
+
+  return select({
+    message: `Close ${close.ref}? (${index}/${count})`,
+    choices: [
+      { name: "Approve", value: "approve" },
+      { name: "Skip", value: "skip" },
+      {
+        name: "Skip this issue and its whole sub-tree",
+        value: "skip_tree",
+        disabled: close.descendants.size === 0 ? "(no sub-issues)" : false,
+      },
+      { name: "Approve all remaining", value: "approve_all" },
+    ],
+  });
+}
+
+/**
+ * Puts each close of a dry pass to the user
+ * @param {Map} visited - Records of the dry pass, keyed by lower-cased ref (see core.js)
+ * @param {string[]} roots - References of the issues the pass started from
+ * @param {Function} ask - Asked with (close, index, count) for each close, resolves to approve,
+ *   skip, skip_tree or approve_all (defaults to promptForClose)
+ * @returns {Promise<Object>} `approved` (Set of lower-cased refs) and the `total` number of closes
+ */
+export async function approveCloses(visited, roots, ask = promptForClose) {
+  const closes = listCloses(visited, roots);
+  const approved = new Set();
+  const skipped = new Set();
+  let approveAll = false;
+
+  for (const [index, close] of closes.entries()) {
+    const key = close.ref.toLowerCase();
+    if (skipped.has(key)) {
+      continue;
+    }
+    if (approveAll) {
+      approved.add(key);
+      continue;
+    }
+
+    const answer = await ask(close, index + 1, closes.length);
+    if (answer === "approve" || answer === "approve_all") {
+      approved.add(key);
+      approveAll = answer === "approve_all";
+    } else if (answer === "skip_tree") {
+      close.descendants.forEach((ref) => skipped.add(ref));
+    }
+  }
+
+  return { approved, total: closes.length };
+}
@@ -2,17 +2,19 @@ import { password } from "@inquirer/prompts";
 
 /**
  * Gets or prompts for GitHub token
+ * @param {Function} log - Output function for status lines (defaults to console.log; runs whose
+ *   stdout is reserved for machine-readable output pass one that writes to stderr)
  * @returns {Promise<string>} GitHub token
  */
-export async function getToken() {
+export async function getToken(log = (line) => console.log(line)) {
   const envToken = process.env.GITHUB_TOKEN;
 
   if (envToken) {
-    console.log("✓ Using GITHUB_TOKEN from environment");
+    log("✓ Using GITHUB_TOKEN from environment");
     return envToken;
   }
 
-  console.log("No GITHUB_TOKEN environment variable found.");
+  log("No GITHUB_TOKEN environment variable found.");
   return await password({
     message: "Please enter your GitHub Personal Access Token:",
     mask: "*",
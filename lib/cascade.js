@@ -0,0 +1,236 @@
+/**
+ * Cascade mode for the GitHub Sub-Issue Closer
+ *
+ * Walks down from a parent that was closed by hand and closes its still-open descendants
+ * with the same state reason, the opposite direction of the normal bottom-up closing.
+ */
+
+import { closeIssue, createWalkContext, parseSubIssueRef, walkSubIssues } from "./core.js";
+import { applyLabelFilters } from "./labels.js";
+import { DEFAULT_COMMENT_TEMPLATE, getRunUrl, renderTemplate } from "./template.js";
+import { bold, dim, greenOpen, purpleClosed, reset, softOrange } from "./symbols.js";
+
+/**
+ * Recursively closes the open descendants of a closed issue
+ * @param {Object} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} issue_number - Issue number of the closed parent
+ * @param {number} depth - Current recursion depth (for indentation)
+ * @param {boolean} dryRun - If true, don't actually close issues
+ * @param {boolean} verbose - If true, show detailed tree output
+ * @param {Object} options - Traversal options (same as processIssueRecursively where they apply)
+ * @param {number} options.pageSize - Page size used when listing sub-issues
+ * @param {number} options.concurrency - Maximum API calls in flight at once
+ * @param {Map} options.visited - Issues already walked in this run, keyed by lower-cased ref
+ * @param {Object[]} options.errors - Collects sub-trees that could not be processed
+ * @param {string[]} options.path - Refs of the ancestors of this issue; comments link to the last one
+ * @param {number|null} options.maxDepth - Deepest level whose sub-issues are walked
+ * @param {string[]} options.skipLabels - Label globs of issues that are neither walked nor closed
+ * @param {string[]} options.protectLabels - Label globs of issues that are walked but never closed
+ * @param {string} options.stateReason - state_reason to close with (defaults to the root's)
+ * @param {string|null} options.commentTemplate - Closing comment template; null closes silently
+ * @param {Object} options.undo - Journal that records every change of a live run (see undo.js)
+ * @param {Object} options.closeBudget - Cap on closes shared by the run, from createCloseBudget
+ * @param {Object} options.source - Where issues are read from (defaults to the REST API)
+ * @param {Function} options.log - Output function for progress lines (defaults to console.log)
+ * @returns {Promise<Object>} Statistics about processed and closed issues
+ */
+export async function cascadeClose(
+  octokit,
+  owner,
+  repo,
+  issue_number,
+  depth = 0,
+  dryRun = false,
+  verbose = false,
+  options = {}
+) {
+  const {
+    visited = new Map(),
+    errors = [],
+    path = [],
+    maxDepth = null,
+    skipLabels = [],
+    protectLabels = [],
+    commentTemplate = DEFAULT_COMMENT_TEMPLATE,
+  } = options;
+  const { source, limit, run, log } = createWalkContext(octokit, options);
+  const indent = "  ".repeat(depth);
+  const issueRef = `${owner}/${repo}#${issue_number}`;
+
+  // Reports are built from these records once the run is over (see output.js)
+  const node = {
+    ref: issueRef,
+    title: null,
+    depth,
+    state: null,
+    state_reason: null,
+    summary: null,
+    decision: null,
+    reason: null,
+    children: [],
+  };
+  visited.set(issueRef.toLowerCase(), node);
+
+  const issue = await run(() => source.getIssue(owner, repo, issue_number));
+  node.title = issue.title;
+  node.state = issue.state;
+  node.state_reason = issue.state_reason || null;
+  node.summary = issue.sub_issues_summary || null;
+
+  // The explicitly closed parent decides the state reason for the whole sub-tree
+  if (depth === 0 && issue.state !== "closed") {
+    throw new Error(`${issueRef} is still open; close it before cascading to its sub-issues`);
+  }
+  const stateReason = options.stateReason || issue.state_reason || "completed";
+  const closedAs = stateReason === "not_planned" ? " as not planned" : "";
+
+  let totalProcessed = 0;
+  let totalClosed = 0;
+
+  if (verbose) {
+    const statusSymbol = issue.state === "closed" ? purpleClosed : greenOpen;
+    log(`${indent}${statusSymbol} ${bold}${issueRef}${reset} ${dim}- "${issue.title}"${reset}`);
+  }
+
+  const labelFilter = applyLabelFilters(issue, { skipLabels, protectLabels });
+
+  if (!labelFilter.walk) {
+    if (verbose) {
+      log(
+        `${indent}   ${softOrange} ${dim}Not walking its sub-issues, ${labelFilter.reason}${reset}`
+      );
+    }
+    node.decision = "skipped";
+    node.reason = labelFilter.reason;
+    return { processed: 0, closed: 0 };
+  }
+
+  // Close this issue before its sub-issues, so their comments link to an already closed parent
+  if (depth > 0) {
+    totalProcessed++;
+
+    if (issue.state === "closed") {
+      if (verbose) {
+        log(`${indent}   ${softOrange} ${dim}Already closed${reset}`);
+      }
+      node.decision = "skipped";
+      node.reason = "already closed";
+    } else if (!labelFilter.close) {
+      if (verbose) {
+        log(`${indent}   ${greenOpen} ${dim}Keeping open (${labelFilter.reason})${reset}`);
+      }
+      node.decision = "kept_open";
+      node.reason = labelFilter.reason;
+    } else {
+      const parent = path[path.length - 1];
+      const reason = `Parent ${parent} was closed${closedAs}`;
+      // Past --max-close, the rest of a live run only reports what it would close
+      const heldBack = !dryRun && Boolean(options.closeBudget) && !options.closeBudget.take();
+      const capped = heldBack ? `, --max-close ${options.closeBudget.max} reached` : "";
+
+      if (dryRun || heldBack) {
+        if (verbose) {
+          log(
+            `${indent}   ${greenOpen} → ${purpleClosed} ${dim}Would close${closedAs}${capped}${reset}`
+          );
+        } else {
+          log(
+            `${purpleClosed} ${bold}${issueRef}${reset} ${dim}- "${issue.title}" (would be closed${closedAs}${capped})${reset}`
+          );
+        }
+      } else {
+        if (verbose) {
+          log(`${indent}   ${greenOpen} → ${purpleClosed} ${dim}Closing${closedAs}${reset}`);
+        } else {
+          log(
+            `${purpleClosed} ${bold}${issueRef}${reset} ${dim}- "${issue.title}" (closed${closedAs})${reset}`
+          );
+        }
+        const body =
+          commentTemplate === null
+            ? null
+            : renderTemplate(commentTemplate, {
+                issue: issueRef,
+                title: issue.title,
+                parent,
+                reason,
+                completed: issue.sub_issues_summary?.completed || 0,
+                total: issue.sub_issues_summary?.total || 0,
+                run_url: getRunUrl(),
+              });
+        await run(() =>
+          closeIssue(octokit, owner, repo, issue_number, reason, {
+            stateReason,
+            body,
+            undo: options.undo,
+            previous: issue,
+          })
+        );
+        source.markClosed?.(owner, repo, issue_number, stateReason);
+      }
+      node.state_reason = stateReason;
+      node.decision = dryRun || heldBack ? "would_close" : "closed";
+      node.reason = heldBack ? `${reason} (held back by --max-close)` : reason;
+      if (!heldBack) {
+        totalClosed++;
+      }
+    }
+  }
+
+  if (!issue.sub_issues_summary?.total || (maxDepth !== null && depth >= maxDepth)) {
+    return { processed: totalProcessed, closed: totalClosed };
+  }
+
+  const subIssues = await run(() => source.getSubIssues(owner, repo, issue_number));
+  node.children = subIssues.map((subIssue) => parseSubIssueRef(subIssue).ref);
+
+  const walkSubIssue = async (subIssue, childLog) => {
+    const child = parseSubIssueRef(subIssue);
+
+    // Issues reachable through more than one parent, or through a cycle, are only walked once
+    if (visited.has(child.ref.toLowerCase())) {
+      if (verbose) {
+        childLog(
+          `${indent}  ${softOrange} ${bold}${child.ref}${reset} ${dim}- Already walked, skipping${reset}`
+        );
+      }
+      return { processed: 0, closed: 0 };
+    }
+
+    try {
+      return await cascadeClose(
+        octokit,
+        child.owner,
+        child.repo,
+        child.issue_number,
+        depth + 1,
+        dryRun,
+        verbose,
+        {
+          ...options,
+          source,
+          limit,
+          log: childLog,
+          visited,
+          errors,
+          stateReason,
+          path: [...path, issueRef],
+        }
+      );
+    } catch (error) {
+      errors.push({ ref: child.ref, message: error.message });
+      console.warn(`${indent}  ⚠️  Could not process ${child.ref}: ${error.message}`);
+      return { processed: 0, closed: 0 };
+    }
+  };
+
+  // Sibling sub-trees are walked in parallel with --concurrency
+  for (const result of await walkSubIssues(subIssues, walkSubIssue, { limit, log })) {
+    totalProcessed += result.processed;
+    totalClosed += result.closed;
+  }
+
+  return { processed: totalProcessed, closed: totalClosed };
+}
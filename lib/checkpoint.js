@@ -0,0 +1,86 @@
+/**
+ * Checkpoint journal for resumable runs
+ *
+ * Every visited, closed and settled issue is appended to a newline-delimited JSON file
+ * as the run progresses, so a run that dies midway can be resumed without re-reading
+ * the sub-trees it already finished.
+ */
+
+import { appendFileSync, existsSync, readFileSync } from "fs";
+
+/**
+ * Reads the issues settled by previous runs from a checkpoint journal
+ * @param {string} file - Path to the checkpoint journal
+ * @returns {Object} The journal's dryRun flag and a map of lower-cased refs to settled records
+ */
+export function readCheckpoint(file) {
+  if (!existsSync(file)) {
+    throw new Error(`Checkpoint file not found: ${file}`);
+  }
+
+  const settled = new Map();
+  let dryRun = null;
+
+  for (const line of readFileSync(file, "utf8").split("\n")) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      // A run killed mid-write can leave a truncated last line behind
+      continue;
+    }
+
+    const key = entry.ref?.toLowerCase();
+
+    if (entry.type === "run") {
+      dryRun = dryRun ?? entry.dryRun;
+    } else if (entry.type === "settled") {
+      settled.set(key, {
+        state: entry.state,
+        state_reason: entry.state_reason ?? null,
+        closed: entry.closed,
+      });
+    } else if (entry.type === "closed" && !settled.has(key)) {
+      // Issues are only closed after their whole sub-tree is done
+      settled.set(key, { state: "open", state_reason: entry.state_reason ?? null, closed: true });
+    }
+  }
+
+  return { dryRun, settled };
+}
+
+/**
+ * Opens a checkpoint journal for writing, optionally resuming from an existing one
+ * @param {string} file - Path to the checkpoint journal to append to
+ * @param {Object} options - Checkpoint options
+ * @param {boolean} options.dryRun - Whether this run is a dry-run
+ * @param {string|null} options.resumeFrom - Journal whose settled issues should be skipped
+ * @returns {Object} Checkpoint with `settled` (Map) and `record(entry)`
+ */
+export function openCheckpoint(file, { dryRun, resumeFrom = null }) {
+  let settled = new Map();
+
+  if (resumeFrom) {
+    const previous = readCheckpoint(resumeFrom);
+
+    // Issues "closed" by a dry-run are still open, so the two modes cannot share a journal
+    if (previous.dryRun !== null && previous.dryRun !== dryRun) {
+      throw new Error(
+        `Checkpoint ${resumeFrom} was written by a ${previous.dryRun ? "dry-run" : "live run"} and cannot be resumed in ${dryRun ? "dry-run" : "live"} mode`
+      );
+    }
+    settled = previous.settled;
+  }
+
+  const record = (entry) => {
+    appendFileSync(file, `${JSON.stringify({ ...entry, at: new Date().toISOString() })}\n`);
+  };
+
+  record({ type: "run", dryRun, resumed: Boolean(resumeFrom) });
+
+  return { file, settled, record };
+}
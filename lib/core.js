@@ -2,6 +2,19 @@
  * Core functions for the GitHub Sub-Issue Closer
  */
 
+import { existsSync, readFileSync } from "fs";
+import { applyLabelFilters } from "./labels.js";
+import { createLimiter } from "./limiter.js";
+import {
+  CLOSER_MARKER,
+  DEFAULT_COMMENT_TEMPLATE,
+  getRunUrl,
+  loadCommentTemplate,
+  renderTemplate,
+  validateTemplate,
+} from "./template.js";
+import { bold, dim, greenOpen, purpleClosed, reset, softOrange } from "./symbols.js";
+
 /**
  * Parses issue URL or accepts owner/repo#number format
  * @param {string} issueInput - The issue reference to parse
@@ -35,6 +48,32 @@ export function parseIssueInput(issueInput) {
   return null;
 }
 
+// Reason recorded for issues whose close was turned down with --confirm-each
+const NOT_APPROVED = "not approved";
+
+// Progress event emitted for each decision recorded on a node (see events.js)
+const DECISION_EVENTS = {
+  skipped: "skip",
+  kept_open: "kept-open",
+  would_close: "would-close",
+  closed: "closed",
+};
+
+/**
+ * Commands accepted as the first positional argument
+ */
+export const COMMANDS = [
+  "close",
+  "cascade",
+  "reconcile",
+  "graph",
+  "status",
+  "explain",
+  "plan",
+  "apply",
+  "rollback",
+];
+
 /**
  * Parses CLI arguments
  * @param {string[]} args - Command line arguments
@@ -42,18 +81,53 @@ export function parseIssueInput(issueInput) {
  */
 export function parseArgs(args) {
   const parsed = {
-    issue: null,
+    command: "close",
+    issues: [],
+    issuesFile: null,
     token: null,
     dryRun: null,
     verbose: false,
     nonInteractive: false,
+    pageSize: 100,
+    concurrency: 1,
+    api: "rest",
+    checkpoint: null,
+    resume: null,
+    // Close options stay null unless given, so commands that do not read them can refuse them
+    closeReason: null,
+    commentTemplate: null,
+    comment: true,
+    notPlannedPolicy: null,
+    threshold: null,
+    minChildren: null,
+    followUp: false,
+    skipLabels: [],
+    onlyLabels: [],
+    protectLabels: [],
+    maxDepth: null,
+    closeDepth: null,
+    output: "text",
+    events: null,
+    reportMarkdown: null,
+    format: "mermaid",
+    highlightClosable: false,
+    sort: "tree",
+    collapseClosed: false,
+    out: null,
+    planFile: null,
+    journal: null,
+    undoLog: null,
+    editComments: false,
+    maxClose: null,
+    confirmEach: false,
   };
+  let commandGiven = false;
 
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
 
     if (arg === "--issue" || arg === "-i") {
-      parsed.issue = args[++i];
+      parsed.issues.push(args[++i] ?? "");
     } else if (arg === "--token" || arg === "-t") {
       parsed.token = args[++i];
     } else if (arg === "--dry-run" || arg === "-d") {
@@ -64,12 +138,119 @@ export function parseArgs(args) {
       parsed.verbose = true;
     } else if (arg === "-y" || arg === "--yes") {
       parsed.nonInteractive = true;
+    } else if (arg === "--page-size") {
+      parsed.pageSize = Number(args[++i]);
+    } else if (arg === "--concurrency") {
+      parsed.concurrency = Number(args[++i]);
+    } else if (arg === "--api") {
+      parsed.api = args[++i];
+    } else if (arg === "--checkpoint") {
+      parsed.checkpoint = args[++i];
+    } else if (arg === "--resume") {
+      parsed.resume = args[++i];
+    } else if (arg === "--close-reason") {
+      parsed.closeReason = args[++i];
+    } else if (arg === "--comment-template") {
+      parsed.commentTemplate = args[++i];
+    } else if (arg === "--no-comment") {
+      parsed.comment = false;
+    } else if (arg === "--not-planned-policy") {
+      parsed.notPlannedPolicy = args[++i];
+    } else if (arg === "--threshold") {
+      parsed.threshold = Number(args[++i]);
+    } else if (arg === "--min-children") {
+      parsed.minChildren = Number(args[++i]);
+    } else if (arg === "--follow-up") {
+      parsed.followUp = true;
+    } else if (arg === "--skip-label") {
+      parsed.skipLabels.push(args[++i]);
+    } else if (arg === "--only-label") {
+      parsed.onlyLabels.push(args[++i]);
+    } else if (arg === "--protect-label") {
+      parsed.protectLabels.push(args[++i]);
+    } else if (arg === "--max-depth") {
+      parsed.maxDepth = Number(args[++i]);
+    } else if (arg === "--close-depth") {
+      parsed.closeDepth = args[++i];
+    } else if (arg === "--output") {
+      parsed.output = args[++i];
+    } else if (arg === "--events") {
+      parsed.events = args[++i];
+    } else if (arg === "--format") {
+      parsed.format = args[++i];
+    } else if (arg === "--highlight-closable") {
+      parsed.highlightClosable = true;
+    } else if (arg === "--sort") {
+      parsed.sort = args[++i];
+    } else if (arg === "--collapse-closed") {
+      parsed.collapseClosed = true;
+    } else if (arg === "--out") {
+      parsed.out = args[++i];
+    } else if (arg === "--report-markdown") {
+      parsed.reportMarkdown = args[++i] ?? "";
+    } else if (arg === "--undo-log") {
+      parsed.undoLog = args[++i] ?? "";
+    } else if (arg === "--max-close") {
+      parsed.maxClose = Number(args[++i]);
+    } else if (arg === "--issues-file") {
+      parsed.issuesFile = args[++i] ?? "";
+    } else if (arg === "--confirm-each") {
+      parsed.confirmEach = true;
+    } else if (arg === "--edit-comments") {
+      parsed.editComments = true;
+    } else if (!arg.startsWith("-") && !commandGiven) {
+      parsed.command = arg;
+      commandGiven = true;
+    } else if (!arg.startsWith("-") && parsed.command === "apply") {
+      parsed.planFile = arg;
+    } else if (!arg.startsWith("-") && parsed.command === "rollback") {
+      parsed.journal = arg;
+    } else if (!arg.startsWith("-")) {
+      // "explain owner/repo#1" reads like a sentence; -i works for every command too
+      parsed.issues.push(arg);
     }
   }
 
   return parsed;
 }
 
+/**
+ * Reads issue references from a list with one reference per line
+ * @param {string} file - Path to the list, or "-" to read it from stdin
+ * @returns {string[]} References as written; blank lines and lines starting with # are left out
+ */
+export function readIssueList(file) {
+  if (file !== "-" && !existsSync(file)) {
+    throw new Error(`Issue list not found: ${file}`);
+  }
+
+  return readFileSync(file === "-" ? 0 : file, "utf8")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"));
+}
+
+/**
+ * Parses a depth range such as "1", "0-1", "2-" (2 and deeper) or "-1" (up to 1)
+ * @param {string} value - Depth range
+ * @returns {Object|null} Range with inclusive `min` and `max` (null when unbounded), or null if invalid
+ */
+export function parseDepthRange(value) {
+  const match = /^\s*(\d*)\s*(-?)\s*(\d*)\s*$/.exec(value || "");
+  if (!match || (match[1] === "" && match[3] === "")) {
+    return null;
+  }
+
+  const [, from, dash, to] = match;
+  const min = from === "" ? 0 : Number(from);
+  const max = dash ? (to === "" ? null : Number(to)) : min;
+
+  if (max !== null && max < min) {
+    return null;
+  }
+  return { min, max };
+}
+
 /**
  * Fetches issue details including sub-issue summary
  * @param {Object} octokit - Octokit instance
@@ -95,54 +276,328 @@ export async function getIssue(octokit, owner, repo, issue_number) {
 }
 
 /**
- * Fetches all sub-issues for a given parent issue
+ * Fetches all sub-issues for a given parent issue, following pagination
  * @param {Object} octokit - Octokit instance
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {number} issue_number - Issue number
+ * @param {number} perPage - Page size for each request (max 100)
  * @returns {Promise<Array>} Array of sub-issues
  */
-export async function getSubIssues(octokit, owner, repo, issue_number) {
+export async function getSubIssues(octokit, owner, repo, issue_number, perPage = 100) {
+  const subIssues = [];
+
   try {
-    const { data } = await octokit.rest.issues.listSubIssues({
-      owner,
-      repo,
-      issue_number,
-      per_page: 100,
-    });
-    return data;
+    for (let page = 1; ; page++) {
+      const { data } = await octokit.rest.issues.listSubIssues({
+        owner,
+        repo,
+        issue_number,
+        per_page: perPage,
+        page,
+      });
+      subIssues.push(...data);
+
+      // A short page means there is nothing left to fetch
+      if (data.length < perPage) {
+        break;
+      }
+    }
   } catch (error) {
     if (error.status === 404) {
-      return [];
+      return subIssues;
     }
     throw error;
   }
+
+  return subIssues;
 }
 
 /**
- * Closes an issue with a comment
+ * Creates an issue source that reads issues and sub-issues through the REST API
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} options - Source options
+ * @param {number} options.pageSize - Page size used when listing sub-issues
+ * @returns {Object} Source with getIssue and getSubIssues
+ */
+export function createRestSource(octokit, { pageSize = 100 } = {}) {
+  return {
+    getIssue: (owner, repo, issue_number) => getIssue(octokit, owner, repo, issue_number),
+    getSubIssues: (owner, repo, issue_number) =>
+      getSubIssues(octokit, owner, repo, issue_number, pageSize),
+  };
+}
+
+/**
+ * Sets up what a recursive walk hands down to its sub-trees: where issues are read from,
+ * the limiter shared by all API calls and where progress lines go
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} options - Walk options
+ * @param {number} options.pageSize - Page size used when listing sub-issues
+ * @param {number} options.concurrency - Maximum API calls in flight (1 walks sequentially)
+ * @param {Object} options.source - Source inherited from the parent, if any
+ * @param {Function} options.limit - Limiter inherited from the parent, if any
+ * @param {Function} options.log - Output function for progress lines (defaults to console.log)
+ * @returns {Object} `source`, `limit` (null when walking sequentially), `run` (runs an API call
+ *   through the limiter) and `log`
+ */
+export function createWalkContext(octokit, options = {}) {
+  const { pageSize = 100, concurrency = 1 } = options;
+  const source = options.source || createRestSource(octokit, { pageSize });
+  const limit = options.limit || (concurrency > 1 ? createLimiter(concurrency) : null);
+
+  return {
+    source,
+    limit,
+    run: limit || ((task) => task()),
+    log: options.log || ((line) => console.log(line)),
+  };
+}
+
+/**
+ * Walks sibling sub-trees, in parallel when the walk has a limiter. Each parallel sub-tree
+ * buffers its output so it can be printed as a single block, in the original order, once
+ * it has finished.
+ * @param {Object[]} subIssues - Sub-issues to walk
+ * @param {Function} walk - Called with (subIssue, log) for each sub-issue; resolves to its
+ *   counts and must not reject
+ * @param {Object} context - `limit` and `log` from createWalkContext
+ * @returns {Promise<Object[]>} Counts of each sub-tree, in the order of subIssues
+ */
+export async function walkSubIssues(subIssues, walk, { limit, log }) {
+  const results = [];
+
+  if (!limit) {
+    for (const subIssue of subIssues) {
+      results.push(await walk(subIssue, log));
+    }
+    return results;
+  }
+
+  const outcomes = subIssues.map((subIssue) => {
+    const lines = [];
+    return walk(subIssue, (line) => lines.push(line)).then((result) => ({ result, lines }));
+  });
+
+  for (const outcome of outcomes) {
+    const { result, lines } = await outcome;
+    lines.forEach((line) => log(line));
+    results.push(result);
+  }
+  return results;
+}
+
+/**
+ * Closes an issue with a comment. The comment carries a hidden marker that identifies
+ * the closure as made by this tool.
  * @param {Object} octokit - Octokit instance
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {number} issue_number - Issue number
  * @param {string} reason - Reason for closing
- * @returns {Promise<void>}
+ * @param {Object} options - Close options
+ * @param {string} options.stateReason - GitHub state_reason (completed or not_planned)
+ * @param {string|null} options.body - Comment body; null closes without a comment
+ * @param {Object} options.undo - Journal that records the close and its comment (see undo.js)
+ * @param {Object} options.previous - The issue as it was before closing, for the journal
+ * @returns {Promise<Object>} `comment_id` of the closing comment (null without a comment)
  */
-export async function closeIssue(octokit, owner, repo, issue_number, reason) {
+export async function closeIssue(octokit, owner, repo, issue_number, reason, options = {}) {
+  const {
+    stateReason = "completed",
+    body = `🤖 Automatically closed: ${reason}`,
+    undo = null,
+    previous = null,
+  } = options;
+  const ref = `${owner}/${repo}#${issue_number}`;
+
   await octokit.rest.issues.update({
     owner,
     repo,
     issue_number,
     state: "closed",
-    state_reason: "completed",
+    state_reason: stateReason,
+  });
+
+  // Journaled before commenting, so a comment that fails cannot leave the close unrecorded
+  undo?.record({
+    type: "closed",
+    ref,
+    owner,
+    repo,
+    issue_number,
+    previous_state: previous?.state || "open",
+    previous_state_reason: previous?.state_reason || null,
+    state_reason: stateReason,
   });
 
-  await octokit.rest.issues.createComment({
+  if (body === null) {
+    return { comment_id: null };
+  }
+
+  const response = await octokit.rest.issues.createComment({
     owner,
     repo,
     issue_number,
-    body: `🤖 Automatically closed: ${reason}`,
+    body: `${body}\n\n${CLOSER_MARKER}`,
+  });
+  const comment_id = response?.data?.id ?? null;
+  undo?.record({ type: "comment", ref, owner, repo, issue_number, comment_id });
+  return { comment_id };
+}
+
+/**
+ * Creates the cap on closes shared by a whole run (--max-close)
+ * @param {number} max - Most issues the run may close
+ * @returns {Object} Budget with `max`, `take()` (true while closes are left, false once a close
+ *   is held back) and `heldBack()` (number of closes held back so far)
+ */
+export function createCloseBudget(max) {
+  let used = 0;
+  let held = 0;
+
+  return {
+    max,
+    take: () => {
+      if (used >= max) {
+        held++;
+        return false;
+      }
+      used++;
+      return true;
+    },
+    heldBack: () => held,
+  };
+}
+
+/**
+ * Opens a follow-up issue and moves the given sub-issues from their parent onto it. A sub-issue
+ * that cannot be attached to the follow-up issue is put back under its parent before the error
+ * is rethrown, so it is never left without a parent.
+ * @param {Object} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} parent - Parent issue the sub-issues are moved away from
+ * @param {Object[]} subIssues - Sub-issues to move, as returned by listSubIssues
+ * @param {Object} hooks - Called as the move progresses, so each step can be journaled
+ * @param {Function} hooks.onCreated - Called with the follow-up issue once it exists
+ * @param {Function} hooks.onMoved - Called with each sub-issue once it has been moved
+ * @returns {Promise<Object>} The created follow-up issue
+ */
+export async function moveToFollowUp(octokit, owner, repo, parent, subIssues, hooks = {}) {
+  const { data: followUp } = await octokit.rest.issues.create({
+    owner,
+    repo,
+    title: `Follow-up: ${parent.title}`,
+    body: `🤖 Remaining sub-issues of #${parent.number}, which was closed before all of them were complete.`,
   });
+  hooks.onCreated?.(followUp);
+
+  // A sub-issue can only have one parent, so it has to be detached before it is re-attached
+  for (const subIssue of subIssues) {
+    await octokit.rest.issues.removeSubIssue({
+      owner,
+      repo,
+      issue_number: parent.number,
+      sub_issue_id: subIssue.id,
+    });
+    try {
+      await octokit.rest.issues.addSubIssue({
+        owner,
+        repo,
+        issue_number: followUp.number,
+        sub_issue_id: subIssue.id,
+      });
+    } catch (error) {
+      await octokit.rest.issues.addSubIssue({
+        owner,
+        repo,
+        issue_number: parent.number,
+        sub_issue_id: subIssue.id,
+      });
+      throw new Error(
+        `Could not move ${parseSubIssueRef(subIssue).ref} to follow-up #${followUp.number}: ${error.message}`
+      );
+    }
+    hooks.onMoved?.(subIssue);
+  }
+
+  return followUp;
+}
+
+/**
+ * Extracts the repository and number of a sub-issue, which may live in another repository
+ * @param {Object} subIssue - Sub-issue as returned by listSubIssues
+ * @returns {Object} Parsed owner, repo, issue_number and ref
+ */
+export function parseSubIssueRef(subIssue) {
+  const owner = subIssue.repository_url.split("/").slice(-2, -1)[0];
+  const repo = subIssue.repository_url.split("/").pop();
+
+  return {
+    owner,
+    repo,
+    issue_number: subIssue.number,
+    ref: `${owner}/${repo}#${subIssue.number}`,
+  };
+}
+
+/**
+ * Checks whether a sub-issue is closed, or was closed (or would be closed) in this run
+ * @param {Object} child - Visited record of a sub-issue
+ * @returns {boolean} True if the sub-issue counts as done
+ */
+function isDone(child) {
+  return child.state === "closed" || Boolean(child.closed);
+}
+
+/**
+ * Checks whether a sub-issue was closed without being completed (not planned, duplicate, ...)
+ * @param {Object} child - Visited record of a sub-issue
+ * @returns {boolean} True if the sub-issue is done but was not completed
+ */
+export function isAbandoned(child) {
+  return isDone(child) && Boolean(child.state_reason) && child.state_reason !== "completed";
+}
+
+/**
+ * Computes a sub-issue summary from the children observed during traversal.
+ * Children closed in this run (or that would be closed in dry-run) count as completed.
+ * @param {Object[]} children - Visited records of the direct sub-issues
+ * @returns {Object} Summary with total, completed and percent_completed
+ */
+export function summarizeSubIssues(children) {
+  const total = children.length;
+  const completed = children.filter(isDone).length;
+
+  return {
+    total,
+    completed,
+    percent_completed: total === 0 ? 0 : Math.floor((completed / total) * 100),
+  };
+}
+
+/**
+ * Applies --not-planned-policy to each sub-issue of a summary. Sub-issues closed without being
+ * completed count as completed with "completed", are left out as dropped work with
+ * "not_planned", and count as not complete with "review".
+ * @param {Object} summary - Sub-issue summary with total, completed and percent_completed
+ * @param {number} abandoned - How many of the completed sub-issues were not actually completed
+ * @param {string} policy - not_planned, review or completed
+ * @returns {Object} Summary the close decision is based on
+ */
+export function applyNotPlannedPolicy(summary, abandoned, policy) {
+  if (!summary || abandoned === 0 || policy === "completed") {
+    return summary;
+  }
+  const completed = summary.completed - abandoned;
+  const total = policy === "review" ? summary.total : summary.total - abandoned;
+
+  return {
+    total,
+    completed,
+    percent_completed: total === 0 ? 0 : Math.floor((completed / total) * 100),
+  };
 }
 
 /**
@@ -154,6 +609,40 @@ export async function closeIssue(octokit, owner, repo, issue_number, reason) {
  * @param {number} depth - Current depth in the tree
  * @param {boolean} dryRun - Whether to run in dry-run mode
  * @param {boolean} verbose - Whether to show verbose output
+ * @param {Object} options - Additional traversal options
+ * @param {number} options.pageSize - Page size used when listing sub-issues
+ * @param {Map<string, Object>} options.visited - Lower-cased refs already processed in this run,
+ *   mapped to what was observed and decided for each issue
+ * @param {Object[]} options.errors - Collects sub-trees that could not be processed
+ * @param {string[]} options.path - Refs of the ancestors leading to this issue
+ * @param {number} options.concurrency - Maximum number of API calls in flight (1 walks sequentially)
+ * @param {Function} options.limit - Shared limiter, created from `concurrency` at the root
+ * @param {Object} options.checkpoint - Journal that records progress and holds sub-trees
+ *   settled by a previous run (see checkpoint.js)
+ * @param {string} options.closeReason - state_reason used when closing (completed or not_planned)
+ * @param {string} options.notPlannedPolicy - How sub-issues closed without being completed count:
+ *   "not_planned" leaves them out (and closes as not planned when all of them were),
+ *   "review" counts them as not complete, "completed" counts them as complete
+ * @param {number} options.threshold - Percentage of complete sub-issues at which a parent is closed
+ * @param {number} options.minChildren - Parents with fewer sub-issues are only closed at 100%
+ * @param {boolean} options.followUp - Move sub-issues still open under a parent closed below 100%
+ *   onto a new follow-up issue
+ * @param {string[]} options.skipLabels - Label globs of issues that are neither walked nor closed
+ * @param {string[]} options.onlyLabels - Label globs; if given, only matching issues may be closed
+ * @param {string[]} options.protectLabels - Label globs of issues that are walked but never closed
+ * @param {number|null} options.maxDepth - Deepest level whose sub-issues are walked (null for no limit)
+ * @param {Object|null} options.closeDepth - Levels eligible for closing, as returned by parseDepthRange
+ * @param {string|null} options.commentTemplate - Closing comment template; null closes silently
+ * @param {Object} options.source - Where issues are read from (defaults to the REST API)
+ * @param {Function} options.log - Output function for progress lines (defaults to console.log)
+ * @param {Function} options.emit - Receives progress events as emit(type, fields), see events.js
+ * @param {Object} options.undo - Journal that records every change of a live run (see undo.js)
+ * @param {Object} options.closeBudget - Cap on closes shared by the run, from createCloseBudget;
+ *   once it is used up, the rest of a live run only reports what it would close
+ * @param {Set<string>|null} options.approved - Lower-cased refs approved with --confirm-each;
+ *   when given, every other issue is kept open
+ * @param {Object[]} options.plan - In dry-run, collects the closes that a live run would make
+ *   (see plan.js)
  * @returns {Promise<Object>} Result with processed and closed counts
  */
 export async function processIssueRecursively(
@@ -163,34 +652,146 @@ export async function processIssueRecursively(
   issue_number,
   depth = 0,
   dryRun = false,
-  verbose = false
+  verbose = false,
+  options = {}
 ) {
+  const {
+    visited = new Map(),
+    errors = [],
+    path = [],
+    checkpoint = null,
+    closeReason = "completed",
+    notPlannedPolicy = "not_planned",
+    threshold = 100,
+    minChildren = 0,
+    followUp = false,
+    plan = null,
+    undo = null,
+    closeBudget = null,
+    approved = null,
+    skipLabels = [],
+    onlyLabels = [],
+    protectLabels = [],
+    maxDepth = null,
+    closeDepth = null,
+    commentTemplate = DEFAULT_COMMENT_TEMPLATE,
+  } = options;
+  const { source, limit, run, log } = createWalkContext(octokit, options);
+  const emit = options.emit || (() => {});
   const indent = "  ".repeat(depth);
-
-  // Fetch issue details
-  const issue = await getIssue(octokit, owner, repo, issue_number);
   const issueRef = `${owner}/${repo}#${issue_number}`;
+  const issueKey = issueRef.toLowerCase();
+
+  // An issue that is already on the current path means the hierarchy loops back on itself
+  if (path.some((ref) => ref.toLowerCase() === issueKey)) {
+    console.warn(`${indent}⚠️  Cycle detected: ${[...path, issueRef].join(" → ")} (skipping)`);
+    emit("skip", { ref: issueRef, depth, reason: `cycle: ${[...path, issueRef].join(" → ")}` });
+    return { processed: 0, closed: 0 };
+  }
+
+  // Issues reachable through more than one parent are only processed the first time
+  if (visited.has(issueKey)) {
+    if (verbose) {
+      log(
+        `${indent}${softOrange} ${bold}${issueRef}${reset} ${dim}- Already processed elsewhere in the tree, skipping${reset}`
+      );
+    }
+    emit("skip", { ref: issueRef, depth, reason: "already processed elsewhere in the tree" });
+    return { processed: 0, closed: 0 };
+  }
+
+  // Parents read this record to work out their own completion once this issue is settled,
+  // and reports are built from it once the run is over (see output.js)
+  const node = {
+    ref: issueRef,
+    title: null,
+    depth,
+    state: null,
+    state_reason: null,
+    summary: null,
+    decision: null,
+    reason: null,
+    children: [],
+    closed: false,
+    settled: false,
+  };
+  visited.set(issueKey, node);
 
-  // Color codes and status symbols
-  const greenOpen = "\x1b[32mʘ\x1b[0m"; // Green open circle
-  const purpleClosed = "\x1b[38;2;171;28;232m⊘\x1b[0m"; // Purple closed circle (RGB: 171, 28, 232)
-  const softOrange = "\x1b[38;2;255;165;80m·\x1b[0m"; // Soft orange info dot
+  const decide = (decision, reason) => {
+    node.decision = decision;
+    node.reason = reason;
+    emit(DECISION_EVENTS[decision], {
+      ref: issueRef,
+      depth,
+      reason,
+      state_reason: node.state_reason,
+    });
+  };
+
+  // Sub-trees finished by a previous run are taken from the checkpoint journal as they were
+  const previous = checkpoint?.settled.get(issueKey);
+  if (previous) {
+    Object.assign(node, previous, { settled: true });
+    decide("skipped", "settled in a previous run");
+    if (verbose) {
+      log(
+        `${indent}${softOrange} ${bold}${issueRef}${reset} ${dim}- Settled in a previous run, skipping${reset}`
+      );
+    }
+    return { processed: 0, closed: 0 };
+  }
+
+  // Fetch issue details
+  const issue = await run(() => source.getIssue(owner, repo, issue_number));
   const statusSymbol = issue.state === "closed" ? purpleClosed : greenOpen;
-  const bold = "\x1b[1m";
-  const dim = "\x1b[2m";
-  const reset = "\x1b[0m";
+  node.title = issue.title;
+  node.state = issue.state;
+  node.state_reason = issue.state_reason || null;
+  node.summary = issue.sub_issues_summary || null;
+  checkpoint?.record({ type: "visit", ref: issueRef });
+  emit("visit", { ref: issueRef, depth, title: issue.title, state: issue.state });
+
+  const settle = () => {
+    node.settled = true;
+    // Past --max-close, issues are settled as if closed, so they must not reach the journal:
+    // resuming picks up everything from the first close that was held back
+    if (closeBudget?.heldBack() > 0) {
+      return;
+    }
+    checkpoint?.record({
+      type: "settled",
+      ref: issueRef,
+      state: node.state,
+      state_reason: node.state_reason,
+      closed: node.closed,
+    });
+  };
 
   if (verbose) {
-    console.log(
-      `${indent}${statusSymbol} ${bold}${issueRef}${reset} ${dim}- "${issue.title}"${reset}`
-    );
+    log(`${indent}${statusSymbol} ${bold}${issueRef}${reset} ${dim}- "${issue.title}"${reset}`);
   }
 
   // Check if issue is already closed
   if (issue.state === "closed") {
     if (verbose) {
-      console.log(`${indent}   ${softOrange} ${dim}Already closed, skipping${reset}`);
+      log(`${indent}   ${softOrange} ${dim}Already closed, skipping${reset}`);
     }
+    decide("skipped", "already closed");
+    settle();
+    return { processed: 0, closed: 0 };
+  }
+
+  // Labelled issues may be left out of the walk entirely, or walked without being closed
+  const labelFilter = applyLabelFilters(issue, { skipLabels, onlyLabels, protectLabels });
+
+  if (!labelFilter.walk) {
+    if (verbose) {
+      log(
+        `${indent}   ${softOrange} ${dim}Not walking its sub-issues, ${labelFilter.reason}${reset}`
+      );
+    }
+    decide("skipped", labelFilter.reason);
+    settle();
     return { processed: 0, closed: 0 };
   }
 
@@ -199,82 +800,333 @@ export async function processIssueRecursively(
 
   if (!subIssueSummary || subIssueSummary.total === 0) {
     if (verbose) {
-      console.log(`${indent}   ${softOrange} ${dim}No sub-issues${reset}`);
+      log(`${indent}   ${softOrange} ${dim}No sub-issues${reset}`);
     }
+    decide("kept_open", "no sub-issues");
+    settle();
     return { processed: 1, closed: 0 };
   }
 
   if (verbose) {
-    console.log(
+    log(
       `${indent}   ${dim}Sub-issues: ${subIssueSummary.completed}/${subIssueSummary.total} complete (${subIssueSummary.percent_completed}%)${reset}`
     );
   }
 
+  // Sources may update the summary in place as sub-issues are closed (see graphql.js),
+  // so keep what GitHub reported before they were walked
+  const reported = { completed: subIssueSummary.completed, total: subIssueSummary.total };
+
   // Fetch and process sub-issues recursively
-  const subIssues = await getSubIssues(octokit, owner, repo, issue_number);
+  const subIssues = await run(() => source.getSubIssues(owner, repo, issue_number));
+  const walkChildren = maxDepth === null || depth < maxDepth;
+  node.children = subIssues.map((subIssue) => parseSubIssueRef(subIssue).ref);
+
+  if (subIssues.length < subIssueSummary.total) {
+    console.warn(
+      `${indent}   ⚠️  ${issueRef}: GitHub reports ${subIssueSummary.total} sub-issues but only ${subIssues.length} could be listed`
+    );
+  }
 
   let totalProcessed = 1; // Count current issue
   let totalClosed = 0;
 
-  for (const subIssue of subIssues) {
-    // Parse sub-issue repository info (may be cross-repo)
-    const subOwner = subIssue.repository_url.split("/").slice(-2, -1)[0];
-    const subRepo = subIssue.repository_url.split("/").pop();
-
-    const result = await processIssueRecursively(
-      octokit,
-      subOwner,
-      subRepo,
-      subIssue.number,
-      depth + 1,
-      dryRun,
-      verbose
-    );
+  const processSubIssue = async (subIssue, childLog) => {
+    // Sub-issues may live in another repository
+    const child = parseSubIssueRef(subIssue);
+
+    try {
+      return await processIssueRecursively(
+        octokit,
+        child.owner,
+        child.repo,
+        child.issue_number,
+        depth + 1,
+        dryRun,
+        verbose,
+        { ...options, source, limit, log: childLog, visited, errors, path: [...path, issueRef] }
+      );
+    } catch (error) {
+      // An unreadable sub-tree is reported, and the parent falls back to GitHub's summary
+      errors.push({ ref: child.ref, message: error.message });
+      console.warn(`${indent}  ⚠️  Could not process ${child.ref}: ${error.message}`);
 
-    totalProcessed += result.processed;
-    totalClosed += result.closed;
+      const record = visited.get(child.ref.toLowerCase());
+      if (record && !record.settled) {
+        record.decision = "error";
+        record.reason = error.message;
+      }
+      emit("error", { ref: child.ref, depth: depth + 1, message: error.message });
+      return { processed: 0, closed: 0 };
+    }
+  };
+
+  if (!walkChildren) {
+    // Below the depth limit, the sub-issues are taken as GitHub lists them
+    if (verbose) {
+      log(
+        `${indent}   ${softOrange} ${dim}Depth limit reached, not walking its sub-issues${reset}`
+      );
+    }
+  } else {
+    for (const result of await walkSubIssues(subIssues, processSubIssue, { limit, log })) {
+      totalProcessed += result.processed;
+      totalClosed += result.closed;
+    }
+  }
+
+  // After processing all sub-issues, check if we should close this issue.
+  // Completion is derived from the children we just observed and closed; GitHub's
+  // summary is only re-fetched when some of them were skipped or unreadable.
+  const children = walkChildren
+    ? subIssues.map((subIssue) => visited.get(parseSubIssueRef(subIssue).ref.toLowerCase()))
+    : subIssues.map((subIssue) => ({ ...subIssue, settled: true }));
+  const observedAll =
+    subIssues.length >= subIssueSummary.total && children.every((child) => child?.settled);
+  let updatedSummary;
+
+  if (observedAll) {
+    updatedSummary = summarizeSubIssues(children);
+
+    const observed = children.filter((child) => child.state === "closed").length;
+    if (observed !== reported.completed || children.length !== reported.total) {
+      console.warn(
+        `${indent}   ⚠️  ${issueRef}: GitHub reports ${reported.completed}/${reported.total} sub-issues complete but ${observed}/${children.length} were observed`
+      );
+    }
+  } else {
+    if (verbose) {
+      log(
+        `${indent}   ${softOrange} ${dim}Some sub-issues were skipped or unreadable, using GitHub's summary${reset}`
+      );
+    }
+    const updatedIssue = await run(() => source.getIssue(owner, repo, issue_number));
+    updatedSummary = updatedIssue.sub_issues_summary;
   }
 
-  // After processing all sub-issues, check if we should close this issue
-  // Re-fetch to get updated sub-issue summary
-  const updatedIssue = await getIssue(octokit, owner, repo, issue_number);
-  const updatedSummary = updatedIssue.sub_issues_summary;
+  // Sub-issues that were not seen in this run fall back to the state GitHub listed them with
+  const remaining = subIssues.filter((subIssue, index) => !isDone(children[index] || subIssue));
+  // GitHub's summary counts sub-issues closed as not planned like finished work; observed
+  // children are counted one by one according to --not-planned-policy instead
+  const abandoned = observedAll ? children.filter(isAbandoned).length : 0;
+  const completion = applyNotPlannedPolicy(updatedSummary, abandoned, notPlannedPolicy);
+  const percent = completion?.percent_completed || 0;
+  const abandonedNote =
+    completion === updatedSummary
+      ? ""
+      : notPlannedPolicy === "review"
+        ? `, ${abandoned} closed as not planned left for review`
+        : `, not counting ${abandoned} closed as not planned`;
+
+  // Decide whether to close, and how
+  let closeAs = null;
+  let reason = `All sub-issues are now complete${abandonedNote}`;
+  let description = `all sub-issues complete${abandonedNote}`;
+  let keepOpenReason = `${completion?.completed || 0}/${
+    completion?.total || 0
+  } sub-issues complete${abandonedNote}`;
+
+  if (abandoned > 0 && abandoned === updatedSummary.total && notPlannedPolicy !== "completed") {
+    // Nothing was actually completed, so the parent is not reported as completed either
+    if (notPlannedPolicy === "review") {
+      keepOpenReason = "for review, all sub-issues were closed as not planned";
+    } else {
+      closeAs = "not_planned";
+      reason = "All sub-issues were closed as not planned";
+      description = "all sub-issues were closed as not planned";
+    }
+  } else if (completion && percent === 100) {
+    closeAs = closeReason;
+  } else if (completion && percent >= threshold) {
+    if (updatedSummary.total >= minChildren) {
+      closeAs = closeReason;
+      reason = `${completion.completed}/${completion.total} sub-issues are complete, which meets the ${threshold}% threshold${abandonedNote}`;
+      description = `${percent}% of sub-issues complete, threshold ${threshold}%`;
+    } else {
+      keepOpenReason += `, fewer than ${minChildren} sub-issues to apply the threshold`;
+    }
+  }
+
+  if (closeAs && !labelFilter.close) {
+    closeAs = null;
+    keepOpenReason = labelFilter.reason;
+  } else if (
+    closeAs &&
+    closeDepth &&
+    (depth < closeDepth.min || (closeDepth.max !== null && depth > closeDepth.max))
+  ) {
+    closeAs = null;
+    keepOpenReason = `depth ${depth} is not eligible for closing`;
+  } else if (closeAs && approved && !approved.has(issueKey)) {
+    closeAs = null;
+    keepOpenReason = NOT_APPROVED;
+  } else if (!closeAs && approved?.has(issueKey)) {
+    // An approved parent can still be held open by the sub-issues whose closes were skipped
+    const unapproved = remaining
+      .map((subIssue) => parseSubIssueRef(subIssue).ref)
+      .filter((ref) => visited.get(ref.toLowerCase())?.reason === NOT_APPROVED);
+    if (unapproved.length > 0) {
+      keepOpenReason = `approved, but ${keepOpenReason}: the closes of ${unapproved.join(", ")} were not approved`;
+    }
+  }
+
+  if (closeAs) {
+    const closedAs = closeAs === "not_planned" ? " as not planned" : "";
+    const remainingList = remaining
+      .map((subIssue) => `- ${parseSubIssueRef(subIssue).ref}`)
+      .join("\n");
+
+    const renderComment = (followUpRef) => {
+      if (commentTemplate === null) {
+        return null;
+      }
+      let body = renderTemplate(commentTemplate, {
+        issue: issueRef,
+        title: issue.title,
+        parent: path[path.length - 1] || "",
+        reason,
+        completed: updatedSummary.completed,
+        total: updatedSummary.total,
+        children: subIssues
+          .map((subIssue) => {
+            const done = !remaining.includes(subIssue);
+            // Sub-issues moved to the follow-up issue are no longer under this one
+            const moved = followUpRef && !done ? ` (moved to ${followUpRef})` : "";
+            return `- [${done ? "x" : " "}] ${parseSubIssueRef(subIssue).ref}${moved}`;
+          })
+          .join("\n"),
+        run_url: getRunUrl(),
+        remaining: remainingList,
+        follow_up: followUpRef,
+      });
+
+      // Closing below 100% always says what was left behind, unless the template already does
+      if (remaining.length > 0 && !/\{\{\s*remaining\s*\}\}/.test(commentTemplate)) {
+        const heading = followUpRef ? `Still open, moved to ${followUpRef}:` : "Still open:";
+        body += `\n\n${heading}\n${remainingList}`;
+      }
+      return body;
+    };
 
-  if (updatedSummary && updatedSummary.percent_completed === 100) {
-    if (dryRun) {
+    // Past --max-close, the rest of a live run only reports what it would close
+    const heldBack = !dryRun && closeBudget !== null && !closeBudget.take();
+    const capped = heldBack ? `, --max-close ${closeBudget.max} reached` : "";
+
+    if (dryRun || heldBack) {
       if (verbose) {
-        console.log(
-          `${indent}   ${greenOpen} → ${purpleClosed} ${dim}Would close (all sub-issues complete)${reset}`
+        log(
+          `${indent}   ${greenOpen} → ${purpleClosed} ${dim}Would close${closedAs} (${description}${capped})${reset}`
         );
       } else {
-        console.log(
-          `${purpleClosed} ${bold}${issueRef}${reset} ${dim}- "${issue.title}" (would be closed)${reset}`
+        log(
+          `${purpleClosed} ${bold}${issueRef}${reset} ${dim}- "${issue.title}" (would be closed${closedAs}${capped})${reset}`
         );
       }
-      totalClosed++;
+      if (followUp && remaining.length > 0) {
+        log(
+          `${verbose ? indent : ""}   ${softOrange} ${dim}Would move ${remaining.length} open sub-issue(s) to a follow-up issue${reset}`
+        );
+      }
+      plan?.push({
+        type: "close",
+        ref: issueRef,
+        owner,
+        repo,
+        issue_number,
+        title: issue.title,
+        parent: path[path.length - 1] || null,
+        state_reason: closeAs,
+        reason,
+        body: renderComment(""),
+        updated_at: issue.updated_at || null,
+        summary: issue.sub_issues_summary,
+      });
+      if (dryRun) {
+        totalClosed++;
+      }
     } else {
       if (verbose) {
-        console.log(
-          `${indent}   ${greenOpen} → ${purpleClosed} ${dim}Closing (all sub-issues complete)${reset}`
+        log(
+          `${indent}   ${greenOpen} → ${purpleClosed} ${dim}Closing${closedAs} (${description})${reset}`
         );
       } else {
-        console.log(
-          `${purpleClosed} ${bold}${issueRef}${reset} ${dim}- "${issue.title}" (closed)${reset}`
+        log(
+          `${purpleClosed} ${bold}${issueRef}${reset} ${dim}- "${issue.title}" (closed${closedAs})${reset}`
+        );
+      }
+
+      // Move the leftovers first so they are never orphaned under a closed parent
+      let followUpRef = "";
+      let followUpNumber = null;
+      if (followUp && remaining.length > 0) {
+        // Each step is journaled as it happens, so a move that fails halfway can be rolled back
+        await run(() =>
+          moveToFollowUp(octokit, owner, repo, issue, remaining, {
+            onCreated: (created) => {
+              followUpNumber = created.number;
+              followUpRef = `${owner}/${repo}#${created.number}`;
+              node.follow_up = followUpRef;
+              undo?.record({
+                type: "follow-up",
+                ref: issueRef,
+                owner,
+                repo,
+                issue_number,
+                follow_up: followUpRef,
+                follow_up_number: followUpNumber,
+              });
+            },
+            onMoved: (subIssue) => {
+              undo?.record({
+                type: "moved",
+                ref: parseSubIssueRef(subIssue).ref,
+                owner,
+                repo,
+                issue_number,
+                follow_up: followUpRef,
+                follow_up_number: followUpNumber,
+                sub_issue_id: subIssue.id,
+              });
+            },
+          })
+        );
+        checkpoint?.record({ type: "follow-up", ref: issueRef, follow_up: followUpRef });
+        log(
+          `${verbose ? indent : ""}   ${softOrange} ${dim}Moved ${remaining.length} open sub-issue(s) to ${followUpRef}${reset}`
         );
       }
-      await closeIssue(octokit, owner, repo, issue_number, "All sub-issues are now complete");
+
+      const body = renderComment(followUpRef);
+      await run(() =>
+        closeIssue(octokit, owner, repo, issue_number, reason, {
+          stateReason: closeAs,
+          body,
+          undo,
+          previous: issue,
+        })
+      );
+      source.markClosed?.(owner, repo, issue_number, closeAs);
+      checkpoint?.record({ type: "closed", ref: issueRef, state_reason: closeAs });
       totalClosed++;
     }
+    node.closed = true;
+    node.state_reason = closeAs;
+    decide(
+      dryRun || heldBack ? "would_close" : "closed",
+      heldBack ? `${reason} (held back by --max-close)` : reason
+    );
   } else {
     if (verbose) {
-      console.log(
-        `${indent}   ${greenOpen} ${dim}Keeping open (${updatedSummary?.completed || 0}/${
-          updatedSummary?.total || 0
-        } sub-issues complete)${reset}`
-      );
+      log(`${indent}   ${greenOpen} ${dim}Keeping open (${keepOpenReason})${reset}`);
     }
+    decide("kept_open", keepOpenReason);
   }
+  node.summary = updatedSummary || node.summary;
 
+  // A sub-tree with failed or unfinished branches stays unsettled, so --resume walks it again
+  if (children.every((child) => child?.settled)) {
+    settle();
+  }
   return { processed: totalProcessed, closed: totalClosed };
 }
 
@@ -289,9 +1141,212 @@ export function validateNonInteractiveMode(cliArgs) {
   if (!cliArgs.token && !process.env.GITHUB_TOKEN) {
     missing.push("token (use -t/--token or set GITHUB_TOKEN environment variable)");
   }
-  if (!cliArgs.issue) {
+  // apply and rollback take their issues from the plan or journal
+  if (
+    cliArgs.issues.length === 0 &&
+    !cliArgs.issuesFile &&
+    !["apply", "rollback"].includes(cliArgs.command)
+  ) {
     missing.push("issue (use -i/--issue)");
   }
 
   return missing;
 }
+
+/**
+ * Validates option values that cannot be checked while parsing
+ * @param {Object} cliArgs - Parsed CLI arguments
+ * @returns {string[]} Array of problems with the provided options
+ */
+export function validateOptions(cliArgs) {
+  const problems = [];
+
+  if (!COMMANDS.includes(cliArgs.command)) {
+    problems.push(`Unknown command "${cliArgs.command}" (available: ${COMMANDS.join(", ")})`);
+  }
+  if (cliArgs.command !== "close" && (cliArgs.checkpoint || cliArgs.resume)) {
+    problems.push(`--checkpoint and --resume are not supported by ${cliArgs.command}`);
+  }
+  if (!["text", "json"].includes(cliArgs.output)) {
+    problems.push("--output must be either text or json");
+  } else if (cliArgs.output === "json" && !cliArgs.nonInteractive) {
+    // Prompts are written to stdout and would corrupt the document
+    problems.push("--output json requires -y/--yes");
+  }
+  if (cliArgs.events !== null) {
+    if (cliArgs.events !== "ndjson") {
+      problems.push("--events must be ndjson");
+    } else if (cliArgs.output === "json") {
+      problems.push("--events and --output json cannot share stdout, pick one");
+    } else if (!cliArgs.nonInteractive) {
+      problems.push("--events requires -y/--yes");
+    } else if (cliArgs.command !== "close") {
+      problems.push(`--events is not supported by ${cliArgs.command}`);
+    }
+  }
+  if (
+    ["graph", "status", "explain", "plan"].includes(cliArgs.command) &&
+    cliArgs.dryRun === false
+  ) {
+    problems.push(`${cliArgs.command} only reads the hierarchy and cannot be combined with --live`);
+  }
+  if (
+    ["status", "explain", "apply", "rollback"].includes(cliArgs.command) &&
+    cliArgs.output === "json"
+  ) {
+    problems.push(`--output json is not supported by ${cliArgs.command}`);
+  }
+  if (cliArgs.command === "plan") {
+    if (!cliArgs.out) {
+      problems.push("plan requires --out <file>");
+    }
+    if (cliArgs.followUp) {
+      // The follow-up issue only exists once a live run creates it
+      problems.push("--follow-up is not supported by plan");
+    }
+  }
+  if (cliArgs.command === "apply" && !cliArgs.planFile) {
+    problems.push("apply requires a plan file, e.g. apply plan.json");
+  }
+  if (cliArgs.command === "rollback" && !cliArgs.journal) {
+    problems.push("rollback requires an undo journal, e.g. rollback undo.ndjson");
+  }
+  if (cliArgs.issuesFile === "") {
+    problems.push("--issues-file requires a file path, or - to read from stdin");
+  } else if (cliArgs.issuesFile === "-" && !cliArgs.nonInteractive) {
+    // Prompts read from stdin too
+    problems.push("--issues-file - reads the issues from stdin and requires -y/--yes");
+  }
+  if (cliArgs.issues.some((issue) => !issue)) {
+    problems.push("-i/--issue requires an issue reference");
+  }
+  // The same issue given twice is still a single root (see the de-duplication in index.js)
+  const distinctIssues = new Set(
+    cliArgs.issues.map((issue) => {
+      const parsed = parseIssueInput(issue);
+      return parsed ? `${parsed.owner}/${parsed.repo}#${parsed.issue_number}`.toLowerCase() : issue;
+    })
+  );
+  if (
+    (distinctIssues.size > 1 || cliArgs.issuesFile) &&
+    !["close", "cascade", "reconcile"].includes(cliArgs.command)
+  ) {
+    problems.push(
+      `${cliArgs.command} takes a single issue, only close, cascade and reconcile accept several`
+    );
+  }
+  if (cliArgs.undoLog === "") {
+    problems.push("--undo-log requires a file path");
+  }
+  if (cliArgs.command === "graph") {
+    if (cliArgs.output === "json" || cliArgs.events !== null) {
+      problems.push(
+        "graph prints the graph on stdout and cannot be combined with --output json or --events"
+      );
+    } else if (!cliArgs.nonInteractive) {
+      // Prompts are written to stdout and would corrupt the graph
+      problems.push("graph requires -y/--yes");
+    }
+  }
+  if (!["tree", "number", "title", "progress", "state"].includes(cliArgs.sort)) {
+    problems.push("--sort must be one of tree, number, title, progress or state");
+  }
+  if (!["mermaid", "dot"].includes(cliArgs.format)) {
+    problems.push("--format must be either mermaid or dot");
+  }
+  if (cliArgs.reportMarkdown === "") {
+    problems.push("--report-markdown requires a file path");
+  }
+  if (!Number.isInteger(cliArgs.pageSize) || cliArgs.pageSize < 1 || cliArgs.pageSize > 100) {
+    problems.push("--page-size must be an integer between 1 and 100");
+  }
+  if (!Number.isInteger(cliArgs.concurrency) || cliArgs.concurrency < 1) {
+    problems.push("--concurrency must be a positive integer");
+  }
+  if (!["rest", "graphql"].includes(cliArgs.api)) {
+    problems.push("--api must be either rest or graphql");
+  }
+  if (cliArgs.closeReason !== null && !["completed", "not_planned"].includes(cliArgs.closeReason)) {
+    problems.push("--close-reason must be either completed or not_planned");
+  }
+  if (
+    cliArgs.notPlannedPolicy !== null &&
+    !["not_planned", "review", "completed"].includes(cliArgs.notPlannedPolicy)
+  ) {
+    problems.push("--not-planned-policy must be one of not_planned, review or completed");
+  }
+  if (
+    cliArgs.threshold !== null &&
+    (!Number.isInteger(cliArgs.threshold) || cliArgs.threshold < 1 || cliArgs.threshold > 100)
+  ) {
+    problems.push("--threshold must be an integer between 1 and 100");
+  }
+  if (
+    cliArgs.minChildren !== null &&
+    (!Number.isInteger(cliArgs.minChildren) || cliArgs.minChildren < 0)
+  ) {
+    problems.push("--min-children must be a non-negative integer");
+  }
+  if (cliArgs.maxDepth !== null && (!Number.isInteger(cliArgs.maxDepth) || cliArgs.maxDepth < 0)) {
+    problems.push("--max-depth must be a non-negative integer");
+  }
+  if (cliArgs.maxClose !== null) {
+    if (!Number.isInteger(cliArgs.maxClose) || cliArgs.maxClose < 1) {
+      problems.push("--max-close must be a positive integer");
+    } else if (!["close", "cascade", "apply"].includes(cliArgs.command)) {
+      problems.push(`--max-close is not supported by ${cliArgs.command}`);
+    }
+  }
+  if (cliArgs.confirmEach) {
+    if (cliArgs.command !== "close") {
+      problems.push(`--confirm-each is not supported by ${cliArgs.command}`);
+    } else if (cliArgs.nonInteractive) {
+      problems.push("--confirm-each asks before every close and cannot be combined with -y/--yes");
+    } else if (cliArgs.dryRun === true) {
+      problems.push("--confirm-each only applies to live runs");
+    }
+  }
+  if (cliArgs.closeDepth !== null && !parseDepthRange(cliArgs.closeDepth)) {
+    problems.push('--close-depth must be a depth or a range such as "0-1" or "2-"');
+  }
+  if (["cascade", "reconcile"].includes(cliArgs.command)) {
+    // Cascade closes every open descendant and reconcile only reopens, so the options that
+    // decide which parents are complete enough to close would be silently ignored
+    const ignored = [
+      ["--only-label", cliArgs.onlyLabels.length > 0],
+      ["--close-depth", cliArgs.closeDepth !== null],
+      ["--threshold", cliArgs.threshold !== null],
+      ["--min-children", cliArgs.minChildren !== null],
+      ["--follow-up", cliArgs.followUp],
+      ["--not-planned-policy", cliArgs.notPlannedPolicy !== null],
+      // Cascade takes it as an override of the root's state reason
+      ["--close-reason", cliArgs.command === "reconcile" && cliArgs.closeReason !== null],
+      // Reconcile explains its reopenings in a comment of its own
+      ["--comment-template", cliArgs.command === "reconcile" && cliArgs.commentTemplate !== null],
+    ];
+    for (const [flag, given] of ignored) {
+      if (given) {
+        problems.push(`${flag} is not supported by ${cliArgs.command}`);
+      }
+    }
+  }
+  for (const [flag, patterns] of [
+    ["--skip-label", cliArgs.skipLabels],
+    ["--only-label", cliArgs.onlyLabels],
+    ["--protect-label", cliArgs.protectLabels],
+  ]) {
+    if (patterns.some((pattern) => !pattern)) {
+      problems.push(`${flag} requires a label or glob`);
+    }
+  }
+  if (cliArgs.commentTemplate && cliArgs.comment) {
+    // Checked before anything is closed so a typo cannot fail the run halfway through
+    try {
+      problems.push(...validateTemplate(loadCommentTemplate(cliArgs.commentTemplate)));
+    } catch (error) {
+      problems.push(error.message);
+    }
+  }
+
+  return problems;
+}
@@ -0,0 +1,44 @@
+/**
+ * NDJSON event stream for the GitHub Sub-Issue Closer
+ *
+ * Emits one JSON line per step of a run, so dashboards can follow long runs as they
+ * progress instead of waiting for the final report.
+ */
+
+/**
+ * Fields carried by each event type, in addition to `type` and the ISO 8601 `at` timestamp.
+ * This is the stable schema of the stream: fields may be added, but never renamed or removed.
+ */
+export const EVENT_SCHEMAS = {
+  visit: ["ref", "depth", "title", "state"],
+  skip: ["ref", "depth", "reason"],
+  "would-close": ["ref", "depth", "reason", "state_reason"],
+  closed: ["ref", "depth", "reason", "state_reason"],
+  "kept-open": ["ref", "depth", "reason"],
+  error: ["ref", "depth", "message"],
+  summary: ["processed", "closed", "reopened", "errors"],
+};
+
+/**
+ * Creates an emitter that writes events as newline-delimited JSON
+ * @param {Object} options - Stream options
+ * @param {Function} options.write - Writes a chunk of output (defaults to stdout)
+ * @param {Function} options.now - Returns the current date
+ * @returns {Function} emit(type, fields) - Writes one event
+ */
+export function createEventStream(options = {}) {
+  const write = options.write || ((chunk) => process.stdout.write(chunk));
+  const now = options.now || (() => new Date());
+
+  return (type, fields) => {
+    if (!Object.hasOwn(EVENT_SCHEMAS, type)) {
+      throw new Error(`Unknown event type: ${type}`);
+    }
+
+    const event = { type, at: now().toISOString() };
+    for (const field of EVENT_SCHEMAS[type]) {
+      event[field] = fields[field] ?? null;
+    }
+    write(`${JSON.stringify(event)}\n`);
+  };
+}
@@ -0,0 +1,95 @@
+/**
+ * Explain mode for the GitHub Sub-Issue Closer
+ *
+ * Finds the open descendants that keep an issue open, so the people who can unblock
+ * it can be chased directly.
+ */
+
+import { bold, dim, greenOpen, purpleClosed, reset } from "./symbols.js";
+
+/**
+ * Finds the issues blocking an issue from being closed: the deepest open descendants
+ * on every open branch of the tree
+ * @param {Object} tree - Root node from collectStatusTree
+ * @param {string[]} path - Refs of the ancestors of this node (used internally)
+ * @returns {Object[]} Blockers with ref, title, path, assignees, updated_at and reason
+ */
+export function findBlockers(tree, path = []) {
+  const blocker = (reason) => ({
+    ref: tree.ref,
+    title: tree.title ?? null,
+    path: [...path, tree.ref],
+    assignees: tree.assignees || [],
+    updated_at: tree.updated_at ?? null,
+    reason,
+  });
+
+  // Shared sub-issues are explained where they first appear
+  if (tree.duplicate) {
+    return [];
+  }
+  if (tree.error) {
+    return [blocker(`could not be read: ${tree.error}`)];
+  }
+  if (tree.state === "closed") {
+    return [];
+  }
+
+  const below = tree.children.flatMap((child) => findBlockers(child, [...path, tree.ref]));
+  if (below.length > 0) {
+    return below;
+  }
+
+  // Nothing open below, so the issue blocks its ancestors itself
+  if (tree.truncated) {
+    return [blocker("open, its sub-issues are below --max-depth and were not checked")];
+  }
+  if (tree.summary?.total) {
+    return [
+      blocker(
+        `open although all ${tree.summary.total} sub-issues are complete, the next close run would close it`
+      ),
+    ];
+  }
+  return [blocker("open")];
+}
+
+/**
+ * Renders the explanation of why an issue is still open
+ * @param {Object} tree - Root node from collectStatusTree
+ * @param {Object[]} blockers - Blockers from findBlockers
+ * @returns {string[]} Lines of output
+ */
+export function renderExplanation(tree, blockers) {
+  const heading = `${bold}${tree.ref}${reset} ${dim}- "${tree.title}"${reset}`;
+
+  if (tree.state === "closed") {
+    return [`${purpleClosed} ${heading} is already closed`];
+  }
+
+  // The root itself is its only blocker when nothing below it is open
+  if (blockers.length === 1 && blockers[0].ref === tree.ref) {
+    return [`🔎 No open sub-issues found below ${heading} (${blockers[0].reason})`];
+  }
+
+  const lines = [`🔎 ${heading} is blocked by ${blockers.length} open issue(s):`];
+
+  for (const { ref, title, path, assignees, updated_at, reason } of blockers) {
+    const owners =
+      assignees.length > 0 ? assignees.map((login) => `@${login}`).join(" ") : "nobody";
+    const updated = updated_at ? updated_at.slice(0, 10) : "unknown";
+
+    lines.push(
+      "",
+      `${greenOpen} ${bold}${ref}${reset}${title ? ` ${dim}- "${title}"${reset}` : ""}`,
+      `   Path: ${path.join(" → ")}`,
+      `   Assignees: ${owners}`,
+      `   Last updated: ${updated}`
+    );
+    if (reason !== "open") {
+      lines.push(`   ${dim}${reason}${reset}`);
+    }
+  }
+
+  return lines;
+}
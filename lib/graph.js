@@ -0,0 +1,220 @@
+/**
+ * Hierarchy graphs for the GitHub Sub-Issue Closer
+ *
+ * Renders the whole hierarchy, closed branches included (see collectStatusTree in status.js),
+ * as a Mermaid flowchart or a Graphviz DOT digraph, for planning reviews and documentation.
+ */
+
+/**
+ * Fill and border colors of each node style, taken from GitHub's issue state colors
+ */
+export const NODE_STYLES = {
+  open: { fill: "#dafbe1", stroke: "#1a7f37" },
+  inProgress: { fill: "#fff8c5", stroke: "#9a6700" },
+  closed: { fill: "#fbefff", stroke: "#8250df" },
+  notPlanned: { fill: "#f6f8fa", stroke: "#6e7781" },
+  unknown: { fill: "#ffffff", stroke: "#d0d7de" },
+};
+
+// Border of the nodes a dry-run would close, when highlighting is requested
+const HIGHLIGHT = { stroke: "#cf222e", width: 3 };
+
+/**
+ * Copies the decisions of a dry-run onto a status tree, so the issues it would close
+ * can be highlighted
+ * @param {Object} tree - Root node from collectStatusTree
+ * @param {Map} visited - Records of the dry-run, keyed by lower-cased ref (see core.js)
+ * @returns {Object} Copy of the tree with `decision` set on every node the dry-run reached
+ */
+export function overlayDecisions(tree, visited) {
+  const overlay = (node) => {
+    if (node.duplicate) {
+      return node;
+    }
+    return {
+      ...node,
+      decision: visited.get(node.ref.toLowerCase())?.decision ?? null,
+      children: (node.children || []).map(overlay),
+    };
+  };
+  return overlay(tree);
+}
+
+/**
+ * Picks the style of a node from its state and completion
+ * @param {Object} node - Tree node from collectStatusTree
+ * @returns {string} Key of NODE_STYLES
+ */
+export function nodeStyle(node) {
+  if (node.state === "closed") {
+    return node.state_reason === "not_planned" ? "notPlanned" : "closed";
+  }
+  if (node.state === "open") {
+    return node.summary?.completed > 0 ? "inProgress" : "open";
+  }
+  return "unknown";
+}
+
+/**
+ * Flattens a tree into its distinct issues and parent → child edges
+ * @param {Object} tree - Root node from collectStatusTree
+ * @returns {Object} `nodes` (first occurrence of each issue, with an `id`) and `edges` ([from, to] ids)
+ */
+export function flattenTree(tree) {
+  const ids = new Map();
+  const nodes = [];
+  const edges = [];
+
+  const idOf = (ref) => {
+    const key = ref.toLowerCase();
+    if (!ids.has(key)) {
+      ids.set(key, `n${ids.size}`);
+    }
+    return ids.get(key);
+  };
+
+  const visit = (node) => {
+    const id = idOf(node.ref);
+
+    // Shared sub-issues and cycles only get an edge, the node itself is drawn once
+    if (node.duplicate) {
+      return id;
+    }
+    nodes.push({ ...node, id });
+    // Sub-trees that could not be read have no children
+    for (const child of node.children || []) {
+      edges.push([id, visit(child)]);
+    }
+    return id;
+  };
+
+  visit(tree);
+  return { nodes, edges };
+}
+
+/**
+ * Groups nodes by repository, so cross-repo hierarchies can be drawn as clusters
+ * @param {Object[]} nodes - Nodes from flattenTree
+ * @returns {Map} Map of "owner/repo" to the nodes in that repository, in walk order
+ */
+function groupByRepository(nodes) {
+  const groups = new Map();
+
+  for (const node of nodes) {
+    const repository = node.ref.slice(0, node.ref.lastIndexOf("#"));
+    if (!groups.has(repository)) {
+      groups.set(repository, []);
+    }
+    groups.get(repository).push(node);
+  }
+  return groups;
+}
+
+/**
+ * Builds the text lines shown inside a node
+ * @param {Object} node - Node from flattenTree
+ * @returns {string[]} Reference, title and completion
+ */
+function labelLines(node) {
+  const lines = [node.ref];
+
+  if (node.title) {
+    lines.push(node.title);
+  }
+  if (node.summary?.total) {
+    lines.push(`${node.summary.completed || 0}/${node.summary.total} done`);
+  }
+  return lines;
+}
+
+/**
+ * Renders the hierarchy as a Mermaid flowchart
+ * @param {Object} tree - Root node from collectStatusTree
+ * @param {Object} options - Rendering options
+ * @param {boolean} options.highlight - Outline the issues a dry-run would close
+ * @returns {string} Mermaid source
+ */
+export function renderMermaid(tree, { highlight = false } = {}) {
+  const { nodes, edges } = flattenTree(tree);
+  const groups = groupByRepository(nodes);
+  const clustered = groups.size > 1;
+  const escape = (text) => text.replace(/"/g, "#quot;");
+  const lines = ["flowchart TD"];
+
+  const nodeLine = (node, indent) =>
+    `${indent}${node.id}["${labelLines(node).map(escape).join("<br/>")}"]`;
+
+  if (clustered) {
+    [...groups].forEach(([repository, members], index) => {
+      lines.push(`  subgraph r${index} ["${escape(repository)}"]`);
+      lines.push(...members.map((node) => nodeLine(node, "    ")));
+      lines.push("  end");
+    });
+  } else {
+    lines.push(...nodes.map((node) => nodeLine(node, "  ")));
+  }
+
+  lines.push(...edges.map(([from, to]) => `  ${from} --> ${to}`));
+
+  for (const [name, { fill, stroke }] of Object.entries(NODE_STYLES)) {
+    lines.push(`  classDef ${name} fill:${fill},stroke:${stroke}`);
+  }
+  lines.push(...nodes.map((node) => `  class ${node.id} ${nodeStyle(node)}`));
+
+  const closable = nodes.filter((node) => node.decision === "would_close");
+  if (highlight && closable.length > 0) {
+    lines.push(
+      `  classDef wouldClose stroke:${HIGHLIGHT.stroke},stroke-width:${HIGHLIGHT.width}px`
+    );
+    lines.push(`  class ${closable.map((node) => node.id).join(",")} wouldClose`);
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Renders the hierarchy as a Graphviz DOT digraph
+ * @param {Object} tree - Root node from collectStatusTree
+ * @param {Object} options - Rendering options
+ * @param {boolean} options.highlight - Outline the issues a dry-run would close
+ * @returns {string} DOT source
+ */
+export function renderDot(tree, { highlight = false } = {}) {
+  const { nodes, edges } = flattenTree(tree);
+  const groups = groupByRepository(nodes);
+  const clustered = groups.size > 1;
+  const escape = (text) => text.replace(/[\\"]/g, "\\$&");
+  const lines = [
+    "digraph issues {",
+    "  rankdir=TB;",
+    '  node [shape=box, style="rounded,filled", fontname="Helvetica"];',
+  ];
+
+  const nodeLine = (node, indent) => {
+    const { fill, stroke } = NODE_STYLES[nodeStyle(node)];
+    const highlighted = highlight && node.decision === "would_close";
+    const attributes = [
+      `label="${labelLines(node).map(escape).join("\\n")}"`,
+      `fillcolor="${fill}"`,
+      `color="${highlighted ? HIGHLIGHT.stroke : stroke}"`,
+      ...(highlighted ? [`penwidth=${HIGHLIGHT.width}`] : []),
+    ];
+    return `${indent}${node.id} [${attributes.join(", ")}];`;
+  };
+
+  if (clustered) {
+    [...groups].forEach(([repository, members], index) => {
+      lines.push(`  subgraph cluster_${index} {`);
+      lines.push(`    label="${escape(repository)}";`);
+      lines.push(...members.map((node) => nodeLine(node, "    ")));
+      lines.push("  }");
+    });
+  } else {
+    lines.push(...nodes.map((node) => nodeLine(node, "  ")));
+  }
+
+  lines.push(...edges.map(([from, to]) => `  ${from} -> ${to};`));
+  lines.push("}");
+
+  return `${lines.join("\n")}\n`;
+}
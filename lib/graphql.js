@@ -0,0 +1,306 @@
+/**
+ * GraphQL fetch backend for the GitHub Sub-Issue Closer
+ *
+ * Loads a whole issue hierarchy in batched GraphQL queries and serves it from memory,
+ * returning the same shapes as the REST endpoints so the closing logic in core.js
+ * works unchanged.
+ */
+
+// Number of parent issues whose sub-issues are requested in a single query
+const BATCH_SIZE = 25;
+
+const ISSUE_FIELDS = `
+  id
+  databaseId
+  number
+  title
+  state
+  stateReason
+  closedAt
+  updatedAt
+  url
+  repository {
+    name
+    owner {
+      login
+    }
+  }
+  subIssuesSummary {
+    total
+    completed
+    percentCompleted
+  }
+  labels(first: 100) {
+    nodes {
+      name
+    }
+  }
+  assignees(first: 20) {
+    nodes {
+      login
+    }
+  }
+`;
+
+const ROOT_QUERY = `
+  query ($owner: String!, $repo: String!, $number: Int!, $pageSize: Int!) {
+    repository(owner: $owner, name: $repo) {
+      issue(number: $number) {
+        ${ISSUE_FIELDS}
+        subIssues(first: $pageSize) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          nodes {
+            ${ISSUE_FIELDS}
+          }
+        }
+      }
+    }
+  }
+`;
+
+const CHILDREN_QUERY = `
+  query ($ids: [ID!]!, $pageSize: Int!) {
+    nodes(ids: $ids) {
+      ... on Issue {
+        id
+        subIssues(first: $pageSize) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          nodes {
+            ${ISSUE_FIELDS}
+          }
+        }
+      }
+    }
+  }
+`;
+
+const NEXT_PAGE_QUERY = `
+  query ($id: ID!, $pageSize: Int!, $cursor: String!) {
+    node(id: $id) {
+      ... on Issue {
+        subIssues(first: $pageSize, after: $cursor) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          nodes {
+            ${ISSUE_FIELDS}
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Converts a GraphQL issue node into the shape returned by the REST API
+ * @param {Object} node - GraphQL issue node
+ * @returns {Object} REST-shaped issue
+ */
+export function toRestIssue(node) {
+  const owner = node.repository.owner.login;
+  const repo = node.repository.name;
+
+  return {
+    id: node.databaseId,
+    node_id: node.id,
+    number: node.number,
+    title: node.title,
+    state: node.state.toLowerCase(),
+    state_reason: node.stateReason ? node.stateReason.toLowerCase() : null,
+    closed_at: node.closedAt ?? null,
+    updated_at: node.updatedAt ?? null,
+    html_url: node.url,
+    labels: (node.labels?.nodes || []).map((label) => ({ name: label.name })),
+    assignees: (node.assignees?.nodes || []).map((assignee) => ({ login: assignee.login })),
+    repository_url: `https://api.github.com/repos/${owner}/${repo}`,
+    sub_issues_summary: node.subIssuesSummary && {
+      total: node.subIssuesSummary.total,
+      completed: node.subIssuesSummary.completed,
+      percent_completed: node.subIssuesSummary.percentCompleted,
+    },
+  };
+}
+
+/**
+ * Creates an issue source backed by batched GraphQL queries.
+ * The first request for an issue loads its entire hierarchy; later requests are served from memory.
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} options - Source options
+ * @param {number} options.pageSize - Sub-issues requested per connection page (max 100)
+ * @returns {Object} Source with getIssue, getSubIssues and markClosed
+ */
+export function createGraphQLSource(octokit, { pageSize = 100 } = {}) {
+  // Lower-cased ref -> { issue, nodeId, children, parents }
+  const cache = new Map();
+  const loading = new Map();
+
+  const keyOf = (owner, repo, number) => `${owner}/${repo}#${number}`.toLowerCase();
+
+  const graphql = (query, variables) =>
+    octokit.graphql(query, {
+      ...variables,
+      headers: { "GraphQL-Features": "sub_issues" },
+    });
+
+  const remember = (node) => {
+    const issue = toRestIssue(node);
+    const key = keyOf(node.repository.owner.login, node.repository.name, node.number);
+
+    if (!cache.has(key)) {
+      cache.set(key, { issue, nodeId: node.id, children: null, parents: new Set() });
+    }
+    return key;
+  };
+
+  const addChildren = async (key, connection) => {
+    const entry = cache.get(key);
+    entry.children = entry.children || [];
+
+    let page = connection;
+    for (;;) {
+      for (const child of page.nodes) {
+        const childKey = remember(child);
+        cache.get(childKey).parents.add(key);
+        entry.children.push(childKey);
+      }
+
+      if (!page.pageInfo.hasNextPage) {
+        break;
+      }
+
+      const data = await graphql(NEXT_PAGE_QUERY, {
+        id: entry.nodeId,
+        pageSize,
+        cursor: page.pageInfo.endCursor,
+      });
+      page = data.node.subIssues;
+    }
+  };
+
+  // Only open issues are expanded: closed ones are skipped by the closing logic,
+  // and are loaded on demand if something asks for their children.
+  const needsChildren = (key) => {
+    const { issue, children } = cache.get(key);
+    return children === null && issue.state === "open" && issue.sub_issues_summary?.total > 0;
+  };
+
+  const expand = async (keys) => {
+    let frontier = keys.filter(needsChildren);
+
+    while (frontier.length > 0) {
+      const next = [];
+
+      for (let i = 0; i < frontier.length; i += BATCH_SIZE) {
+        const batch = frontier.slice(i, i + BATCH_SIZE);
+        const data = await graphql(CHILDREN_QUERY, {
+          ids: batch.map((key) => cache.get(key).nodeId),
+          pageSize,
+        });
+
+        for (const [index, node] of data.nodes.entries()) {
+          const key = batch[index];
+          await addChildren(key, node?.subIssues || { nodes: [], pageInfo: {} });
+          next.push(...cache.get(key).children);
+        }
+      }
+
+      frontier = [...new Set(next)].filter(needsChildren);
+    }
+  };
+
+  const loadTree = async (owner, repo, issue_number) => {
+    let data;
+
+    try {
+      data = await graphql(ROOT_QUERY, { owner, repo, number: issue_number, pageSize });
+    } catch (error) {
+      if (error.errors?.some((e) => e.type === "NOT_FOUND")) {
+        throw new Error(`Issue #${issue_number} not found in ${owner}/${repo}`);
+      }
+      throw error;
+    }
+
+    const node = data.repository?.issue;
+    if (!node) {
+      throw new Error(`Issue #${issue_number} not found in ${owner}/${repo}`);
+    }
+
+    const key = remember(node);
+    if (cache.get(key).children === null) {
+      await addChildren(key, node.subIssues);
+    }
+    await expand(cache.get(key).children);
+  };
+
+  // Concurrent requests for the same uncached issue share a single load
+  const ensureLoaded = (owner, repo, issue_number) => {
+    const key = keyOf(owner, repo, issue_number);
+
+    if (cache.has(key)) {
+      return key;
+    }
+    if (!loading.has(key)) {
+      loading.set(
+        key,
+        loadTree(owner, repo, issue_number).finally(() => loading.delete(key))
+      );
+    }
+    return loading.get(key).then(() => key);
+  };
+
+  return {
+    async getIssue(owner, repo, issue_number) {
+      const key = await ensureLoaded(owner, repo, issue_number);
+      return cache.get(key).issue;
+    },
+
+    async getSubIssues(owner, repo, issue_number) {
+      const key = await ensureLoaded(owner, repo, issue_number);
+
+      const entry = cache.get(key);
+      if (entry.children === null) {
+        if (entry.issue.sub_issues_summary?.total > 0) {
+          const data = await graphql(CHILDREN_QUERY, { ids: [entry.nodeId], pageSize });
+          // The issue may have been deleted or become inaccessible since it was loaded
+          if (!data.nodes[0]) {
+            throw new Error(`Issue #${issue_number} not found in ${owner}/${repo}`);
+          }
+          await addChildren(key, data.nodes[0].subIssues);
+          await expand(entry.children);
+        } else {
+          entry.children = [];
+        }
+      }
+      return entry.children.map((childKey) => cache.get(childKey).issue);
+    },
+
+    /**
+     * Records a closure made during this run so parents see an up-to-date summary
+     * @param {string} stateReason - state_reason the issue was closed with
+     */
+    markClosed(owner, repo, issue_number, stateReason = "completed") {
+      const entry = cache.get(keyOf(owner, repo, issue_number));
+      if (!entry || entry.issue.state === "closed") {
+        return;
+      }
+
+      entry.issue.state = "closed";
+      entry.issue.state_reason = stateReason;
+
+      for (const parentKey of entry.parents) {
+        const summary = cache.get(parentKey).issue.sub_issues_summary;
+        if (summary && summary.total > 0) {
+          summary.completed = Math.min(summary.completed + 1, summary.total);
+          summary.percent_completed = Math.floor((summary.completed / summary.total) * 100);
+        }
+      }
+    },
+  };
+}
@@ -8,16 +8,98 @@ export function showHelp() {
 A CLI tool to recursively close GitHub sub-issues when they are 100% complete.
 
 USAGE:
-  node index.js [options]
-  sub-issue-closer [options]    (if installed globally)
+  node index.js [command] [issue...] [options]
+  sub-issue-closer [command] [issue...] [options]    (if installed globally)
+
+COMMANDS:
+  close                         Close parents whose sub-issues are complete,
+                                bottom-up (default)
+  cascade                       Close the open descendants of an issue that was
+                                closed by hand, with the same state reason
+  reconcile                     Reopen parents closed by this tool whose sub-issues
+                                are open again
+  plan                          Record the closes a dry-run would make in a plan file
+                                (requires --out)
+  apply <plan.json>             Make exactly the closes recorded in a plan, refusing
+                                issues that changed since it was made
+  rollback <undo.ndjson>        Reverse an earlier live run: reopen the issues it
+                                closed, close the ones it reopened and move
+                                follow-up sub-issues back
+  status                        Print the hierarchy with completion rolled up across
+                                all levels, assignees and labels (read-only)
+  explain                       List the open issues that keep an issue open, with
+                                their paths, assignees and last updates (read-only)
+  graph                         Print the hierarchy as a Mermaid or DOT graph
+                                (read-only; requires -y)
 
 OPTIONS:
-  -i, --issue <issue>           Issue reference (owner/repo#123 or URL)
+  -i, --issue <issue>           Issue reference (owner/repo#123 or URL); repeatable
+                                with close, cascade and reconcile
+  --issues-file <file>          Read more issue references from a file, one per line
+                                (- reads them from stdin and requires -y)
   -t, --token <token>           GitHub Personal Access Token
   -d, --dry-run                 Run in dry-run mode (preview only)
   -l, --live                    Run in live mode (close issues)
   -v, --verbose                 Show detailed output (default: minimal)
   -y, --yes                     Non-interactive mode (for CI/CD)
+  --page-size <n>               Sub-issues fetched per API page (1-100, default: 100)
+  --concurrency <n>             Process sibling sub-trees in parallel, with at most n
+                                API calls in flight (default: 1, sequential)
+  --api <rest|graphql>          Backend used to read the issue tree (default: rest).
+                                graphql loads the hierarchy in batched queries
+  --close-reason <reason>       State reason used when closing: completed (default)
+                                or not_planned; overrides the root's with cascade
+  --not-planned-policy <policy> How sub-issues closed without being completed (not
+                                planned, duplicate) count: not_planned leaves them out
+                                and closes all-abandoned parents as not planned
+                                (default), review counts them as not complete,
+                                completed counts them as complete
+  --threshold <percent>         Close parents once this share of their sub-issues
+                                is complete (1-100, default: 100)
+  --min-children <n>            Only apply --threshold to parents with at least n
+                                sub-issues; smaller ones still need 100% (default: 0)
+  --follow-up                   When closing below 100%, move the still-open
+                                sub-issues onto a new follow-up issue
+  --max-depth <n>               Do not walk below depth n (the root is depth 0); issues
+                                at depth n are judged by their listed sub-issues
+  --close-depth <range>         Only close issues at these depths, e.g. 0-1, 2 or 3-
+  --skip-label <glob>           Neither walk nor close issues with a matching label
+                                (repeatable, * and ? wildcards)
+  --only-label <glob>           Only close issues with a matching label; the rest of
+                                the tree is still walked (repeatable)
+  --protect-label <glob>        Walk issues with a matching label but never close
+                                them (repeatable)
+  --comment-template <tmpl>     Closing comment, as a file path or a literal string.
+                                Placeholders: {{issue}}, {{title}}, {{parent}},
+                                {{reason}}, {{completed}}, {{total}}, {{children}},
+                                {{run_url}}, {{remaining}}, {{follow_up}}
+  --no-comment                  Close issues without posting a comment (reconcile cannot
+                                reopen issues closed this way)
+  --output <text|json>          Output format (default: text). json prints a single
+                                document with the whole tree on stdout and sends
+                                progress to stderr; requires -y
+  --events ndjson               Stream one JSON event per line on stdout as the
+                                run progresses (close only); requires -y
+  --sort <order>                Order of sibling issues in status: tree (as listed,
+                                default), number, title, progress or state
+  --collapse-closed             Hide the sub-issues of closed issues in status
+  --format <mermaid|dot>        Graph format for the graph command (default: mermaid)
+  --highlight-closable          Outline the issues a dry-run would close in the graph
+  --out <file>                  Where plan writes the plan
+  --confirm-each                Ask before every close in an interactive live run:
+                                approve, skip, skip a whole sub-tree or approve all
+                                (replaces the "Are you sure?" prompt)
+  --max-close <n>               Close at most n issues (close, cascade, apply); past
+                                the limit the rest of the run is only reported
+  --undo-log <file>             Where live runs record their changes for rollback
+                                (default: undo-<timestamp>.ndjson)
+  --edit-comments               Make rollback edit the bot's comments instead of
+                                deleting them
+  --report-markdown <file>      Write a Markdown report of the run (also appended
+                                to $GITHUB_STEP_SUMMARY when it is set)
+  --checkpoint <file>           Append progress to a checkpoint journal
+  --resume <file>               Skip sub-trees settled in a previous run's journal
+                                (keeps appending to it unless --checkpoint is given)
   -h, --help                    Show this help message
 
 HELP:
@@ -47,7 +129,12 @@ FEATURES:
   ✓ Smart completion detection using sub_issues_summary
   ✓ Dry-run mode for safe previewing (default)
   ✓ Cross-repository sub-issue support
+  ✓ Automatic retries on rate limits and transient GitHub errors
+  ✓ Optional GraphQL backend to save rate limit on large trees
   ✓ Automatic comment when closing issues
+  ✓ Optional completion threshold with follow-up issues for leftovers
+  ✓ Label filters to skip or protect parts of the tree
+  ✓ Depth limits to handle huge hierarchies in slices
   ✓ Visual progress tracking with GitHub-style indicators
 Interactive mode (prompts for all inputs)
   node index.js
@@ -75,6 +162,58 @@ EXAMPLES:
   export GITHUB_TOKEN='ghp_...'
   node index.js -y -i owner/repo#789 -d
 
+  # Close parents at 90% and move the leftovers to a follow-up issue
+  node index.js -y -i owner/repo#1 --live --threshold 90 --min-children 10 --follow-up
+
+  # Leave epics and anything labelled wontfix alone
+  node index.js -y -i owner/repo#1 --live --protect-label epic --skip-label wontfix
+
+  # Only close the top two levels, without walking deeper than 3 levels
+  node index.js -y -i org/roadmap#1 --live --max-depth 3 --close-depth 0-1
+
+  # Close everything below an epic that was closed as not planned
+  node index.js cascade -y -i owner/repo#1 --live
+
+  # Reopen auto-closed parents whose sub-issues were reopened
+  node index.js reconcile -y -i owner/repo#1 --dry-run
+
+  # Review a plan, then make exactly those closes
+  node index.js plan -i owner/repo#1 --out plan.json
+  node index.js apply plan.json --live
+
+  # Decide on every close yourself
+  node index.js -i owner/repo#1 --live --confirm-each
+
+  # Process every epic of a milestone in one run
+  node index.js -y -i owner/repo#1 -i owner/repo#2 --live
+  gh issue list --label epic --json url --jq '.[].url' | node index.js -y --issues-file -
+
+  # Never close more than 50 issues in one go
+  node index.js -y -i owner/repo#1 --live --max-close 50
+
+  # Undo a live run made against the wrong issue
+  node index.js rollback undo-2025-01-01T12-00-00.ndjson --live
+
+  # Show how far an epic is, least complete branches first
+  node index.js status -i owner/repo#1 --sort progress --collapse-closed
+
+  # Find out who is holding an epic open
+  node index.js explain owner/repo#1
+
+  # Draw an epic for a planning review
+  node index.js graph -y -i owner/repo#1 --highlight-closable > epic.mmd
+  node index.js graph -y -i owner/repo#1 --format dot | dot -Tsvg > epic.svg
+
+  # Machine-readable results for CI
+  node index.js -y -i owner/repo#1 --output json > run.json
+
+  # Live progress for dashboards
+  node index.js -y -i owner/repo#1 --events ndjson | ./dashboard
+
+  # Resumable run for large hierarchies
+  node index.js -y -i owner/repo#1 --live --checkpoint run.ndjson
+  node index.js -y -i owner/repo#1 --live --resume run.ndjson
+
 DOCUMENTATION:
   See README.md for detailed usage and installation instructions
 `);
@@ -0,0 +1,71 @@
+/**
+ * Label filters for the GitHub Sub-Issue Closer
+ *
+ * Decide from an issue's labels whether its sub-tree is walked and whether it may be closed.
+ */
+
+/**
+ * Converts a label glob into a regular expression. `*` matches any run of characters and
+ * `?` a single one; like GitHub labels, matching is case-insensitive.
+ * @param {string} pattern - Label glob, e.g. "area/*" or "wontfix"
+ * @returns {RegExp} Anchored regular expression for the glob
+ */
+export function globToRegExp(pattern) {
+  const source = pattern
+    .split("")
+    .map((char) => {
+      if (char === "*") {
+        return ".*";
+      }
+      if (char === "?") {
+        return ".";
+      }
+      return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`, "i");
+}
+
+/**
+ * Finds the first label matching any of the given globs
+ * @param {Array<Object|string>} labels - Issue labels, as label objects or names
+ * @param {string[]} patterns - Label globs
+ * @returns {string|null} Name of the matching label, or null if none matches
+ */
+export function findMatchingLabel(labels, patterns) {
+  const names = (labels || []).map((label) => (typeof label === "string" ? label : label.name));
+  const expressions = patterns.map(globToRegExp);
+
+  return names.find((name) => expressions.some((expression) => expression.test(name))) ?? null;
+}
+
+/**
+ * Applies the label filters to an issue
+ * @param {Object} issue - Issue as returned by the REST API
+ * @param {Object} filters - Label globs
+ * @param {string[]} filters.skipLabels - Issues that are neither walked nor closed
+ * @param {string[]} filters.onlyLabels - If set, only issues with one of these may be closed
+ * @param {string[]} filters.protectLabels - Issues that are walked but never closed
+ * @returns {Object} `walk` and `close` flags, and `reason` explaining why either is false
+ */
+export function applyLabelFilters(issue, { skipLabels = [], onlyLabels = [], protectLabels = [] }) {
+  const skipped = findMatchingLabel(issue.labels, skipLabels);
+  if (skipped) {
+    return { walk: false, close: false, reason: `skipped by label "${skipped}"` };
+  }
+
+  const protectedBy = findMatchingLabel(issue.labels, protectLabels);
+  if (protectedBy) {
+    return { walk: true, close: false, reason: `protected by label "${protectedBy}"` };
+  }
+
+  if (onlyLabels.length > 0 && !findMatchingLabel(issue.labels, onlyLabels)) {
+    return {
+      walk: true,
+      close: false,
+      reason: `no label matching ${onlyLabels.map((pattern) => `"${pattern}"`).join(", ")}`,
+    };
+  }
+
+  return { walk: true, close: true, reason: null };
+}
@@ -0,0 +1,37 @@
+/**
+ * Concurrency limiting for GitHub API calls
+ */
+
+/**
+ * Creates a limiter that runs at most `concurrency` tasks at the same time.
+ * Tasks beyond the limit are queued and started in the order they were submitted.
+ * @param {number} concurrency - Maximum number of tasks running at once
+ * @returns {Function} limit(task) - Runs the async task when a slot is free and resolves with its result
+ */
+export function createLimiter(concurrency) {
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) {
+      return;
+    }
+
+    active++;
+    const { task, resolve, reject } = queue.shift();
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+}
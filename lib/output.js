@@ -0,0 +1,198 @@
+/**
+ * Run reports for the GitHub Sub-Issue Closer
+ *
+ * Turns the per-issue records collected during a run into a tree that can be printed
+ * as a single JSON document or rendered as Markdown (e.g. for GITHUB_STEP_SUMMARY).
+ */
+
+/**
+ * Builds the tree below an issue from the records collected during a run
+ * @param {Map} visited - Records of the walked issues, keyed by lower-cased ref
+ * @param {string} ref - Reference of the issue at the top of the tree
+ * @param {Set} seen - Refs already placed in the tree (used internally)
+ * @returns {Object} Node with ref, title, state, summary, decision, reason, depth and children
+ */
+export function buildTree(visited, ref, seen = new Set()) {
+  const key = ref.toLowerCase();
+  const node = visited.get(key);
+
+  if (!node) {
+    // Listed as a sub-issue, but the run never walked it (depth limit, unreadable parent, ...)
+    return { ref, decision: "skipped", reason: "not walked", children: [] };
+  }
+  if (seen.has(key)) {
+    // Shared sub-issues and cycles are only expanded where they were first processed
+    return { ref: node.ref, duplicate: true };
+  }
+  seen.add(key);
+
+  return {
+    ref: node.ref,
+    title: node.title,
+    state: node.state,
+    state_reason: node.state_reason,
+    depth: node.depth,
+    summary: node.summary,
+    decision: node.decision,
+    reason: node.reason,
+    ...(node.follow_up ? { follow_up: node.follow_up } : {}),
+    children: node.children.map((child) => buildTree(visited, child, seen)),
+  };
+}
+
+/**
+ * Builds the JSON document describing a whole run
+ * @param {Object} run - What happened during the run
+ * @param {string} run.command - Command that was run (close, cascade, reconcile)
+ * @param {string} run.root - Reference of the issue the run started from
+ * @param {Object[]} run.roots - When the run started from several issues, the `ref` and
+ *   `totals` of each of them, in the order they were processed
+ * @param {boolean} run.dryRun - Whether this was a dry-run
+ * @param {Map} run.visited - Records of the walked issues
+ * @param {Object} run.totals - Counts returned by the command, combined across roots
+ * @param {Object[]} run.errors - Sub-trees that could not be processed
+ * @returns {Object} Document with command, dryRun, tree (or roots, each with ref, totals and
+ *   tree), totals and errors
+ */
+export function buildRunReport({ command, root, roots = null, dryRun, visited, totals, errors }) {
+  if (roots && roots.length > 1) {
+    // Trees that overlap share one `seen`, so a shared issue is expanded under the first root only
+    const seen = new Set();
+    return {
+      command,
+      dryRun,
+      roots: roots.map(({ ref, totals: rootTotals }) => ({
+        ref,
+        totals: rootTotals,
+        tree: buildTree(visited, ref, seen),
+      })),
+      totals,
+      errors,
+    };
+  }
+
+  return {
+    command,
+    dryRun,
+    tree: buildTree(visited, root),
+    totals,
+    errors,
+  };
+}
+
+// How each decision reads in the Markdown report
+const DECISION_LABELS = {
+  closed: "**closed**",
+  would_close: "**would close**",
+  kept_open: "kept open",
+  skipped: "skipped",
+  error: "⚠️ error",
+  reopened: "**reopened**",
+  would_reopen: "**would reopen**",
+  kept_closed: "kept closed",
+};
+
+/**
+ * Escapes text so that Markdown renders it literally
+ * @param {string} text - Text such as an issue title
+ * @returns {string} Escaped text
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/[\\`*_[\]<>|#~]/g, "\\$&");
+}
+
+/**
+ * Picks the state badge of an issue as it is after the run
+ * @param {Object} node - Tree node from buildTree
+ * @returns {string} Emoji badge
+ */
+function stateBadge(node) {
+  if (node.decision === "would_close") {
+    return "🟢 → 🟣";
+  }
+  if (node.decision === "would_reopen") {
+    return "🟣 → 🟢";
+  }
+  if (node.state === "closed" || node.decision === "closed") {
+    return node.state_reason === "not_planned" ? "⚪" : "🟣";
+  }
+  return node.state === "open" ? "🟢" : "❔";
+}
+
+/**
+ * Renders a tree node and its children as nested list items
+ * @param {Object} node - Tree node from buildTree
+ * @param {number} level - Nesting level of the list item
+ * @returns {string[]} Lines of the list
+ */
+function renderNode(node, level) {
+  const indent = "  ".repeat(level);
+
+  if (node.duplicate) {
+    return [`${indent}- ↩️ ${node.ref} (listed above)`];
+  }
+
+  const title = node.title ? ` ${escapeMarkdown(node.title)}` : "";
+  const label = DECISION_LABELS[node.decision] || node.decision || "not decided";
+  const reason = node.reason ? `: ${escapeMarkdown(node.reason)}` : "";
+  const followUp = node.follow_up ? ` (open sub-issues moved to ${node.follow_up})` : "";
+
+  return [
+    `${indent}- ${stateBadge(node)} **${node.ref}**${title} — ${label}${reason}${followUp}`,
+    ...node.children.flatMap((child) => renderNode(child, level + 1)),
+  ];
+}
+
+/**
+ * Renders a run report as Markdown: the hierarchy with state badges and decisions,
+ * followed by the run totals (per root too, when there are several) and any sub-trees that
+ * could not be processed
+ * @param {Object} report - Document from buildRunReport
+ * @returns {string} Markdown report
+ */
+export function renderMarkdownReport({ command, dryRun, tree, roots, totals, errors }) {
+  const mode = dryRun ? "dry-run" : "live";
+  const trees = roots ? roots.map((root) => root.tree) : [tree];
+  const totalRows = [["Issues processed", totals.processed]];
+
+  if (command === "reconcile") {
+    totalRows.push([dryRun ? "Issues that would be reopened" : "Issues reopened", totals.reopened]);
+  } else {
+    totalRows.push([dryRun ? "Issues that would be closed" : "Issues closed", totals.closed]);
+  }
+  totalRows.push(["Sub-trees that could not be processed", errors.length]);
+
+  const lines = [
+    `## 🔧 Sub-issue closer: \`${command}\` ${roots ? `${roots.length} roots` : tree.ref} (${mode})`,
+    "",
+    ...trees.flatMap((root) => renderNode(root, 0)),
+    "",
+    "| Total | Count |",
+    "| --- | ---: |",
+    ...totalRows.map(([name, count]) => `| ${name} | ${count} |`),
+  ];
+
+  if (roots) {
+    const [count, heading] =
+      command === "reconcile"
+        ? ["reopened", dryRun ? "Would reopen" : "Reopened"]
+        : ["closed", dryRun ? "Would close" : "Closed"];
+    lines.push(
+      "",
+      `| Root | Processed | ${heading} |`,
+      "| --- | ---: | ---: |",
+      ...roots.map(({ ref, totals: root }) => `| ${ref} | ${root.processed} | ${root[count]} |`)
+    );
+  }
+
+  if (errors.length > 0) {
+    lines.push(
+      "",
+      "### Errors",
+      "",
+      ...errors.map(({ ref, message }) => `- ${ref}: ${escapeMarkdown(message)}`)
+    );
+  }
+
+  return `${lines.join("\n")}\n`;
+}
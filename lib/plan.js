@@ -0,0 +1,187 @@
+/**
+ * Saved execution plans for the GitHub Sub-Issue Closer
+ *
+ * `plan` records the closes a dry-run decided on, together with what each issue looked like
+ * at the time; `apply` carries out exactly those closes, and refuses the ones whose issue
+ * has changed since, so a live run cannot drift from the dry-run a reviewer approved.
+ */
+
+import { readFileSync, writeFileSync } from "fs";
+import { closeIssue, getIssue } from "./core.js";
+import { bold, dim, purpleClosed, reset, softOrange } from "./symbols.js";
+
+// Bumped whenever the plan file format changes incompatibly
+export const PLAN_VERSION = 1;
+
+/**
+ * Writes a plan file
+ * @param {string} file - Path to write the plan to
+ * @param {Object} plan - What the plan covers
+ * @param {string} plan.root - Reference of the issue the plan was made from
+ * @param {Object[]} plan.actions - Closes collected by processIssueRecursively, children first
+ * @returns {Object} The plan as written
+ */
+export function writePlan(file, { root, actions }) {
+  const plan = {
+    version: PLAN_VERSION,
+    created_at: new Date().toISOString(),
+    root,
+    actions,
+  };
+  writeFileSync(file, `${JSON.stringify(plan, null, 2)}\n`);
+  return plan;
+}
+
+/**
+ * Reads a plan file
+ * @param {string} file - Path to the plan
+ * @returns {Object} The plan, with version, created_at, root and actions
+ */
+export function readPlan(file) {
+  let plan;
+
+  try {
+    plan = JSON.parse(readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read plan ${file}: ${error.message}`);
+  }
+  if (plan?.version !== PLAN_VERSION || !Array.isArray(plan.actions)) {
+    throw new Error(`${file} is not a plan made by this version of the tool`);
+  }
+  return plan;
+}
+
+/**
+ * Lists how an issue differs from what the plan recorded
+ * @param {Object} issue - Issue as it is now
+ * @param {Object} action - Planned close
+ * @returns {string[]} Descriptions of the changes, empty if the issue is unchanged
+ */
+export function findPlanChanges(issue, action) {
+  const changes = [];
+
+  if (issue.state !== "open") {
+    changes.push("it is no longer open");
+  }
+  if (action.updated_at && issue.updated_at !== action.updated_at) {
+    changes.push(`it was updated at ${issue.updated_at} (plan: ${action.updated_at})`);
+  }
+
+  const now = issue.sub_issues_summary;
+  const then = action.summary;
+  if (then && (now?.completed !== then.completed || now?.total !== then.total)) {
+    changes.push(
+      `${now?.completed ?? 0}/${now?.total ?? 0} sub-issues are complete (plan: ${then.completed}/${then.total})`
+    );
+  }
+
+  return changes;
+}
+
+/**
+ * Carries out the closes recorded in a plan. Every issue is checked against the plan before
+ * anything is closed; changed issues are refused unless `confirmChanged` approves them, and
+ * a parent is refused when one of its planned sub-issue closes did not happen.
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} plan - Plan from readPlan
+ * @param {Object} options - Apply options
+ * @param {boolean} options.dryRun - If true, only check and report what would be closed
+ * @param {Function} options.confirmChanged - Asked with (action, changes) for each changed issue;
+ *   resolves to true to close it anyway. Without it, changed issues are refused.
+ * @param {Object} options.undo - Journal that records every change (see undo.js)
+ * @param {Object} options.closeBudget - Cap on closes, from createCloseBudget; planned closes
+ *   beyond it are refused
+ * @param {Function} options.log - Output function for progress lines (defaults to console.log)
+ * @returns {Promise<Object>} Counts of planned and closed issues, refused issues and errors
+ */
+export async function applyPlan(octokit, plan, options = {}) {
+  const { dryRun = false, confirmChanged = null, undo = null, closeBudget = null } = options;
+  const log = options.log || ((line) => console.log(line));
+
+  const refused = [];
+  const errors = [];
+  // Lower-cased ref -> whether the issue is closed once its action has been carried out
+  const done = new Map();
+
+  const refuse = (action, reason) => {
+    refused.push({ ref: action.ref, reason });
+    done.set(action.ref.toLowerCase(), false);
+    log(`${softOrange} ${bold}${action.ref}${reset} ${dim}- Not closing, ${reason}${reset}`);
+  };
+
+  // Check everything first, so closes made by this run cannot show up as changes
+  const approved = new Set();
+  const current = new Map();
+  for (const action of plan.actions) {
+    let issue;
+    try {
+      issue = await getIssue(octokit, action.owner, action.repo, action.issue_number);
+    } catch (error) {
+      errors.push({ ref: action.ref, message: error.message });
+      continue;
+    }
+
+    current.set(action, issue);
+    const changes = findPlanChanges(issue, action);
+    if (issue.state !== "open") {
+      // Someone else already did it; parents that depend on it can still go ahead
+      done.set(action.ref.toLowerCase(), true);
+      log(`${softOrange} ${bold}${action.ref}${reset} ${dim}- Already closed${reset}`);
+    } else if (
+      changes.length === 0 ||
+      (confirmChanged && (await confirmChanged(action, changes)))
+    ) {
+      approved.add(action);
+    } else {
+      refuse(action, `it changed since the plan was made: ${changes.join("; ")}`);
+    }
+  }
+
+  let closed = 0;
+  for (const action of plan.actions) {
+    if (!approved.has(action)) {
+      if (!done.has(action.ref.toLowerCase())) {
+        done.set(action.ref.toLowerCase(), false);
+      }
+      continue;
+    }
+
+    // The plan only closes a parent because it also closes these sub-issues
+    const blocker = plan.actions.find(
+      (child) =>
+        child.parent?.toLowerCase() === action.ref.toLowerCase() &&
+        !done.get(child.ref.toLowerCase())
+    );
+    if (blocker) {
+      refuse(action, `its planned sub-issue ${blocker.ref} was not closed`);
+      continue;
+    }
+    if (!dryRun && closeBudget && !closeBudget.take()) {
+      refuse(action, `--max-close ${closeBudget.max} reached`);
+      continue;
+    }
+
+    const closedAs = action.state_reason === "not_planned" ? " as not planned" : "";
+    try {
+      if (!dryRun) {
+        await closeIssue(octokit, action.owner, action.repo, action.issue_number, action.reason, {
+          stateReason: action.state_reason,
+          body: action.body,
+          undo,
+          previous: current.get(action),
+        });
+      }
+      done.set(action.ref.toLowerCase(), true);
+      closed++;
+      log(
+        `${purpleClosed} ${bold}${action.ref}${reset} ${dim}- "${action.title}" (${dryRun ? "would be closed" : "closed"}${closedAs})${reset}`
+      );
+    } catch (error) {
+      done.set(action.ref.toLowerCase(), false);
+      errors.push({ ref: action.ref, message: error.message });
+      console.warn(`⚠️  Could not close ${action.ref}: ${error.message}`);
+    }
+  }
+
+  return { planned: plan.actions.length, closed, refused, errors };
+}
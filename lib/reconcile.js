@@ -0,0 +1,328 @@
+/**
+ * Reconcile mode for the GitHub Sub-Issue Closer
+ *
+ * Walks the whole tree, closed sub-trees included, and reopens parents that this tool
+ * closed but that have open sub-issues again (for example because a child was reopened).
+ */
+
+import { createWalkContext, parseSubIssueRef, walkSubIssues } from "./core.js";
+import { applyLabelFilters } from "./labels.js";
+import { CLOSER_MARKER } from "./template.js";
+import { bold, dim, greenOpen, purpleClosed, reset, softOrange } from "./symbols.js";
+
+/**
+ * Finds the most recent closing comment posted by this tool on an issue
+ * @param {Object} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} issue_number - Issue number
+ * @param {number} perPage - Page size for each request (max 100)
+ * @returns {Promise<Object|null>} The comment, or null if the tool never commented
+ */
+export async function findCloserComment(octokit, owner, repo, issue_number, perPage = 100) {
+  let latest = null;
+
+  for (let page = 1; ; page++) {
+    const { data } = await octokit.rest.issues.listComments({
+      owner,
+      repo,
+      issue_number,
+      per_page: perPage,
+      page,
+    });
+    latest = data.filter((comment) => comment.body?.includes(CLOSER_MARKER)).pop() || latest;
+
+    if (data.length < perPage) {
+      return latest;
+    }
+  }
+}
+
+/**
+ * Checks whether an issue's current closure was made by this tool. The tool comments right
+ * after closing, so an issue closed again after its last marker comment was closed by hand.
+ * @param {Object} issue - Closed issue
+ * @param {Object|null} comment - Latest closing comment from findCloserComment
+ * @returns {boolean} True if the tool closed the issue
+ */
+export function wasClosedByTool(issue, comment) {
+  if (!comment) {
+    return false;
+  }
+  if (!issue.closed_at) {
+    return true;
+  }
+  return Date.parse(comment.created_at) >= Date.parse(issue.closed_at);
+}
+
+/**
+ * Reopens an issue with a comment
+ * @param {Object} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} issue_number - Issue number
+ * @param {string|null} body - Comment body; null reopens without a comment
+ * @param {Object} options - Reopen options
+ * @param {Object} options.undo - Journal that records the reopening and its comment (see undo.js)
+ * @param {Object} options.previous - The issue as it was before reopening, for the journal
+ * @returns {Promise<void>}
+ */
+export async function reopenIssue(octokit, owner, repo, issue_number, body, options = {}) {
+  const { undo = null, previous = null } = options;
+  const ref = `${owner}/${repo}#${issue_number}`;
+
+  await octokit.rest.issues.update({
+    owner,
+    repo,
+    issue_number,
+    state: "open",
+  });
+
+  // Journaled before commenting, like closes (see closeIssue in core.js)
+  undo?.record({
+    type: "reopened",
+    ref,
+    owner,
+    repo,
+    issue_number,
+    previous_state: previous?.state || "closed",
+    previous_state_reason: previous?.state_reason || null,
+  });
+
+  if (body === null) {
+    return;
+  }
+
+  const response = await octokit.rest.issues.createComment({
+    owner,
+    repo,
+    issue_number,
+    body,
+  });
+  undo?.record({
+    type: "comment",
+    ref,
+    owner,
+    repo,
+    issue_number,
+    comment_id: response?.data?.id ?? null,
+  });
+}
+
+/**
+ * Recursively reopens closed parents whose sub-issues are open again.
+ * Children are reconciled before their parent, so a reopened child reopens its ancestors too.
+ * @param {Object} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} issue_number - Issue number
+ * @param {number} depth - Current recursion depth (for indentation)
+ * @param {boolean} dryRun - If true, don't actually reopen issues
+ * @param {boolean} verbose - If true, show detailed tree output
+ * @param {Object} options - Traversal options (same as processIssueRecursively where they apply)
+ * @param {number} options.pageSize - Page size used when listing sub-issues and comments
+ * @param {number} options.concurrency - Maximum API calls in flight at once
+ * @param {Map} options.visited - Issues already walked in this run, keyed by lower-cased ref
+ * @param {Object[]} options.errors - Collects sub-trees that could not be processed
+ * @param {number|null} options.maxDepth - Deepest level whose sub-issues are walked
+ * @param {string[]} options.skipLabels - Label globs of issues that are neither walked nor reopened
+ * @param {string[]} options.protectLabels - Label globs of issues that are walked but never reopened
+ * @param {boolean} options.comment - Whether to explain the reopening in a comment
+ * @param {Object} options.source - Where issues are read from (defaults to the REST API)
+ * @param {Function} options.log - Output function for progress lines (defaults to console.log)
+ * @param {Object} options.undo - Journal that records every change of a live run (see undo.js)
+ * @returns {Promise<Object>} Statistics about processed and reopened issues
+ */
+export async function reconcileRecursively(
+  octokit,
+  owner,
+  repo,
+  issue_number,
+  depth = 0,
+  dryRun = false,
+  verbose = false,
+  options = {}
+) {
+  const {
+    pageSize = 100,
+    visited = new Map(),
+    errors = [],
+    maxDepth = null,
+    skipLabels = [],
+    protectLabels = [],
+    comment = true,
+  } = options;
+  const { source, limit, run, log } = createWalkContext(octokit, options);
+  const indent = "  ".repeat(depth);
+  const issueRef = `${owner}/${repo}#${issue_number}`;
+
+  // Parents read this record to see whether the issue is open after reconciling,
+  // and reports are built from it once the run is over (see output.js)
+  const node = {
+    ref: issueRef,
+    title: null,
+    depth,
+    state: null,
+    state_reason: null,
+    summary: null,
+    decision: null,
+    reason: null,
+    children: [],
+    settled: false,
+  };
+  visited.set(issueRef.toLowerCase(), node);
+
+  const issue = await run(() => source.getIssue(owner, repo, issue_number));
+  node.title = issue.title;
+  node.state = issue.state;
+  node.state_reason = issue.state_reason || null;
+  node.summary = issue.sub_issues_summary || null;
+
+  if (verbose) {
+    const statusSymbol = issue.state === "closed" ? purpleClosed : greenOpen;
+    log(`${indent}${statusSymbol} ${bold}${issueRef}${reset} ${dim}- "${issue.title}"${reset}`);
+  }
+
+  const labelFilter = applyLabelFilters(issue, { skipLabels, protectLabels });
+
+  if (!labelFilter.walk) {
+    if (verbose) {
+      log(
+        `${indent}   ${softOrange} ${dim}Not walking its sub-issues, ${labelFilter.reason}${reset}`
+      );
+    }
+    node.decision = "skipped";
+    node.reason = labelFilter.reason;
+    node.settled = true;
+    return { processed: 0, reopened: 0 };
+  }
+
+  let totalProcessed = 1;
+  let totalReopened = 0;
+
+  if (!issue.sub_issues_summary?.total) {
+    node.settled = true;
+    return { processed: totalProcessed, reopened: totalReopened };
+  }
+
+  const subIssues = await run(() => source.getSubIssues(owner, repo, issue_number));
+  node.children = subIssues.map((subIssue) => parseSubIssueRef(subIssue).ref);
+
+  if (maxDepth !== null && depth >= maxDepth) {
+    if (verbose) {
+      log(
+        `${indent}   ${softOrange} ${dim}Depth limit reached, not walking its sub-issues${reset}`
+      );
+    }
+  } else {
+    const reconcileSubIssue = async (subIssue, childLog) => {
+      const child = parseSubIssueRef(subIssue);
+
+      // Issues reachable through more than one parent, or through a cycle, are only walked once
+      if (visited.has(child.ref.toLowerCase())) {
+        return { processed: 0, reopened: 0 };
+      }
+
+      try {
+        return await reconcileRecursively(
+          octokit,
+          child.owner,
+          child.repo,
+          child.issue_number,
+          depth + 1,
+          dryRun,
+          verbose,
+          { ...options, source, limit, log: childLog, visited, errors }
+        );
+      } catch (error) {
+        errors.push({ ref: child.ref, message: error.message });
+        console.warn(`${indent}  ⚠️  Could not process ${child.ref}: ${error.message}`);
+        return { processed: 0, reopened: 0 };
+      }
+    };
+
+    // Sibling sub-trees are walked in parallel with --concurrency
+    for (const result of await walkSubIssues(subIssues, reconcileSubIssue, { limit, log })) {
+      totalProcessed += result.processed;
+      totalReopened += result.reopened;
+    }
+  }
+
+  node.settled = true;
+
+  if (issue.state !== "closed") {
+    return { processed: totalProcessed, reopened: totalReopened };
+  }
+
+  // Children reopened in this run (or that would be reopened in dry-run) count as open;
+  // children that were not walked are taken as GitHub lists them
+  const openChildren = subIssues.filter((subIssue) => {
+    const child = visited.get(parseSubIssueRef(subIssue).ref.toLowerCase());
+    return (child?.settled ? child.state : subIssue.state) === "open";
+  });
+
+  if (openChildren.length === 0) {
+    return { processed: totalProcessed, reopened: totalReopened };
+  }
+
+  if (!labelFilter.close) {
+    if (verbose) {
+      log(`${indent}   ${purpleClosed} ${dim}Keeping closed (${labelFilter.reason})${reset}`);
+    }
+    node.decision = "kept_closed";
+    node.reason = labelFilter.reason;
+    return { processed: totalProcessed, reopened: totalReopened };
+  }
+
+  const closerComment = await run(() =>
+    findCloserComment(octokit, owner, repo, issue_number, pageSize)
+  );
+
+  if (!wasClosedByTool(issue, closerComment)) {
+    if (verbose) {
+      log(
+        `${indent}   ${purpleClosed} ${dim}Keeping closed (has open sub-issues, but was not closed by this tool)${reset}`
+      );
+    }
+    node.decision = "kept_closed";
+    node.reason = "has open sub-issues, but was not closed by this tool";
+    return { processed: totalProcessed, reopened: totalReopened };
+  }
+
+  const openRefs = openChildren.map((subIssue) => parseSubIssueRef(subIssue).ref);
+
+  if (dryRun) {
+    if (verbose) {
+      log(
+        `${indent}   ${purpleClosed} → ${greenOpen} ${dim}Would reopen (${openRefs.length} sub-issue(s) open again)${reset}`
+      );
+    } else {
+      log(
+        `${greenOpen} ${bold}${issueRef}${reset} ${dim}- "${issue.title}" (would be reopened)${reset}`
+      );
+    }
+  } else {
+    if (verbose) {
+      log(
+        `${indent}   ${purpleClosed} → ${greenOpen} ${dim}Reopening (${openRefs.length} sub-issue(s) open again)${reset}`
+      );
+    } else {
+      log(`${greenOpen} ${bold}${issueRef}${reset} ${dim}- "${issue.title}" (reopened)${reset}`);
+    }
+    const body = comment
+      ? `🤖 Automatically reopened: this issue was closed by the sub-issue closer, but some of its sub-issues are open again\n\n${openRefs.map((ref) => `- ${ref}`).join("\n")}`
+      : null;
+    await run(() =>
+      reopenIssue(octokit, owner, repo, issue_number, body, {
+        undo: options.undo,
+        previous: issue,
+      })
+    );
+  }
+
+  node.state = "open";
+  node.decision = dryRun ? "would_reopen" : "reopened";
+  node.reason = `${openRefs.length} sub-issue(s) are open again`;
+  totalReopened++;
+  return { processed: totalProcessed, reopened: totalReopened };
+}
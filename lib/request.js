@@ -0,0 +1,305 @@
+/**
+ * Rate-limit aware request layer for the GitHub Sub-Issue Closer
+ *
+ * Wraps an Octokit instance so every REST and GraphQL call made by the tool retries
+ * rate limits and transient server errors instead of aborting the whole run.
+ */
+
+// Server errors worth retrying; anything else is a real answer from GitHub
+const TRANSIENT_STATUSES = [500, 502, 503, 504];
+
+// Connection failures that will not fix themselves by retrying (Octokit reports them as HTTP 500)
+const PERMANENT_NETWORK_ERRORS = /ENOTFOUND|ECONNREFUSED|CERT_|certificate/;
+
+// Secondary rate limits without a retry-after header ask clients to wait at least a minute
+const SECONDARY_RATE_LIMIT_WAIT = 60 * 1000;
+
+// Longest wait taken from retry-after or x-ratelimit-reset, in case a header is far off
+const MAX_HEADER_WAIT = 15 * 60 * 1000;
+
+// Writes that leave GitHub in the same state however often they are repeated; reads
+// (get*, list*) are always safe to repeat
+const IDEMPOTENT_WRITES = ["issues.update", "issues.updateComment"];
+
+/**
+ * Checks whether an issue currently has a given sub-issue
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} params - Parameters of an addSubIssue or removeSubIssue call
+ * @returns {Promise<boolean>} True if the sub-issue is attached to the issue
+ */
+async function hasSubIssue(octokit, params) {
+  for (let page = 1; ; page++) {
+    const { data } = await octokit.rest.issues.listSubIssues({
+      owner: params.owner,
+      repo: params.repo,
+      issue_number: params.issue_number,
+      per_page: 100,
+      page,
+    });
+    if (data.some((subIssue) => subIssue.id === params.sub_issue_id)) {
+      return true;
+    }
+    if (data.length < 100) {
+      return false;
+    }
+  }
+}
+
+/**
+ * Verifiers for writes that are not safe to repeat blindly. Each one checks whether a
+ * failed call actually landed, and returns a response-like object if it did.
+ */
+const WRITE_VERIFIERS = {
+  "issues.addSubIssue": async (octokit, params) =>
+    (await hasSubIssue(octokit, params)) ? { data: {} } : null,
+
+  "issues.removeSubIssue": async (octokit, params) =>
+    (await hasSubIssue(octokit, params)) ? null : { data: {} },
+
+  "issues.deleteComment": async (octokit, params) => {
+    try {
+      await octokit.rest.issues.getComment({
+        owner: params.owner,
+        repo: params.repo,
+        comment_id: params.comment_id,
+      });
+      return null;
+    } catch (error) {
+      if (error.status === 404) {
+        return { data: undefined };
+      }
+      throw error;
+    }
+  },
+
+  "issues.createComment": async (octokit, params, startedAt) => {
+    const { data } = await octokit.rest.issues.listComments({
+      owner: params.owner,
+      repo: params.repo,
+      issue_number: params.issue_number,
+      since: new Date(startedAt - 60 * 1000).toISOString(),
+      per_page: 100,
+    });
+    const comment = data.find((existing) => existing.body === params.body);
+    return comment ? { data: comment } : null;
+  },
+};
+
+/**
+ * Reads the headers attached to an Octokit error or response
+ * @param {Object} source - Octokit response or error
+ * @returns {Object} Response headers (possibly empty)
+ */
+function headersOf(source) {
+  return source?.response?.headers || source?.headers || {};
+}
+
+/**
+ * Checks whether a failed request was rejected because of a rate limit
+ * @param {Error} error - Error thrown by Octokit
+ * @returns {boolean} True for primary and secondary rate limits
+ */
+export function isRateLimitError(error) {
+  const headers = headersOf(error);
+
+  if (error.status === 429) {
+    return true;
+  }
+  if (error.status === 403) {
+    return (
+      headers["x-ratelimit-remaining"] === "0" ||
+      headers["retry-after"] !== undefined ||
+      /rate limit/i.test(error.message || "")
+    );
+  }
+  // GraphQL reports rate limits in the response body with a 200 status
+  return Boolean(error.errors?.some((e) => e.type === "RATE_LIMITED"));
+}
+
+/**
+ * Checks whether a failed request may succeed if it is retried
+ * @param {Error} error - Error thrown by Octokit
+ * @returns {boolean} True for rate limits and transient server errors
+ */
+export function isRetryableError(error) {
+  if (isRateLimitError(error)) {
+    return true;
+  }
+  if (!TRANSIENT_STATUSES.includes(error.status)) {
+    return false;
+  }
+  return Boolean(error.response) || !PERMANENT_NETWORK_ERRORS.test(error.message || "");
+}
+
+/**
+ * Works out how long to wait before retrying a failed request
+ * @param {Error} error - Error thrown by Octokit
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Object} options - Backoff options
+ * @param {number} options.baseDelay - Delay before the first retry, in milliseconds
+ * @param {number} options.maxDelay - Upper bound for exponential backoff, in milliseconds
+ * @param {number} options.maxWait - Upper bound for waits asked for by GitHub's headers,
+ *   in milliseconds
+ * @param {Function} options.now - Returns the current time in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(
+  error,
+  attempt,
+  { baseDelay, maxDelay, maxWait = MAX_HEADER_WAIT, now }
+) {
+  const headers = headersOf(error);
+  const retryAfter = Number(headers["retry-after"]);
+
+  if (Number.isFinite(retryAfter) && retryAfter >= 0) {
+    return Math.min(maxWait, retryAfter * 1000);
+  }
+
+  if (isRateLimitError(error)) {
+    const reset = Number(headers["x-ratelimit-reset"]);
+
+    if (headers["x-ratelimit-remaining"] === "0" && Number.isFinite(reset)) {
+      // Reset is in epoch seconds; wait one extra second to be on the safe side
+      return Math.min(maxWait, Math.max(0, reset * 1000 - now()) + 1000);
+    }
+    return SECONDARY_RATE_LIMIT_WAIT;
+  }
+
+  return Math.min(maxDelay, baseDelay * 2 ** attempt);
+}
+
+/**
+ * Wraps an Octokit instance with retries and rate-limit tracking.
+ * Reads (get*, list*) and the writes in IDEMPOTENT_WRITES are retried with exponential
+ * backoff, honouring retry-after and x-ratelimit-reset. Every other write is only retried
+ * when a verifier can confirm it did not land.
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} options - Retry options
+ * @param {number} options.retries - Maximum retries per call
+ * @param {number} options.baseDelay - Delay before the first retry, in milliseconds
+ * @param {number} options.maxDelay - Upper bound for exponential backoff, in milliseconds
+ * @param {number} options.maxWait - Upper bound for waits asked for by GitHub's headers,
+ *   in milliseconds
+ * @param {Function} options.sleep - Waits for the given number of milliseconds
+ * @param {Function} options.now - Returns the current time in milliseconds
+ * @param {Function} options.warn - Output function for retry notices (defaults to console.warn)
+ * @returns {Object} Octokit-compatible instance with a `rateLimit` property
+ */
+export function withRetries(octokit, options = {}) {
+  const {
+    retries = 5,
+    baseDelay = 1000,
+    maxDelay = 30 * 1000,
+    maxWait = MAX_HEADER_WAIT,
+    sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+    now = () => Date.now(),
+  } = options;
+  const warn = options.warn || ((line) => console.warn(line));
+
+  // Latest quota reported by GitHub
+  const rateLimit = { remaining: null, limit: null, reset: null };
+
+  const track = (source) => {
+    const headers = headersOf(source);
+
+    if (headers["x-ratelimit-remaining"] !== undefined) {
+      rateLimit.remaining = Number(headers["x-ratelimit-remaining"]);
+      rateLimit.limit = Number(headers["x-ratelimit-limit"]);
+      rateLimit.reset = Number(headers["x-ratelimit-reset"]);
+    }
+  };
+
+  const call = async (name, method, params, verify) => {
+    const startedAt = now();
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await method(params);
+        track(response);
+        return response;
+      } catch (error) {
+        track(error);
+
+        if (!isRetryableError(error) || attempt >= retries) {
+          throw error;
+        }
+
+        if (verify) {
+          // Only retry a non-idempotent write once we know the first attempt did not land
+          let landed;
+          try {
+            landed = await verify(wrapped, params, startedAt);
+          } catch {
+            throw error;
+          }
+          if (landed) {
+            return landed;
+          }
+        }
+
+        const delay = getRetryDelay(error, attempt, { baseDelay, maxDelay, maxWait, now });
+        const reason = isRateLimitError(error) ? "rate limited" : `HTTP ${error.status}`;
+        warn(
+          `⏳ ${name} ${reason}, retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt + 1}/${retries})`
+        );
+        await sleep(delay);
+      }
+    }
+  };
+
+  const wrapped = Object.create(octokit);
+  wrapped.rateLimit = rateLimit;
+  wrapped.rest = {};
+
+  for (const [namespace, methods] of Object.entries(octokit.rest || {})) {
+    wrapped.rest[namespace] = {};
+
+    for (const [methodName, method] of Object.entries(methods)) {
+      const name = `${namespace}.${methodName}`;
+      const verify = WRITE_VERIFIERS[name];
+      const idempotent = /^(get|list)/.test(methodName) || IDEMPOTENT_WRITES.includes(name);
+
+      if (typeof method !== "function") {
+        wrapped.rest[namespace][methodName] = method;
+      } else if (!idempotent && !verify) {
+        // Never repeat a write we cannot verify, but still keep the quota up to date
+        wrapped.rest[namespace][methodName] = async (params) => {
+          try {
+            const response = await method(params);
+            track(response);
+            return response;
+          } catch (error) {
+            track(error);
+            throw error;
+          }
+        };
+      } else {
+        wrapped.rest[namespace][methodName] = (params) => call(name, method, params, verify);
+      }
+    }
+  }
+
+  if (typeof octokit.graphql === "function") {
+    // The tool only sends GraphQL queries, which are safe to repeat
+    wrapped.graphql = (query, variables) =>
+      call("graphql", (params) => octokit.graphql(query, params), variables);
+  }
+
+  return wrapped;
+}
+
+/**
+ * Formats the remaining API quota for display
+ * @param {Object} rateLimit - Quota tracked by withRetries
+ * @returns {string|null} Human-readable quota, or null if GitHub has not reported one yet
+ */
+export function formatRateLimit(rateLimit) {
+  if (!rateLimit || rateLimit.remaining === null) {
+    return null;
+  }
+
+  const reset = Number.isFinite(rateLimit.reset)
+    ? ` (resets at ${new Date(rateLimit.reset * 1000).toLocaleTimeString()})`
+    : "";
+  return `${rateLimit.remaining}/${rateLimit.limit}${reset}`;
+}
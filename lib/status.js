@@ -0,0 +1,276 @@
+/**
+ * Status view for the GitHub Sub-Issue Closer
+ *
+ * Reads a whole hierarchy, closed sub-trees included, and prints it with completion
+ * rolled up across all depths, without changing anything.
+ */
+
+import { createWalkContext, parseSubIssueRef } from "./core.js";
+import { bold, dim, greenOpen, greyClosed, purpleClosed, reset, softOrange } from "./symbols.js";
+
+/**
+ * Reads an issue and all of its descendants
+ * @param {Object} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} issue_number - Issue number
+ * @param {number} depth - Current recursion depth
+ * @param {Object} options - Traversal options
+ * @param {number} options.pageSize - Page size used when listing sub-issues
+ * @param {number} options.concurrency - Maximum API calls in flight at once
+ * @param {Map} options.visited - Issues already read in this run, keyed by lower-cased ref
+ * @param {Object[]} options.errors - Collects sub-trees that could not be read
+ * @param {number|null} options.maxDepth - Deepest level whose sub-issues are read
+ * @param {boolean} options.walkClosed - Whether to read the sub-issues of closed issues (default: true)
+ * @param {Object} options.source - Where issues are read from (defaults to the REST API)
+ * @returns {Promise<Object>} Node with ref, title, state, assignees, labels, summary and children
+ */
+export async function collectStatusTree(
+  octokit,
+  owner,
+  repo,
+  issue_number,
+  depth = 0,
+  options = {}
+) {
+  const { errors = [], maxDepth = null, walkClosed = true } = options;
+  const visited = options.visited || new Map();
+  const { source, limit, run } = createWalkContext(octokit, options);
+  const issueRef = `${owner}/${repo}#${issue_number}`;
+
+  const node = {
+    ref: issueRef,
+    title: null,
+    state: null,
+    state_reason: null,
+    assignees: [],
+    labels: [],
+    updated_at: null,
+    summary: null,
+    depth,
+    truncated: false,
+    children: [],
+  };
+  visited.set(issueRef.toLowerCase(), node);
+
+  const issue = await run(() => source.getIssue(owner, repo, issue_number));
+  node.title = issue.title;
+  node.state = issue.state;
+  node.state_reason = issue.state_reason || null;
+  node.assignees = (issue.assignees || []).map((assignee) => assignee.login);
+  node.labels = (issue.labels || []).map((label) =>
+    typeof label === "string" ? label : label.name
+  );
+  node.updated_at = issue.updated_at || null;
+  node.summary = issue.sub_issues_summary || null;
+
+  if (!node.summary?.total || (!walkClosed && issue.state === "closed")) {
+    return node;
+  }
+  if (maxDepth !== null && depth >= maxDepth) {
+    // Below the depth limit, the rollup falls back to GitHub's summary of the direct sub-issues
+    node.truncated = true;
+    return node;
+  }
+
+  const subIssues = await run(() => source.getSubIssues(owner, repo, issue_number));
+
+  const readChild = async (subIssue) => {
+    const child = parseSubIssueRef(subIssue);
+
+    // Shared sub-issues and cycles are only read, and shown, the first time they appear
+    if (visited.has(child.ref.toLowerCase())) {
+      return { ref: child.ref, duplicate: true };
+    }
+
+    try {
+      return await collectStatusTree(
+        octokit,
+        child.owner,
+        child.repo,
+        child.issue_number,
+        depth + 1,
+        { ...options, source, limit, visited, errors }
+      );
+    } catch (error) {
+      errors.push({ ref: child.ref, message: error.message });
+      return { ref: child.ref, error: error.message };
+    }
+  };
+
+  if (limit) {
+    node.children = await Promise.all(subIssues.map(readChild));
+  } else {
+    for (const subIssue of subIssues) {
+      node.children.push(await readChild(subIssue));
+    }
+  }
+
+  return node;
+}
+
+/**
+ * Adds a `rollup` to every node of a status tree: how many of all its descendants, at any
+ * depth, are closed. Shared sub-issues are counted once per ancestor.
+ * @param {Object} tree - Root node from collectStatusTree
+ * @returns {Object} The same tree, with `rollup` ({ completed, total, percent }) on each node
+ */
+export function computeRollups(tree) {
+  // Lower-cased ref -> node, so shared sub-issues resolve to where they were read
+  const nodes = new Map();
+  const index = (node) => {
+    if (!node.duplicate) {
+      nodes.set(node.ref.toLowerCase(), node);
+      node.children?.forEach(index);
+    }
+  };
+  index(tree);
+
+  // Lower-cased ref -> descendants of that issue, as a map of ref to { completed, total }
+  const memo = new Map();
+  const descendantsOf = (node) => {
+    const key = node.ref.toLowerCase();
+    if (memo.has(key)) {
+      return memo.get(key);
+    }
+
+    const descendants = new Map();
+    memo.set(key, descendants); // Cycles end here
+
+    for (const child of node.children || []) {
+      const original = nodes.get(child.ref.toLowerCase()) || child;
+      const closed = original.state === "closed";
+      descendants.set(original.ref.toLowerCase(), { completed: closed ? 1 : 0, total: 1 });
+
+      for (const [ref, counts] of descendantsOf(original)) {
+        descendants.set(ref, counts);
+      }
+    }
+    if (node.truncated) {
+      // Sub-issues below the depth limit are only known from GitHub's summary
+      descendants.set(`${key} (summary)`, {
+        completed: node.summary.completed || 0,
+        total: node.summary.total,
+      });
+    }
+    return descendants;
+  };
+
+  for (const node of nodes.values()) {
+    let completed = 0;
+    let total = 0;
+    for (const counts of descendantsOf(node).values()) {
+      completed += counts.completed;
+      total += counts.total;
+    }
+    node.rollup = {
+      completed,
+      total,
+      percent: total === 0 ? null : Math.floor((completed / total) * 100),
+    };
+  }
+
+  return tree;
+}
+
+/**
+ * Renders a completion bar
+ * @param {number} percent - Completion from 0 to 100
+ * @param {number} width - Number of cells in the bar
+ * @returns {string} Bar such as "██████░░░░"
+ */
+export function progressBar(percent, width = 10) {
+  const filled = Math.round((percent / 100) * width);
+  return "█".repeat(filled) + "░".repeat(width - filled);
+}
+
+/**
+ * Orders sibling nodes
+ * @param {Object[]} children - Sibling nodes
+ * @param {string} sort - tree, number, title, progress or state
+ * @returns {Object[]} Sorted copy of the siblings
+ */
+function sortChildren(children, sort) {
+  const number = (node) => Number(node.ref.slice(node.ref.lastIndexOf("#") + 1));
+  const compare = {
+    tree: () => 0,
+    number: (a, b) => a.ref.localeCompare(b.ref, "en", { numeric: true }),
+    title: (a, b) => (a.title || "").localeCompare(b.title || "") || number(a) - number(b),
+    // Least complete first; leaves count as 0% when open and 100% when closed
+    progress: (a, b) => progressOf(a) - progressOf(b),
+    state: (a, b) => (a.state === "closed") - (b.state === "closed"),
+  }[sort];
+
+  return [...children].sort(compare);
+}
+
+/**
+ * Reads the completion of a node for sorting
+ * @param {Object} node - Status node
+ * @returns {number} Completion from 0 to 100
+ */
+function progressOf(node) {
+  return node.rollup?.percent ?? (node.state === "closed" ? 100 : 0);
+}
+
+/**
+ * Renders a status tree as text, one issue per line
+ * @param {Object} tree - Root node from computeRollups
+ * @param {Object} options - Rendering options
+ * @param {string} options.sort - Sibling order: tree, number, title, progress or state
+ * @param {boolean} options.collapseClosed - Hide the sub-issues of closed issues
+ * @returns {string[]} Lines of output
+ */
+export function renderStatus(tree, { sort = "tree", collapseClosed = false } = {}) {
+  const lines = [];
+
+  const renderNode = (node, depth) => {
+    const indent = "  ".repeat(depth);
+
+    if (node.duplicate) {
+      lines.push(`${indent}${softOrange} ${bold}${node.ref}${reset} ${dim}- shown above${reset}`);
+      return;
+    }
+    if (node.error) {
+      lines.push(`${indent}⚠️  ${bold}${node.ref}${reset} ${dim}- ${node.error}${reset}`);
+      return;
+    }
+
+    const symbol =
+      node.state !== "closed"
+        ? greenOpen
+        : node.state_reason === "not_planned"
+          ? greyClosed
+          : purpleClosed;
+    const parts = [`${indent}${symbol} ${bold}${node.ref}${reset} ${node.title}`];
+
+    if (node.rollup.total > 0) {
+      const { completed, total, percent } = node.rollup;
+      const direct = node.summary
+        ? ` ${dim}(direct ${node.summary.completed}/${node.summary.total})${reset}`
+        : "";
+      parts.push(`${progressBar(percent)} ${percent}% ${completed}/${total}${direct}`);
+    }
+    if (node.assignees.length > 0) {
+      parts.push(`${dim}${node.assignees.map((login) => `@${login}`).join(" ")}${reset}`);
+    }
+    if (node.labels.length > 0) {
+      parts.push(`${dim}[${node.labels.join(", ")}]${reset}`);
+    }
+    lines.push(parts.join("  "));
+
+    if (node.children.length === 0) {
+      return;
+    }
+    if (collapseClosed && node.state === "closed") {
+      lines.push(`${indent}  ${softOrange} ${dim}${node.rollup.total} sub-issue(s) hidden${reset}`);
+      return;
+    }
+    for (const child of sortChildren(node.children, sort)) {
+      renderNode(child, depth + 1);
+    }
+  };
+
+  renderNode(tree, 0);
+  return lines;
+}
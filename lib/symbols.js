@@ -0,0 +1,11 @@
+/**
+ * Color codes and status symbols shared by the terminal output of every command
+ */
+
+export const greenOpen = "\x1b[32mʘ\x1b[0m"; // Green open circle
+export const purpleClosed = "\x1b[38;2;171;28;232m⊘\x1b[0m"; // Purple closed circle (RGB: 171, 28, 232)
+export const greyClosed = "\x1b[90m⊘\x1b[0m"; // Grey closed circle (not planned)
+export const softOrange = "\x1b[38;2;255;165;80m·\x1b[0m"; // Soft orange info dot
+export const bold = "\x1b[1m";
+export const dim = "\x1b[2m";
+export const reset = "\x1b[0m";
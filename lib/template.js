@@ -0,0 +1,101 @@
+/**
+ * Closing comment templates for the GitHub Sub-Issue Closer
+ */
+
+import { existsSync, readFileSync, statSync } from "fs";
+
+export const DEFAULT_COMMENT_TEMPLATE = "🤖 Automatically closed: {{reason}}";
+
+// Hidden marker appended to every closing comment, so later runs can tell which
+// closures were made by this tool (see reconcile.js)
+export const CLOSER_MARKER = "<!-- sub-issue-closer -->";
+
+/**
+ * Placeholders available in comment templates
+ */
+export const TEMPLATE_PLACEHOLDERS = {
+  issue: "Reference of the issue being closed (owner/repo#123)",
+  title: "Title of the issue being closed",
+  parent: "Reference of its parent in the processed tree (empty for the root)",
+  reason: "Why the issue is being closed",
+  completed: "Number of completed sub-issues",
+  total: "Total number of sub-issues",
+  children: "Markdown task list of the sub-issues",
+  run_url: "URL of the GitHub Actions run (empty outside Actions)",
+  remaining: "Markdown list of the sub-issues still open when closing below 100%",
+  follow_up: "Reference of the follow-up issue the open sub-issues were moved to (if any)",
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g;
+
+// A single word with a directory separator or a text file extension, such as "templates/close.md"
+const PATH_PATTERN = /^[^\s{}]*(?:[\\/][^\s{}]*|\.(?:md|markdown|txt|tmpl|tpl))$/i;
+
+/**
+ * Loads a comment template from a file, or uses the value itself as the template. A value that
+ * looks like a path but names no file is refused, so a mistyped path is never posted as the
+ * closing comment.
+ * @param {string} value - Path to a template file or a literal template
+ * @returns {string} Template text
+ * @throws {Error} If the value looks like a path but is not a file
+ */
+export function loadCommentTemplate(value) {
+  if (existsSync(value) && statSync(value).isFile()) {
+    return readFileSync(value, "utf8");
+  }
+  if (PATH_PATTERN.test(value)) {
+    throw new Error(
+      `Comment template file not found: ${value} (literal templates must contain a space)`
+    );
+  }
+  return value;
+}
+
+/**
+ * Checks a template for unknown placeholders and unbalanced braces
+ * @param {string} template - Template text
+ * @returns {string[]} Array of problems with the template
+ */
+export function validateTemplate(template) {
+  const problems = [];
+
+  for (const [, name] of template.matchAll(PLACEHOLDER_PATTERN)) {
+    if (!Object.hasOwn(TEMPLATE_PLACEHOLDERS, name)) {
+      problems.push(
+        `Unknown placeholder {{${name}}} in comment template (available: ${Object.keys(
+          TEMPLATE_PLACEHOLDERS
+        ).join(", ")})`
+      );
+    }
+  }
+
+  const leftover = template.replace(PLACEHOLDER_PATTERN, "");
+  if (leftover.includes("{{") || leftover.includes("}}")) {
+    problems.push("Unbalanced {{ }} in comment template");
+  }
+
+  return problems;
+}
+
+/**
+ * Fills in a template's placeholders
+ * @param {string} template - Template text (validated with validateTemplate)
+ * @param {Object} values - Values for the placeholders
+ * @returns {string} Rendered comment body
+ */
+export function renderTemplate(template, values) {
+  return template.replace(PLACEHOLDER_PATTERN, (_, name) => String(values[name] ?? ""));
+}
+
+/**
+ * Builds the URL of the current GitHub Actions run from the environment
+ * @param {Object} env - Environment variables
+ * @returns {string} Run URL, or an empty string outside GitHub Actions
+ */
+export function getRunUrl(env = process.env) {
+  if (!env.GITHUB_REPOSITORY || !env.GITHUB_RUN_ID) {
+    return "";
+  }
+  const server = env.GITHUB_SERVER_URL || "https://github.com";
+  return `${server}/${env.GITHUB_REPOSITORY}/actions/runs/${env.GITHUB_RUN_ID}`;
+}
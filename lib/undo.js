@@ -0,0 +1,228 @@
+/**
+ * Undo journal for the GitHub Sub-Issue Closer
+ *
+ * Live runs append every change they make to a newline-delimited JSON journal, so a run
+ * made against the wrong issue can be reversed in one step with the rollback command.
+ */
+
+import { appendFileSync, existsSync, readFileSync } from "fs";
+import { bold, dim, greenOpen, purpleClosed, reset, softOrange } from "./symbols.js";
+
+/**
+ * Builds the default journal path for a run started at the given time
+ * @param {Date} date - Start of the run
+ * @returns {string} File name such as "undo-2025-01-01T12-00-00.ndjson"
+ */
+export function defaultUndoFile(date = new Date()) {
+  return `undo-${date.toISOString().slice(0, 19).replace(/:/g, "-")}.ndjson`;
+}
+
+/**
+ * Opens an undo journal for writing. The file is only created once the run changes
+ * something, so runs that close nothing leave no journal behind.
+ * @param {string} file - Path to the journal
+ * @param {Object} run - What the run is
+ * @param {string} run.command - Command being run
+ * @param {string|null} run.root - Reference of the issue the run started from (several are
+ *   separated by commas)
+ * @returns {Object} Journal with `file`, `count()` and `record(entry)`
+ */
+export function openUndoLog(file, { command, root = null }) {
+  let entries = 0;
+
+  const append = (entry) => {
+    appendFileSync(file, `${JSON.stringify({ ...entry, at: new Date().toISOString() })}\n`);
+  };
+
+  const record = (entry) => {
+    if (entries === 0) {
+      append({ type: "run", command, root });
+    }
+    entries++;
+    append(entry);
+  };
+
+  return { file, count: () => entries, record };
+}
+
+/**
+ * Reads the changes recorded in an undo journal
+ * @param {string} file - Path to the journal
+ * @returns {Object[]} Recorded changes, oldest first (run headers are left out)
+ */
+export function readUndoLog(file) {
+  if (!existsSync(file)) {
+    throw new Error(`Undo journal not found: ${file}`);
+  }
+
+  const entries = [];
+  for (const line of readFileSync(file, "utf8").split("\n")) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      const entry = JSON.parse(line);
+      if (entry.type !== "run") {
+        entries.push(entry);
+      }
+    } catch {
+      // A run killed mid-write can leave a truncated last line behind
+    }
+  }
+  return entries;
+}
+
+// Replace the bot comment when --edit-comments keeps it instead of deleting it
+const ROLLED_BACK_COMMENTS = {
+  closed: "🤖 This issue was closed by mistake and has been reopened.",
+  reopened: "🤖 This issue was reopened by mistake and has been closed again.",
+};
+
+/**
+ * Attaches the comment entries of a journal to the change they were posted for. Changes are
+ * journaled as soon as they are made and their comments only once posted, so a change whose
+ * comment failed has no comment to undo.
+ * @param {Object[]} entries - Changes from readUndoLog, oldest first
+ * @returns {Object[]} Changes with `comment_id` set, oldest first
+ */
+export function pairComments(entries) {
+  const changes = [];
+
+  for (const entry of entries) {
+    if (entry.type === "comment") {
+      const change = changes.findLast((candidate) => candidate.ref === entry.ref);
+      if (change) {
+        change.comment_id = entry.comment_id;
+      }
+    } else {
+      changes.push({ comment_id: null, ...entry });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Reverses the changes recorded in an undo journal, newest first: closed issues are
+ * reopened, issues reopened by reconcile are closed again, the bot comments are deleted
+ * (or edited), and sub-issues moved to a follow-up issue are moved back before the
+ * follow-up issue is closed
+ * @param {Object} octokit - Octokit instance
+ * @param {Object[]} entries - Changes from readUndoLog
+ * @param {Object} options - Rollback options
+ * @param {boolean} options.dryRun - If true, only report what would be rolled back
+ * @param {boolean} options.editComments - Edit the bot comments instead of deleting them
+ * @param {Function} options.log - Output function for progress lines (defaults to console.log)
+ * @returns {Promise<Object>} Counts of reopened and re-closed issues and restored follow-ups,
+ *   and errors
+ */
+export async function rollback(octokit, entries, options = {}) {
+  const { dryRun = false, editComments = false } = options;
+  const log = options.log || ((line) => console.log(line));
+
+  let reopened = 0;
+  let reclosed = 0;
+  let restored = 0;
+  const errors = [];
+
+  for (const entry of pairComments(entries).reverse()) {
+    const { owner, repo } = entry;
+
+    try {
+      if (entry.type === "closed" || entry.type === "reopened") {
+        const { data: issue } = await octokit.rest.issues.get({
+          owner,
+          repo,
+          issue_number: entry.issue_number,
+        });
+
+        // Closed issues go back to open and reopened ones back to closed
+        const changedTo = entry.type === "closed" ? "closed" : "open";
+        if (issue.state !== changedTo) {
+          log(
+            `${softOrange} ${bold}${entry.ref}${reset} ${dim}- Already ${issue.state}, skipping${reset}`
+          );
+          continue;
+        }
+
+        const comment = entry.comment_id
+          ? editComments
+            ? "comment edited"
+            : "comment deleted"
+          : "no comment";
+        if (entry.type === "closed") {
+          log(
+            `${greenOpen} ${bold}${entry.ref}${reset} ${dim}- "${issue.title}" (${dryRun ? "would be reopened" : "reopened"}, ${comment})${reset}`
+          );
+        } else {
+          log(
+            `${purpleClosed} ${bold}${entry.ref}${reset} ${dim}- "${issue.title}" (${dryRun ? "would be closed again" : "closed again"}, ${comment})${reset}`
+          );
+        }
+
+        if (!dryRun) {
+          await octokit.rest.issues.update({
+            owner,
+            repo,
+            issue_number: entry.issue_number,
+            ...(entry.type === "closed"
+              ? { state: entry.previous_state || "open" }
+              : { state: "closed", state_reason: entry.previous_state_reason || "completed" }),
+          });
+          if (entry.comment_id && editComments) {
+            await octokit.rest.issues.updateComment({
+              owner,
+              repo,
+              comment_id: entry.comment_id,
+              body: ROLLED_BACK_COMMENTS[entry.type],
+            });
+          } else if (entry.comment_id) {
+            await octokit.rest.issues.deleteComment({ owner, repo, comment_id: entry.comment_id });
+          }
+        }
+        if (entry.type === "closed") {
+          reopened++;
+        } else {
+          reclosed++;
+        }
+      } else if (entry.type === "moved") {
+        log(
+          `${softOrange} ${bold}${entry.ref}${reset} ${dim}- ${dryRun ? "Would move" : "Moving"} it back from ${entry.follow_up} to #${entry.issue_number}${reset}`
+        );
+        if (!dryRun) {
+          await octokit.rest.issues.removeSubIssue({
+            owner,
+            repo,
+            issue_number: entry.follow_up_number,
+            sub_issue_id: entry.sub_issue_id,
+          });
+          await octokit.rest.issues.addSubIssue({
+            owner,
+            repo,
+            issue_number: entry.issue_number,
+            sub_issue_id: entry.sub_issue_id,
+          });
+        }
+      } else if (entry.type === "follow-up") {
+        // Its sub-issues were journaled as moved after it, so they are back under the parent by now
+        log(
+          `${softOrange} ${bold}${entry.ref}${reset} ${dim}- ${dryRun ? "Would close" : "Closing"} follow-up ${entry.follow_up}${reset}`
+        );
+        if (!dryRun) {
+          await octokit.rest.issues.update({
+            owner,
+            repo,
+            issue_number: entry.follow_up_number,
+            state: "closed",
+            state_reason: "not_planned",
+          });
+        }
+        restored++;
+      }
+    } catch (error) {
+      errors.push({ ref: entry.ref, message: error.message });
+      console.warn(`⚠️  Could not roll back ${entry.ref}: ${error.message}`);
+    }
+  }
+
+  return { reopened, reclosed, restored, errors };
+}
@@ -0,0 +1,166 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { approveCloses, listCloses } from "../lib/approve.js";
+import { processIssueRecursively } from "../lib/core.js";
+
+const issue = (number, state, total = 0, completed = 0) => ({
+  number,
+  title: `Issue ${number}`,
+  state,
+  sub_issues_summary: {
+    total,
+    completed,
+    percent_completed: total === 0 ? 0 : Math.round((completed / total) * 100),
+  },
+});
+
+/**
+ * Creates an octokit serving issues by number in owner "o", repo "r"
+ */
+const fakeOctokit = (issues, children) => ({
+  rest: {
+    issues: {
+      get: vi.fn(async ({ issue_number }) => ({ data: issues[issue_number] })),
+      listSubIssues: vi.fn(async ({ issue_number }) => ({
+        data: (children[issue_number] || []).map((number) => ({
+          number,
+          state: issues[number].state,
+          repository_url: "https://api.github.com/repos/o/r",
+        })),
+      })),
+      update: vi.fn().mockResolvedValue({}),
+      createComment: vi.fn().mockResolvedValue({ data: { id: 1 } }),
+    },
+  },
+});
+
+describe("approve.js", () => {
+  let consoleLogSpy;
+
+  // 1 ─┬─ 2 ─┬─ 3 (closed)
+  //    │     └─ 4 (closed)
+  //    └─ 5 ─── 6 (closed)
+  const issues = {
+    1: issue(1, "open", 2, 0),
+    2: issue(2, "open", 2, 2),
+    3: issue(3, "closed"),
+    4: issue(4, "closed"),
+    5: issue(5, "open", 1, 1),
+    6: issue(6, "closed"),
+  };
+  const children = { 1: [2, 5], 2: [3, 4], 5: [6] };
+
+  const dryPass = async (options = {}) => {
+    const visited = new Map();
+    await processIssueRecursively(fakeOctokit(issues, children), "o", "r", 1, 0, true, false, {
+      ...options,
+      visited,
+    });
+    return visited;
+  };
+
+  const answering =
+    (...answers) =>
+    async () =>
+      answers.shift();
+
+  beforeEach(() => {
+    consoleLogSpy = vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+  });
+
+  describe("listCloses", () => {
+    it("should list parents before their sub-issues", async () => {
+      const closes = listCloses(await dryPass(), ["o/r#1"]);
+
+      expect(closes.map((close) => close.ref)).toEqual(["o/r#1", "o/r#2", "o/r#5"]);
+      expect(closes[0]).toMatchObject({
+        title: "Issue 1",
+        summary: { completed: 2, total: 2 },
+        reason: "All sub-issues are now complete",
+        open: [],
+      });
+      expect(closes[0].dependsOn).toEqual(["o/r#2", "o/r#5"]);
+      expect(closes[1].dependsOn).toEqual([]);
+      expect([...closes[0].descendants]).toEqual(["o/r#2", "o/r#3", "o/r#4", "o/r#5", "o/r#6"]);
+    });
+
+    it("should list the sub-issues still open under a close below 100%", async () => {
+      // 7 ─┬─ 8 (closed)
+      //    └─ 9
+      const visited = new Map();
+      await processIssueRecursively(
+        fakeOctokit(
+          { 7: issue(7, "open", 2, 1), 8: issue(8, "closed"), 9: issue(9, "open") },
+          { 7: [8, 9] }
+        ),
+        "o",
+        "r",
+        7,
+        0,
+        true,
+        false,
+        { visited, threshold: 50 }
+      );
+
+      expect(listCloses(visited, ["o/r#7"])).toEqual([
+        expect.objectContaining({ ref: "o/r#7", open: ["o/r#9"] }),
+      ]);
+    });
+  });
+
+  describe("approveCloses", () => {
+    it("should only approve the closes answered with approve", async () => {
+      const ask = vi.fn(answering("approve", "skip", "approve"));
+
+      const { approved, total } = await approveCloses(await dryPass(), ["o/r#1"], ask);
+
+      expect(total).toBe(3);
+      expect([...approved]).toEqual(["o/r#1", "o/r#5"]);
+      expect(ask).toHaveBeenCalledWith(expect.objectContaining({ ref: "o/r#2" }), 2, 3);
+    });
+
+    it("should not ask about anything below a skipped sub-tree", async () => {
+      const ask = vi.fn(answering("skip_tree"));
+
+      const { approved } = await approveCloses(await dryPass(), ["o/r#1"], ask);
+
+      expect(approved.size).toBe(0);
+      expect(ask).toHaveBeenCalledTimes(1);
+    });
+
+    it("should approve everything left after approve all", async () => {
+      const ask = vi.fn(answering("skip", "approve_all"));
+
+      const { approved } = await approveCloses(await dryPass(), ["o/r#1"], ask);
+
+      expect([...approved]).toEqual(["o/r#2", "o/r#5"]);
+      expect(ask).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe("closing approved issues", () => {
+    it("should keep issues that were not approved open", async () => {
+      const octokit = fakeOctokit(issues, children);
+      const visited = new Map();
+
+      const result = await processIssueRecursively(octokit, "o", "r", 1, 0, false, false, {
+        visited,
+        approved: new Set(["o/r#1", "o/r#2"]),
+      });
+
+      // #5 stays open, so #1 is no longer complete either
+      expect(result.closed).toBe(1);
+      expect(octokit.rest.issues.update).toHaveBeenCalledWith(
+        expect.objectContaining({ issue_number: 2, state: "closed" })
+      );
+      expect(visited.get("o/r#5")).toMatchObject({ decision: "kept_open", reason: "not approved" });
+      expect(visited.get("o/r#1")).toMatchObject({
+        decision: "kept_open",
+        reason: "approved, but 1/2 sub-issues complete: the closes of o/r#5 were not approved",
+      });
+    });
+  });
+});
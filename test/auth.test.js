@@ -38,6 +38,16 @@ describe("auth.js - getToken", () => {
     expect(passwordPrompt).not.toHaveBeenCalled();
   });
 
+  it("should write its status lines through the given log function", async () => {
+    process.env.GITHUB_TOKEN = "ghp_test_token_from_env";
+    const log = vi.fn();
+
+    await getToken(log);
+
+    expect(log).toHaveBeenCalledWith("✓ Using GITHUB_TOKEN from environment");
+    expect(consoleLogSpy).not.toHaveBeenCalled();
+  });
+
   it("should prompt for token if environment variable is not set", async () => {
     delete process.env.GITHUB_TOKEN;
     passwordPrompt.mockResolvedValue("ghp_prompted_token");
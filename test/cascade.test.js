@@ -0,0 +1,213 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { cascadeClose } from "../lib/cascade.js";
+import { createCloseBudget } from "../lib/core.js";
+
+describe("cascade.js", () => {
+  let mockOctokit;
+  let consoleLogSpy;
+
+  const issue = (number, state, { state_reason = null, total = 0, labels = [] } = {}) => ({
+    data: {
+      number,
+      title: `Issue ${number}`,
+      state,
+      state_reason,
+      labels,
+      sub_issues_summary: { total, completed: 0, percent_completed: 0 },
+    },
+  });
+  const ref = (number) => ({ number, repository_url: "https://api.github.com/repos/owner/repo" });
+
+  /**
+   * #1 (closed as not planned) -> #2 (open) -> #4 (open)
+   *                            -> #3 (closed)
+   */
+  const setupTree = ({ labels = [] } = {}) => {
+    const issues = {
+      1: issue(1, "closed", { state_reason: "not_planned", total: 2 }),
+      2: issue(2, "open", { total: 1, labels }),
+      3: issue(3, "closed", { state_reason: "completed" }),
+      4: issue(4, "open"),
+    };
+    const children = { 1: [ref(2), ref(3)], 2: [ref(4)] };
+
+    mockOctokit.rest.issues.get.mockImplementation(
+      async ({ issue_number }) => issues[issue_number]
+    );
+    mockOctokit.rest.issues.listSubIssues.mockImplementation(async ({ issue_number }) => ({
+      data: children[issue_number] || [],
+    }));
+  };
+
+  beforeEach(() => {
+    consoleLogSpy = vi.spyOn(console, "log").mockImplementation(() => {});
+    mockOctokit = {
+      rest: {
+        issues: {
+          get: vi.fn(),
+          listSubIssues: vi.fn(),
+          update: vi.fn().mockResolvedValue({ data: {} }),
+          createComment: vi.fn().mockResolvedValue({ data: {} }),
+        },
+      },
+    };
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    vi.clearAllMocks();
+  });
+
+  it("should close open descendants with the parent's state reason", async () => {
+    setupTree();
+
+    const result = await cascadeClose(mockOctokit, "owner", "repo", 1, 0, false, false);
+
+    expect(result).toEqual({ processed: 3, closed: 2 });
+    expect(mockOctokit.rest.issues.update).toHaveBeenCalledTimes(2);
+    expect(mockOctokit.rest.issues.update).toHaveBeenCalledWith(
+      expect.objectContaining({ issue_number: 2, state: "closed", state_reason: "not_planned" })
+    );
+    expect(mockOctokit.rest.issues.update).toHaveBeenCalledWith(
+      expect.objectContaining({ issue_number: 4, state_reason: "not_planned" })
+    );
+  });
+
+  it("should link each comment back to the parent that was closed", async () => {
+    setupTree();
+
+    await cascadeClose(mockOctokit, "owner", "repo", 1, 0, false, false);
+
+    expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(
+      expect.objectContaining({
+        issue_number: 2,
+        body: "🤖 Automatically closed: Parent owner/repo#1 was closed as not planned\n\n<!-- sub-issue-closer -->",
+      })
+    );
+    expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(
+      expect.objectContaining({
+        issue_number: 4,
+        body: "🤖 Automatically closed: Parent owner/repo#2 was closed as not planned\n\n<!-- sub-issue-closer -->",
+      })
+    );
+  });
+
+  it("should close with the state reason given to override the parent's", async () => {
+    setupTree();
+
+    await cascadeClose(mockOctokit, "owner", "repo", 1, 0, false, false, {
+      stateReason: "completed",
+    });
+
+    expect(mockOctokit.rest.issues.update).toHaveBeenCalledWith(
+      expect.objectContaining({ issue_number: 2, state_reason: "completed" })
+    );
+    expect(mockOctokit.rest.issues.update).toHaveBeenCalledWith(
+      expect.objectContaining({ issue_number: 4, state_reason: "completed" })
+    );
+  });
+
+  it("should not close anything in dry-run", async () => {
+    setupTree();
+
+    const result = await cascadeClose(mockOctokit, "owner", "repo", 1, 0, true, false);
+
+    expect(result).toEqual({ processed: 3, closed: 2 });
+    expect(mockOctokit.rest.issues.update).not.toHaveBeenCalled();
+    expect(consoleLogSpy).toHaveBeenCalledWith(
+      expect.stringContaining("(would be closed as not planned)")
+    );
+  });
+
+  it("should walk sibling sub-trees in parallel and print them in order", async () => {
+    const issues = {
+      1: issue(1, "closed", { state_reason: "not_planned", total: 2 }),
+      2: issue(2, "open"),
+      3: issue(3, "open"),
+    };
+    const inFlight = new Set();
+    let overlapped = false;
+    mockOctokit.rest.issues.get.mockImplementation(async ({ issue_number }) => {
+      inFlight.add(issue_number);
+      overlapped ||= inFlight.has(2) && inFlight.has(3);
+      // The first sibling finishes last
+      await new Promise((resolve) => setTimeout(resolve, issue_number === 2 ? 20 : 0));
+      inFlight.delete(issue_number);
+      return issues[issue_number];
+    });
+    mockOctokit.rest.issues.listSubIssues.mockImplementation(async ({ issue_number }) => ({
+      data: issue_number === 1 ? [ref(2), ref(3)] : [],
+    }));
+
+    const result = await cascadeClose(mockOctokit, "owner", "repo", 1, 0, true, true, {
+      concurrency: 4,
+    });
+
+    expect(result).toEqual({ processed: 2, closed: 2 });
+    expect(overlapped).toBe(true);
+    const lines = consoleLogSpy.mock.calls.map(([line]) => line);
+    const second = lines.findIndex((line) => line.includes("owner/repo#2"));
+    const third = lines.findIndex((line) => line.includes("owner/repo#3"));
+    expect(second).toBeGreaterThan(-1);
+    expect(second).toBeLessThan(third);
+  });
+
+  it("should only report the closes beyond --max-close", async () => {
+    setupTree();
+    const visited = new Map();
+
+    const result = await cascadeClose(mockOctokit, "owner", "repo", 1, 0, false, false, {
+      visited,
+      closeBudget: createCloseBudget(1),
+    });
+
+    expect(result).toEqual({ processed: 3, closed: 1 });
+    expect(mockOctokit.rest.issues.update).toHaveBeenCalledTimes(1);
+    expect(visited.get("owner/repo#4")).toMatchObject({
+      decision: "would_close",
+      reason: "Parent owner/repo#2 was closed as not planned (held back by --max-close)",
+    });
+  });
+
+  it("should refuse to cascade from an open issue", async () => {
+    mockOctokit.rest.issues.get.mockResolvedValue(issue(1, "open", { total: 1 }));
+
+    await expect(cascadeClose(mockOctokit, "owner", "repo", 1, 0, true, false)).rejects.toThrow(
+      "owner/repo#1 is still open; close it before cascading to its sub-issues"
+    );
+  });
+
+  it("should keep protected issues open but still walk their sub-issues", async () => {
+    setupTree({ labels: [{ name: "keep" }] });
+
+    const result = await cascadeClose(mockOctokit, "owner", "repo", 1, 0, false, false, {
+      protectLabels: ["keep"],
+    });
+
+    expect(result.closed).toBe(1);
+    expect(mockOctokit.rest.issues.update).toHaveBeenCalledWith(
+      expect.objectContaining({ issue_number: 4 })
+    );
+  });
+
+  it("should report an unreadable sub-tree and carry on", async () => {
+    const consoleWarnSpy = vi.spyOn(console, "warn").mockImplementation(() => {});
+    setupTree();
+    const get = mockOctokit.rest.issues.get.getMockImplementation();
+    mockOctokit.rest.issues.get.mockImplementation(async (params) => {
+      if (params.issue_number === 2) {
+        throw new Error("Server Error");
+      }
+      return get(params);
+    });
+    const errors = [];
+
+    const result = await cascadeClose(mockOctokit, "owner", "repo", 1, 0, false, false, {
+      errors,
+    });
+
+    expect(result).toEqual({ processed: 1, closed: 0 });
+    expect(errors).toEqual([{ ref: "owner/repo#2", message: "Server Error" }]);
+    consoleWarnSpy.mockRestore();
+  });
+});
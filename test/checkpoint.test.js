@@ -0,0 +1,223 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync, appendFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { openCheckpoint, readCheckpoint } from "../lib/checkpoint.js";
+import { processIssueRecursively } from "../lib/core.js";
+
+const readEntries = (file) =>
+  readFileSync(file, "utf8")
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line));
+
+describe("checkpoint.js", () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), "sub-issue-closer-"));
+    file = join(dir, "run.ndjson");
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("openCheckpoint", () => {
+    it("should start the journal with a run header", () => {
+      openCheckpoint(file, { dryRun: true });
+
+      expect(readEntries(file)).toEqual([
+        expect.objectContaining({ type: "run", dryRun: true, resumed: false }),
+      ]);
+    });
+
+    it("should append timestamped entries", () => {
+      const checkpoint = openCheckpoint(file, { dryRun: false });
+      checkpoint.record({ type: "visit", ref: "owner/repo#1" });
+
+      const [, entry] = readEntries(file);
+      expect(entry).toMatchObject({ type: "visit", ref: "owner/repo#1" });
+      expect(new Date(entry.at).toString()).not.toBe("Invalid Date");
+    });
+
+    it("should refuse to resume a journal written in the other mode", () => {
+      openCheckpoint(file, { dryRun: true });
+
+      expect(() => openCheckpoint(file, { dryRun: false, resumeFrom: file })).toThrow(
+        "was written by a dry-run and cannot be resumed in live mode"
+      );
+    });
+  });
+
+  describe("readCheckpoint", () => {
+    it("should throw for a missing journal", () => {
+      expect(() => readCheckpoint(join(dir, "missing.ndjson"))).toThrow(
+        "Checkpoint file not found"
+      );
+    });
+
+    it("should collect settled issues and tolerate a truncated last line", () => {
+      const checkpoint = openCheckpoint(file, { dryRun: false });
+      checkpoint.record({
+        type: "settled",
+        ref: "Owner/Repo#2",
+        state: "closed",
+        state_reason: "not_planned",
+        closed: false,
+      });
+      checkpoint.record({ type: "closed", ref: "owner/repo#3", state_reason: "completed" });
+      appendFileSync(file, '{"type":"settled","ref":"owner/re');
+
+      const { dryRun, settled } = readCheckpoint(file);
+
+      expect(dryRun).toBe(false);
+      expect(settled.get("owner/repo#2")).toEqual({
+        state: "closed",
+        state_reason: "not_planned",
+        closed: false,
+      });
+      // Closed without a settled entry: the run died right after closing it
+      expect(settled.get("owner/repo#3")).toEqual({
+        state: "open",
+        state_reason: "completed",
+        closed: true,
+      });
+      expect(settled.size).toBe(2);
+    });
+  });
+
+  describe("processIssueRecursively with a checkpoint", () => {
+    let mockOctokit;
+    let consoleLogSpy;
+
+    const issue = (number, state, summary) => ({
+      data: { number, title: `Issue ${number}`, state, sub_issues_summary: summary },
+    });
+    const ref = (number) => ({
+      number,
+      repository_url: "https://api.github.com/repos/owner/repo",
+    });
+
+    beforeEach(() => {
+      consoleLogSpy = vi.spyOn(console, "log").mockImplementation(() => {});
+      mockOctokit = {
+        rest: {
+          issues: {
+            get: vi.fn(),
+            listSubIssues: vi.fn(),
+            update: vi.fn().mockResolvedValue({ data: {} }),
+            createComment: vi.fn().mockResolvedValue({ data: {} }),
+          },
+        },
+      };
+    });
+
+    afterEach(() => {
+      consoleLogSpy.mockRestore();
+    });
+
+    it("should record visited, closed and settled issues", async () => {
+      mockOctokit.rest.issues.get
+        .mockResolvedValueOnce(issue(1, "open", { total: 1, completed: 1, percent_completed: 100 }))
+        .mockResolvedValueOnce(issue(2, "closed", null));
+      mockOctokit.rest.issues.listSubIssues.mockResolvedValue({ data: [ref(2)] });
+      const checkpoint = openCheckpoint(file, { dryRun: false });
+
+      await processIssueRecursively(mockOctokit, "owner", "repo", 1, 0, false, false, {
+        checkpoint,
+      });
+
+      expect(readEntries(file).map(({ type, ref }) => `${type} ${ref || ""}`.trim())).toEqual([
+        "run",
+        "visit owner/repo#1",
+        "visit owner/repo#2",
+        "settled owner/repo#2",
+        "closed owner/repo#1",
+        "settled owner/repo#1",
+      ]);
+    });
+
+    it("should walk a sub-tree with a failed branch again when resuming", async () => {
+      // #1 -> #2 -> #3 (closed); reading #2 fails once
+      const issues = {
+        1: issue(1, "open", { total: 1, completed: 0, percent_completed: 0 }),
+        2: issue(2, "open", { total: 1, completed: 1, percent_completed: 100 }),
+        3: issue(3, "closed", null),
+      };
+      let failed = false;
+      mockOctokit.rest.issues.get.mockImplementation(async ({ issue_number }) => {
+        if (issue_number === 2 && !failed) {
+          failed = true;
+          throw new Error("Bad Gateway");
+        }
+        return issues[issue_number];
+      });
+      mockOctokit.rest.issues.listSubIssues.mockImplementation(async ({ issue_number }) => ({
+        data: { 1: [ref(2)], 2: [ref(3)] }[issue_number] || [],
+      }));
+      const consoleWarnSpy = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+      const errors = [];
+      await processIssueRecursively(mockOctokit, "owner", "repo", 1, 0, false, false, {
+        checkpoint: openCheckpoint(file, { dryRun: false }),
+        errors,
+      });
+      expect(errors).toEqual([{ ref: "owner/repo#2", message: "Bad Gateway" }]);
+      expect(readEntries(file).some(({ type }) => type === "settled")).toBe(false);
+
+      const result = await processIssueRecursively(
+        mockOctokit,
+        "owner",
+        "repo",
+        1,
+        0,
+        false,
+        false,
+        {
+          checkpoint: openCheckpoint(file, { dryRun: false, resumeFrom: file }),
+        }
+      );
+
+      expect(result).toEqual({ processed: 2, closed: 2 });
+      consoleWarnSpy.mockRestore();
+    });
+
+    it("should skip sub-trees settled in a previous run", async () => {
+      // Previous run settled #2 (closed it) but died before finishing #3
+      writeFileSync(
+        file,
+        [
+          { type: "run", dryRun: false },
+          { type: "settled", ref: "owner/repo#2", state: "open", closed: true },
+        ]
+          .map((entry) => JSON.stringify(entry))
+          .join("\n") + "\n"
+      );
+      mockOctokit.rest.issues.get
+        .mockResolvedValueOnce(issue(1, "open", { total: 2, completed: 1, percent_completed: 50 }))
+        .mockResolvedValueOnce(issue(3, "closed", null));
+      mockOctokit.rest.issues.listSubIssues.mockResolvedValue({ data: [ref(2), ref(3)] });
+      const checkpoint = openCheckpoint(file, { dryRun: false, resumeFrom: file });
+
+      const result = await processIssueRecursively(
+        mockOctokit,
+        "owner",
+        "repo",
+        1,
+        0,
+        false,
+        true,
+        { checkpoint }
+      );
+
+      expect(result).toEqual({ processed: 1, closed: 1 });
+      expect(mockOctokit.rest.issues.get).not.toHaveBeenCalledWith(
+        expect.objectContaining({ issue_number: 2 })
+      );
+      const logs = consoleLogSpy.mock.calls.map((call) => call[0]).join("\n");
+      expect(logs).toContain("Settled in a previous run, skipping");
+    });
+  });
+});
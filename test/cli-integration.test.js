@@ -109,4 +109,233 @@ describe("index.js CLI Integration Tests", () => {
       }
     }, 10000);
   });
+
+  describe("Runs against a fake GitHub API", () => {
+    // Runs the CLI against the fake GitHub API in test/fixtures/fake-github.js
+    const runAgainst = (routes, args) =>
+      execAsync(`node --import ./test/fixtures/fake-github.js index.js ${args}`, {
+        env: { ...process.env, FAKE_GITHUB: JSON.stringify(routes), GITHUB_STEP_SUMMARY: "" },
+      });
+
+    const issue = (number, total) => ({
+      number,
+      title: `Issue ${number}`,
+      state: "open",
+      state_reason: null,
+      sub_issues_summary: { total, completed: 0, percent_completed: 0 },
+    });
+
+    it("should exit with 1 when a sub-tree could not be processed", async () => {
+      const routes = {
+        "GET /user": { body: { login: "octocat" } },
+        "GET /repos/owner/repo/issues/1": { body: issue(1, 1) },
+        "GET /repos/owner/repo/issues/1/sub_issues": {
+          body: [
+            {
+              id: 2,
+              number: 2,
+              state: "open",
+              repository_url: "https://api.github.com/repos/owner/repo",
+            },
+          ],
+        },
+        // Issue 2 is missing, so its sub-tree fails
+      };
+
+      try {
+        await runAgainst(routes, '-y -i "owner/repo#1" -t fake_token -d');
+        expect(true).toBe(false);
+      } catch (error) {
+        expect(error.code).toBe(1);
+        expect(error.stdout).toContain("Sub-trees that could not be processed: 1");
+        expect(error.stdout).toContain("owner/repo#2");
+      }
+    }, 10000);
+
+    it("should exit with 0 when every sub-tree was processed", async () => {
+      const routes = {
+        "GET /user": { body: { login: "octocat" } },
+        "GET /repos/owner/repo/issues/1": { body: issue(1, 0) },
+      };
+
+      const { stdout } = await runAgainst(routes, '-y -i "owner/repo#1" -t fake_token -d');
+      expect(stdout).toContain("Issues processed: 1");
+    }, 10000);
+
+    it("should keep stdout valid JSON when the token comes from GITHUB_TOKEN", async () => {
+      const routes = {
+        "GET /user": { body: { login: "octocat" } },
+        "GET /repos/owner/repo/issues/1": { body: issue(1, 0) },
+      };
+
+      const { stdout, stderr } = await execAsync(
+        'node --import ./test/fixtures/fake-github.js index.js -y -i "owner/repo#1" -d --output json',
+        {
+          env: {
+            ...process.env,
+            FAKE_GITHUB: JSON.stringify(routes),
+            GITHUB_STEP_SUMMARY: "",
+            GITHUB_TOKEN: "fake_token",
+          },
+        }
+      );
+
+      expect(JSON.parse(stdout)).toMatchObject({ command: "close" });
+      expect(stderr).toContain("Using GITHUB_TOKEN from environment");
+    }, 10000);
+
+    it("should end the event stream with the summary of the command", async () => {
+      const routes = {
+        "GET /user": { body: { login: "octocat" } },
+        "GET /repos/owner/repo/issues/1": { body: issue(1, 0) },
+      };
+
+      const { stdout } = await runAgainst(
+        routes,
+        '-y -i "owner/repo#1" -t fake_token -d --events ndjson'
+      );
+      const events = stdout
+        .trim()
+        .split("\n")
+        .map((line) => JSON.parse(line));
+
+      expect(events.at(-1)).toMatchObject({
+        type: "summary",
+        processed: 1,
+        closed: 0,
+        reopened: null,
+        errors: 0,
+      });
+    }, 10000);
+
+    it("should stream an error and a summary when the only root fails", async () => {
+      const routes = { "GET /user": { body: { login: "octocat" } } };
+
+      try {
+        await runAgainst(routes, '-y -i "owner/repo#1" -t fake_token -d --events ndjson');
+        expect(true).toBe(false);
+      } catch (error) {
+        expect(error.code).toBe(1);
+        const events = error.stdout
+          .trim()
+          .split("\n")
+          .map((line) => JSON.parse(line));
+        expect(events.map((event) => event.type)).toEqual(["error", "summary"]);
+        expect(events[0]).toMatchObject({ ref: "owner/repo#1", depth: 0 });
+        expect(events[1]).toMatchObject({ processed: null, closed: null, errors: 1 });
+      }
+    }, 10000);
+
+    it("should stream an error for each root that fails", async () => {
+      const routes = {
+        "GET /user": { body: { login: "octocat" } },
+        "GET /repos/owner/repo/issues/1": { body: issue(1, 0) },
+      };
+
+      try {
+        await runAgainst(
+          routes,
+          '-y -i "owner/repo#1" -i "owner/repo#2" -i "owner/repo#3" -t fake_token -d --events ndjson'
+        );
+        expect(true).toBe(false);
+      } catch (error) {
+        expect(error.code).toBe(1);
+        const events = error.stdout
+          .trim()
+          .split("\n")
+          .map((line) => JSON.parse(line));
+        expect(events.filter((event) => event.type === "error").map((event) => event.ref)).toEqual([
+          "owner/repo#2",
+          "owner/repo#3",
+        ]);
+        expect(events.at(-1)).toMatchObject({ type: "summary", processed: 1, errors: 2 });
+      }
+    }, 10000);
+
+    it("should let --close-reason override the state reason of a cascade", async () => {
+      const routes = {
+        "GET /user": { body: { login: "octocat" } },
+        "GET /repos/owner/repo/issues/1": {
+          body: { ...issue(1, 1), state: "closed", state_reason: "not_planned" },
+        },
+        "GET /repos/owner/repo/issues/1/sub_issues": {
+          body: [
+            {
+              id: 2,
+              number: 2,
+              state: "open",
+              repository_url: "https://api.github.com/repos/owner/repo",
+            },
+          ],
+        },
+        "GET /repos/owner/repo/issues/2": { body: issue(2, 0) },
+      };
+
+      const { stdout } = await runAgainst(
+        routes,
+        'cascade -y -i "owner/repo#1" -t fake_token -d --close-reason completed'
+      );
+      expect(stdout).toContain("owner/repo#2");
+      expect(stdout).toContain("(would be closed)");
+      expect(stdout).not.toContain("as not planned");
+    }, 10000);
+
+    it("should graph the sub-issues of closed branches", async () => {
+      const subIssue = (number) => ({
+        id: number,
+        number,
+        state: "closed",
+        repository_url: "https://api.github.com/repos/owner/repo",
+      });
+      const routes = {
+        "GET /user": { body: { login: "octocat" } },
+        "GET /repos/owner/repo/issues/1": { body: issue(1, 1) },
+        "GET /repos/owner/repo/issues/1/sub_issues": { body: [subIssue(2)] },
+        "GET /repos/owner/repo/issues/2": {
+          body: { ...issue(2, 1), state: "closed", state_reason: "completed" },
+        },
+        "GET /repos/owner/repo/issues/2/sub_issues": { body: [subIssue(3)] },
+        "GET /repos/owner/repo/issues/3": {
+          body: { ...issue(3, 0), state: "closed", state_reason: "completed" },
+        },
+      };
+
+      const { stdout } = await runAgainst(
+        routes,
+        'graph -y -i "owner/repo#1" -t fake_token --highlight-closable'
+      );
+
+      expect(stdout).toContain("  n1 --> n2\n");
+      expect(stdout).toContain("  class n2 closed\n");
+      expect(stdout).toContain("  class n0 wouldClose\n");
+    }, 10000);
+
+    it("should exit with 1 when one of several roots fails", async () => {
+      const routes = {
+        "GET /user": { body: { login: "octocat" } },
+        "GET /repos/owner/repo/issues/1": { body: issue(1, 0) },
+      };
+
+      try {
+        await runAgainst(routes, '-y -i "owner/repo#1" -i "owner/repo#3" -t fake_token -d');
+        expect(true).toBe(false);
+      } catch (error) {
+        expect(error.code).toBe(1);
+        expect(error.stderr).toContain("Could not process owner/repo#3");
+      }
+    }, 10000);
+  });
+
+  describe("JSON output", () => {
+    it("should keep human-oriented output off stdout", async () => {
+      try {
+        await execAsync('node index.js -y -i "owner/repo#1" -t invalid_token_12345 --output json');
+        expect(true).toBe(false);
+      } catch (error) {
+        expect(error.code).toBe(1);
+        expect(error.stdout).toBe("");
+        expect(error.stderr).toContain("GitHub Sub-Issue Closer");
+      }
+    }, 10000);
+  });
 });
@@ -1,5 +1,15 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
-import { parseIssueInput, parseArgs, validateNonInteractiveMode } from "../lib/core.js";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  parseDepthRange,
+  parseIssueInput,
+  parseArgs,
+  readIssueList,
+  validateNonInteractiveMode,
+  validateOptions,
+} from "../lib/core.js";
 
 describe("core.js - Additional Coverage", () => {
   describe("parseIssueInput - edge cases", () => {
@@ -68,6 +78,23 @@ describe("core.js - Additional Coverage", () => {
     });
   });
 
+  describe("parseDepthRange", () => {
+    it("should parse single depths and closed or open-ended ranges", () => {
+      expect(parseDepthRange("1")).toEqual({ min: 1, max: 1 });
+      expect(parseDepthRange("0-1")).toEqual({ min: 0, max: 1 });
+      expect(parseDepthRange("2-")).toEqual({ min: 2, max: null });
+      expect(parseDepthRange("-3")).toEqual({ min: 0, max: 3 });
+    });
+
+    it("should reject malformed and reversed ranges", () => {
+      expect(parseDepthRange("")).toBeNull();
+      expect(parseDepthRange("-")).toBeNull();
+      expect(parseDepthRange("a-b")).toBeNull();
+      expect(parseDepthRange("3-1")).toBeNull();
+      expect(parseDepthRange(undefined)).toBeNull();
+    });
+  });
+
   describe("parseArgs - comprehensive", () => {
     it("should parse all arguments together", () => {
       const args = [
@@ -83,11 +110,44 @@ describe("core.js - Additional Coverage", () => {
       const result = parseArgs(args);
 
       expect(result).toEqual({
-        issue: "owner/repo#123",
+        issues: ["owner/repo#123"],
+        issuesFile: null,
         token: "ghp_token",
         dryRun: true,
         verbose: true,
         nonInteractive: true,
+        pageSize: 100,
+        concurrency: 1,
+        api: "rest",
+        checkpoint: null,
+        resume: null,
+        closeReason: null,
+        commentTemplate: null,
+        comment: true,
+        notPlannedPolicy: null,
+        threshold: null,
+        minChildren: null,
+        followUp: false,
+        skipLabels: [],
+        onlyLabels: [],
+        protectLabels: [],
+        maxDepth: null,
+        closeDepth: null,
+        command: "close",
+        output: "text",
+        events: null,
+        reportMarkdown: null,
+        format: "mermaid",
+        highlightClosable: false,
+        sort: "tree",
+        collapseClosed: false,
+        out: null,
+        planFile: null,
+        journal: null,
+        undoLog: null,
+        editComments: false,
+        maxClose: null,
+        confirmEach: false,
       });
     });
 
@@ -97,11 +157,44 @@ describe("core.js - Additional Coverage", () => {
       const result = parseArgs(args);
 
       expect(result).toEqual({
-        issue: "owner/repo#456",
+        issues: ["owner/repo#456"],
+        issuesFile: null,
         token: "token123",
         dryRun: true,
         verbose: true,
         nonInteractive: true,
+        pageSize: 100,
+        concurrency: 1,
+        api: "rest",
+        checkpoint: null,
+        resume: null,
+        closeReason: null,
+        commentTemplate: null,
+        comment: true,
+        notPlannedPolicy: null,
+        threshold: null,
+        minChildren: null,
+        followUp: false,
+        skipLabels: [],
+        onlyLabels: [],
+        protectLabels: [],
+        maxDepth: null,
+        closeDepth: null,
+        command: "close",
+        output: "text",
+        events: null,
+        reportMarkdown: null,
+        format: "mermaid",
+        highlightClosable: false,
+        sort: "tree",
+        collapseClosed: false,
+        out: null,
+        planFile: null,
+        journal: null,
+        undoLog: null,
+        editComments: false,
+        maxClose: null,
+        confirmEach: false,
       });
     });
 
@@ -124,11 +217,44 @@ describe("core.js - Additional Coverage", () => {
       const result = parseArgs(args);
 
       expect(result).toEqual({
-        issue: "owner/repo#789",
+        issues: ["owner/repo#789"],
+        issuesFile: null,
         token: "token",
         dryRun: true,
         verbose: true,
         nonInteractive: false,
+        pageSize: 100,
+        concurrency: 1,
+        api: "rest",
+        checkpoint: null,
+        resume: null,
+        closeReason: null,
+        commentTemplate: null,
+        comment: true,
+        notPlannedPolicy: null,
+        threshold: null,
+        minChildren: null,
+        followUp: false,
+        skipLabels: [],
+        onlyLabels: [],
+        protectLabels: [],
+        maxDepth: null,
+        closeDepth: null,
+        command: "close",
+        output: "text",
+        events: null,
+        reportMarkdown: null,
+        format: "mermaid",
+        highlightClosable: false,
+        sort: "tree",
+        collapseClosed: false,
+        out: null,
+        planFile: null,
+        journal: null,
+        undoLog: null,
+        editComments: false,
+        maxClose: null,
+        confirmEach: false,
       });
     });
 
@@ -136,11 +262,44 @@ describe("core.js - Additional Coverage", () => {
       const result = parseArgs([]);
 
       expect(result).toEqual({
-        issue: null,
+        issues: [],
+        issuesFile: null,
         token: null,
         dryRun: null,
         verbose: false,
         nonInteractive: false,
+        pageSize: 100,
+        concurrency: 1,
+        api: "rest",
+        checkpoint: null,
+        resume: null,
+        closeReason: null,
+        commentTemplate: null,
+        comment: true,
+        notPlannedPolicy: null,
+        threshold: null,
+        minChildren: null,
+        followUp: false,
+        skipLabels: [],
+        onlyLabels: [],
+        protectLabels: [],
+        maxDepth: null,
+        closeDepth: null,
+        command: "close",
+        output: "text",
+        events: null,
+        reportMarkdown: null,
+        format: "mermaid",
+        highlightClosable: false,
+        sort: "tree",
+        collapseClosed: false,
+        out: null,
+        planFile: null,
+        journal: null,
+        undoLog: null,
+        editComments: false,
+        maxClose: null,
+        confirmEach: false,
       });
     });
 
@@ -148,7 +307,7 @@ describe("core.js - Additional Coverage", () => {
       const args = ["--issue", "owner/repo#123", "--unknown", "value", "-x"];
       const result = parseArgs(args);
 
-      expect(result.issue).toBe("owner/repo#123");
+      expect(result.issues).toEqual(["owner/repo#123"]);
       expect(result.token).toBeNull();
     });
 
@@ -157,11 +316,44 @@ describe("core.js - Additional Coverage", () => {
       const result = parseArgs(args);
 
       expect(result).toEqual({
-        issue: "owner/repo#1",
+        issues: ["owner/repo#1"],
+        issuesFile: null,
         token: "token123",
         dryRun: true,
         verbose: true,
         nonInteractive: true,
+        pageSize: 100,
+        concurrency: 1,
+        api: "rest",
+        checkpoint: null,
+        resume: null,
+        closeReason: null,
+        commentTemplate: null,
+        comment: true,
+        notPlannedPolicy: null,
+        threshold: null,
+        minChildren: null,
+        followUp: false,
+        skipLabels: [],
+        onlyLabels: [],
+        protectLabels: [],
+        maxDepth: null,
+        closeDepth: null,
+        command: "close",
+        output: "text",
+        events: null,
+        reportMarkdown: null,
+        format: "mermaid",
+        highlightClosable: false,
+        sort: "tree",
+        collapseClosed: false,
+        out: null,
+        planFile: null,
+        journal: null,
+        undoLog: null,
+        editComments: false,
+        maxClose: null,
+        confirmEach: false,
       });
     });
 
@@ -175,11 +367,75 @@ describe("core.js - Additional Coverage", () => {
       expect(result2.dryRun).toBe(true);
     });
 
+    it("should parse --page-size as a number", () => {
+      const result = parseArgs(["--page-size", "25"]);
+
+      expect(result.pageSize).toBe(25);
+    });
+
+    it("should parse --concurrency as a number", () => {
+      expect(parseArgs(["--concurrency", "8"]).concurrency).toBe(8);
+    });
+
+    it("should parse --checkpoint and --resume paths", () => {
+      const result = parseArgs(["--checkpoint", "out.ndjson", "--resume", "in.ndjson"]);
+
+      expect(result.checkpoint).toBe("out.ndjson");
+      expect(result.resume).toBe("in.ndjson");
+    });
+
+    it("should parse closing options", () => {
+      const result = parseArgs([
+        "--close-reason",
+        "not_planned",
+        "--comment-template",
+        "comment.md",
+        "--no-comment",
+        "--not-planned-policy",
+        "review",
+      ]);
+
+      expect(result.closeReason).toBe("not_planned");
+      expect(result.notPlannedPolicy).toBe("review");
+      expect(result.commentTemplate).toBe("comment.md");
+      expect(result.comment).toBe(false);
+    });
+
     it("should handle issue URLs as values", () => {
       const args = ["--issue", "https://github.com/owner/repo/issues/42"];
       const result = parseArgs(args);
 
-      expect(result.issue).toBe("https://github.com/owner/repo/issues/42");
+      expect(result.issues).toEqual(["https://github.com/owner/repo/issues/42"]);
+    });
+  });
+
+  describe("readIssueList", () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = mkdtempSync(join(tmpdir(), "sub-issue-closer-"));
+    });
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should read one reference per line, skipping blank lines and comments", () => {
+      const file = join(dir, "roots.txt");
+      writeFileSync(
+        file,
+        "# Q3 epics\nowner/repo#1\n\n  https://github.com/owner/repo/issues/2  \nowner/repo#1\n"
+      );
+
+      expect(readIssueList(file)).toEqual([
+        "owner/repo#1",
+        "https://github.com/owner/repo/issues/2",
+        "owner/repo#1",
+      ]);
+    });
+
+    it("should fail on a missing list", () => {
+      expect(() => readIssueList(join(dir, "missing.txt"))).toThrow("Issue list not found");
     });
   });
 
@@ -201,7 +457,7 @@ describe("core.js - Additional Coverage", () => {
     it("should return empty array when all required args are present (token via arg)", () => {
       delete process.env.GITHUB_TOKEN;
       const cliArgs = {
-        issue: "owner/repo#123",
+        issues: ["owner/repo#123"],
         token: "ghp_token",
         dryRun: true,
         verbose: false,
@@ -215,7 +471,7 @@ describe("core.js - Additional Coverage", () => {
     it("should return empty array when all required args are present (token via env)", () => {
       process.env.GITHUB_TOKEN = "ghp_env_token";
       const cliArgs = {
-        issue: "owner/repo#123",
+        issues: ["owner/repo#123"],
         token: null,
         dryRun: true,
         verbose: false,
@@ -229,7 +485,7 @@ describe("core.js - Additional Coverage", () => {
     it("should return missing token when neither token arg nor env var is set", () => {
       delete process.env.GITHUB_TOKEN;
       const cliArgs = {
-        issue: "owner/repo#123",
+        issues: ["owner/repo#123"],
         token: null,
         dryRun: true,
         verbose: false,
@@ -243,7 +499,7 @@ describe("core.js - Additional Coverage", () => {
     it("should return missing issue when issue is not provided", () => {
       process.env.GITHUB_TOKEN = "ghp_token";
       const cliArgs = {
-        issue: null,
+        issues: [],
         token: null,
         dryRun: true,
         verbose: false,
@@ -257,7 +513,7 @@ describe("core.js - Additional Coverage", () => {
     it("should return both missing items when neither is provided", () => {
       delete process.env.GITHUB_TOKEN;
       const cliArgs = {
-        issue: null,
+        issues: [],
         token: null,
         dryRun: true,
         verbose: false,
@@ -273,7 +529,7 @@ describe("core.js - Additional Coverage", () => {
     it("should prioritize env token over missing token arg", () => {
       process.env.GITHUB_TOKEN = "ghp_env_token";
       const cliArgs = {
-        issue: "owner/repo#123",
+        issues: ["owner/repo#123"],
         token: null,
         dryRun: true,
         verbose: false,
@@ -289,7 +545,7 @@ describe("core.js - Additional Coverage", () => {
     it("should work regardless of other optional flags", () => {
       process.env.GITHUB_TOKEN = "ghp_token";
       const cliArgs = {
-        issue: "owner/repo#123",
+        issues: ["owner/repo#123"],
         token: null,
         dryRun: false,
         verbose: true,
@@ -300,4 +556,338 @@ describe("core.js - Additional Coverage", () => {
       expect(missing).toEqual([]);
     });
   });
+
+  describe("validateOptions", () => {
+    it("should accept the default options", () => {
+      expect(validateOptions(parseArgs([]))).toEqual([]);
+    });
+
+    it("should reject an unknown --api backend", () => {
+      expect(validateOptions(parseArgs(["--api", "soap"]))).toEqual([
+        "--api must be either rest or graphql",
+      ]);
+      expect(validateOptions(parseArgs(["--api", "graphql"]))).toEqual([]);
+    });
+
+    it("should reject an unknown --close-reason", () => {
+      expect(validateOptions(parseArgs(["--close-reason", "done"]))).toEqual([
+        "--close-reason must be either completed or not_planned",
+      ]);
+      expect(validateOptions(parseArgs(["--close-reason", "not_planned"]))).toEqual([]);
+    });
+
+    it("should reject an unknown --not-planned-policy", () => {
+      expect(validateOptions(parseArgs(["--not-planned-policy", "ignore"]))).toEqual([
+        "--not-planned-policy must be one of not_planned, review or completed",
+      ]);
+      expect(validateOptions(parseArgs(["--not-planned-policy", "review"]))).toEqual([]);
+    });
+
+    it("should reject an out-of-range --threshold or --min-children", () => {
+      expect(validateOptions(parseArgs(["--threshold", "0", "--min-children", "-1"]))).toEqual([
+        "--threshold must be an integer between 1 and 100",
+        "--min-children must be a non-negative integer",
+      ]);
+      expect(validateOptions(parseArgs(["--threshold", "abc"]))).toEqual([
+        "--threshold must be an integer between 1 and 100",
+      ]);
+    });
+
+    it("should only allow JSON output in non-interactive mode", () => {
+      expect(validateOptions(parseArgs(["--output", "xml"]))).toEqual([
+        "--output must be either text or json",
+      ]);
+      expect(validateOptions(parseArgs(["--output", "json"]))).toEqual([
+        "--output json requires -y/--yes",
+      ]);
+      expect(validateOptions(parseArgs(["-y", "--output", "json"]))).toEqual([]);
+    });
+
+    it("should validate --events", () => {
+      expect(validateOptions(parseArgs(["-y", "--events", "csv"]))).toEqual([
+        "--events must be ndjson",
+      ]);
+      expect(validateOptions(parseArgs(["-y", "--events", "ndjson", "--output", "json"]))).toEqual([
+        "--events and --output json cannot share stdout, pick one",
+      ]);
+      expect(validateOptions(parseArgs(["--events", "ndjson"]))).toEqual([
+        "--events requires -y/--yes",
+      ]);
+      expect(validateOptions(parseArgs(["reconcile", "-y", "--events", "ndjson"]))).toEqual([
+        "--events is not supported by reconcile",
+      ]);
+      expect(validateOptions(parseArgs(["-y", "--events", "ndjson"]))).toEqual([]);
+    });
+
+    it("should require a path for --report-markdown", () => {
+      expect(validateOptions(parseArgs(["--report-markdown"]))).toEqual([
+        "--report-markdown requires a file path",
+      ]);
+      expect(parseArgs(["--report-markdown", "report.md"]).reportMarkdown).toBe("report.md");
+    });
+
+    it("should validate the graph command", () => {
+      expect(validateOptions(parseArgs(["graph", "-y", "--format", "dot"]))).toEqual([]);
+      expect(validateOptions(parseArgs(["graph", "-y", "--live"]))).toEqual([
+        "graph only reads the hierarchy and cannot be combined with --live",
+      ]);
+      expect(validateOptions(parseArgs(["graph"]))).toEqual(["graph requires -y/--yes"]);
+      expect(validateOptions(parseArgs(["graph", "-y", "--output", "json"]))).toEqual([
+        "graph prints the graph on stdout and cannot be combined with --output json or --events",
+      ]);
+      expect(validateOptions(parseArgs(["graph", "-y", "--format", "svg"]))).toEqual([
+        "--format must be either mermaid or dot",
+      ]);
+      expect(parseArgs(["graph", "--highlight-closable"]).highlightClosable).toBe(true);
+    });
+
+    it("should validate the status command", () => {
+      expect(validateOptions(parseArgs(["status", "--sort", "progress"]))).toEqual([]);
+      expect(validateOptions(parseArgs(["status", "--live"]))).toEqual([
+        "status only reads the hierarchy and cannot be combined with --live",
+      ]);
+      expect(validateOptions(parseArgs(["status", "-y", "--output", "json"]))).toEqual([
+        "--output json is not supported by status",
+      ]);
+      expect(validateOptions(parseArgs(["status", "--sort", "age"]))).toEqual([
+        "--sort must be one of tree, number, title, progress or state",
+      ]);
+      expect(parseArgs(["status", "--collapse-closed"]).collapseClosed).toBe(true);
+    });
+
+    it("should take the issue from the positional argument after the command", () => {
+      expect(parseArgs(["explain", "owner/repo#1"])).toMatchObject({
+        command: "explain",
+        issues: ["owner/repo#1"],
+      });
+      expect(parseArgs(["explain", "-i", "owner/repo#2"]).issues).toEqual(["owner/repo#2"]);
+      expect(validateOptions(parseArgs(["explain", "owner/repo#1", "--live"]))).toEqual([
+        "explain only reads the hierarchy and cannot be combined with --live",
+      ]);
+    });
+
+    it("should validate plan and apply", () => {
+      expect(validateOptions(parseArgs(["plan", "-i", "o/r#1", "--out", "plan.json"]))).toEqual([]);
+      expect(validateOptions(parseArgs(["plan", "-i", "o/r#1", "--live", "--follow-up"]))).toEqual([
+        "plan only reads the hierarchy and cannot be combined with --live",
+        "plan requires --out <file>",
+        "--follow-up is not supported by plan",
+      ]);
+      expect(parseArgs(["apply", "plan.json", "--live"])).toMatchObject({
+        command: "apply",
+        planFile: "plan.json",
+        issues: [],
+        dryRun: false,
+      });
+      expect(validateOptions(parseArgs(["apply"]))).toEqual([
+        "apply requires a plan file, e.g. apply plan.json",
+      ]);
+      expect(validateNonInteractiveMode(parseArgs(["apply", "plan.json", "-t", "token"]))).toEqual(
+        []
+      );
+    });
+
+    it("should validate rollback", () => {
+      expect(parseArgs(["rollback", "undo.ndjson", "--edit-comments"])).toMatchObject({
+        command: "rollback",
+        journal: "undo.ndjson",
+        editComments: true,
+      });
+      expect(validateOptions(parseArgs(["rollback"]))).toEqual([
+        "rollback requires an undo journal, e.g. rollback undo.ndjson",
+      ]);
+      expect(validateOptions(parseArgs(["-i", "o/r#1", "--undo-log"]))).toEqual([
+        "--undo-log requires a file path",
+      ]);
+      expect(validateNonInteractiveMode(parseArgs(["rollback", "undo.ndjson", "-t", "x"]))).toEqual(
+        []
+      );
+    });
+
+    it("should validate --max-close", () => {
+      expect(parseArgs(["-i", "o/r#1", "--max-close", "25"]).maxClose).toBe(25);
+      expect(validateOptions(parseArgs(["-i", "o/r#1", "--max-close", "0"]))).toEqual([
+        "--max-close must be a positive integer",
+      ]);
+      expect(validateOptions(parseArgs(["reconcile", "-i", "o/r#1", "--max-close", "5"]))).toEqual([
+        "--max-close is not supported by reconcile",
+      ]);
+      expect(validateOptions(parseArgs(["apply", "plan.json", "--max-close", "5"]))).toEqual([]);
+    });
+
+    it("should validate --confirm-each", () => {
+      expect(parseArgs(["-i", "o/r#1", "--confirm-each"]).confirmEach).toBe(true);
+      expect(validateOptions(parseArgs(["-i", "o/r#1", "--confirm-each", "--live"]))).toEqual([]);
+      expect(validateOptions(parseArgs(["-i", "o/r#1", "--confirm-each", "-y"]))).toEqual([
+        "--confirm-each asks before every close and cannot be combined with -y/--yes",
+      ]);
+      expect(validateOptions(parseArgs(["-i", "o/r#1", "--confirm-each", "-d"]))).toEqual([
+        "--confirm-each only applies to live runs",
+      ]);
+      expect(validateOptions(parseArgs(["cascade", "-i", "o/r#1", "--confirm-each"]))).toEqual([
+        "--confirm-each is not supported by cascade",
+      ]);
+    });
+
+    it("should reject the close filters cascade would ignore", () => {
+      expect(
+        validateOptions(
+          parseArgs(["cascade", "-i", "o/r#1", "--only-label", "bug", "--close-depth", "0-1"])
+        )
+      ).toEqual([
+        "--only-label is not supported by cascade",
+        "--close-depth is not supported by cascade",
+      ]);
+      expect(
+        validateOptions(parseArgs(["-i", "o/r#1", "--only-label", "bug", "--close-depth", "0-1"]))
+      ).toEqual([]);
+      expect(
+        validateOptions(
+          parseArgs([
+            "cascade",
+            "-i",
+            "o/r#1",
+            "--threshold",
+            "100",
+            "--min-children",
+            "2",
+            "--follow-up",
+            "--not-planned-policy",
+            "review",
+          ])
+        )
+      ).toEqual([
+        "--threshold is not supported by cascade",
+        "--min-children is not supported by cascade",
+        "--follow-up is not supported by cascade",
+        "--not-planned-policy is not supported by cascade",
+      ]);
+      // Cascade takes --close-reason as an override of the root's state reason
+      expect(
+        validateOptions(parseArgs(["cascade", "-i", "o/r#1", "--close-reason", "completed"]))
+      ).toEqual([]);
+    });
+
+    it("should reject the close options reconcile would ignore", () => {
+      expect(
+        validateOptions(
+          parseArgs([
+            "reconcile",
+            "-i",
+            "o/r#1",
+            "--only-label",
+            "bug",
+            "--threshold",
+            "80",
+            "--close-reason",
+            "not_planned",
+            "--comment-template",
+            "Closed {{issue}}",
+          ])
+        )
+      ).toEqual([
+        "--only-label is not supported by reconcile",
+        "--threshold is not supported by reconcile",
+        "--close-reason is not supported by reconcile",
+        "--comment-template is not supported by reconcile",
+      ]);
+      expect(
+        validateOptions(
+          parseArgs(["reconcile", "-i", "o/r#1", "--concurrency", "4", "--no-comment"])
+        )
+      ).toEqual([]);
+    });
+
+    it("should collect several root issues", () => {
+      expect(parseArgs(["close", "-i", "o/r#1", "-i", "o/r#2", "o/r#3"]).issues).toEqual([
+        "o/r#1",
+        "o/r#2",
+        "o/r#3",
+      ]);
+      expect(validateOptions(parseArgs(["cascade", "-i", "o/r#1", "-i", "o/r#2"]))).toEqual([]);
+      expect(validateOptions(parseArgs(["-y", "--issues-file", "-"]))).toEqual([]);
+      expect(validateOptions(parseArgs(["--issues-file", "-"]))).toEqual([
+        "--issues-file - reads the issues from stdin and requires -y/--yes",
+      ]);
+      expect(validateOptions(parseArgs(["-y", "--issues-file"]))).toEqual([
+        "--issues-file requires a file path, or - to read from stdin",
+      ]);
+      expect(validateOptions(parseArgs(["status", "o/r#1", "o/r#2"]))).toEqual([
+        "status takes a single issue, only close, cascade and reconcile accept several",
+      ]);
+      expect(
+        validateNonInteractiveMode(parseArgs(["--issues-file", "roots.txt", "-t", "x"]))
+      ).toEqual([]);
+    });
+
+    it("should count an issue given twice as a single root", () => {
+      expect(validateOptions(parseArgs(["status", "-i", "o/r#5", "-i", "o/r#5"]))).toEqual([]);
+      expect(
+        validateOptions(parseArgs(["explain", "O/R#5", "-i", "https://github.com/o/r/issues/5"]))
+      ).toEqual([]);
+    });
+
+    it("should report -i without an issue reference", () => {
+      expect(parseArgs(["-y", "-i"]).issues).toEqual([""]);
+      expect(validateOptions(parseArgs(["-y", "-i"]))).toEqual([
+        "-i/--issue requires an issue reference",
+      ]);
+    });
+
+    it("should reject unknown commands", () => {
+      expect(validateOptions(parseArgs(["cascde"]))).toEqual([
+        'Unknown command "cascde" (available: close, cascade, reconcile, graph, status, explain, plan, apply, rollback)',
+      ]);
+      expect(validateOptions(parseArgs(["cascade", "--checkpoint", "run.ndjson"]))).toEqual([
+        "--checkpoint and --resume are not supported by cascade",
+      ]);
+    });
+
+    it("should reject invalid depth options", () => {
+      expect(validateOptions(parseArgs(["--max-depth", "-1", "--close-depth", "3-1"]))).toEqual([
+        "--max-depth must be a non-negative integer",
+        '--close-depth must be a depth or a range such as "0-1" or "2-"',
+      ]);
+      expect(validateOptions(parseArgs(["--max-depth", "0", "--close-depth", "2-"]))).toEqual([]);
+    });
+
+    it("should reject a label filter without a value", () => {
+      expect(validateOptions(parseArgs(["--protect-label"]))).toEqual([
+        "--protect-label requires a label or glob",
+      ]);
+    });
+
+    it("should validate the comment template up front", () => {
+      const problems = validateOptions(parseArgs(["--comment-template", "Done: {{totl}}"]));
+
+      expect(problems).toHaveLength(1);
+      expect(problems[0]).toContain("Unknown placeholder {{totl}}");
+    });
+
+    it("should reject a comment template path that names no file", () => {
+      expect(validateOptions(parseArgs(["--comment-template", "templates/clsoe.md"]))).toEqual([
+        "Comment template file not found: templates/clsoe.md (literal templates must contain a space)",
+      ]);
+    });
+
+    it("should ignore the comment template with --no-comment", () => {
+      expect(
+        validateOptions(parseArgs(["--comment-template", "{{totl}}", "--no-comment"]))
+      ).toEqual([]);
+    });
+
+    it("should reject a concurrency below 1", () => {
+      expect(validateOptions(parseArgs(["--concurrency", "0"]))).toEqual([
+        "--concurrency must be a positive integer",
+      ]);
+    });
+
+    it("should reject page sizes outside 1-100", () => {
+      expect(validateOptions(parseArgs(["--page-size", "0"]))).toContain(
+        "--page-size must be an integer between 1 and 100"
+      );
+      expect(validateOptions(parseArgs(["--page-size", "101"]))).toHaveLength(1);
+      expect(validateOptions(parseArgs(["--page-size", "abc"]))).toHaveLength(1);
+    });
+  });
 });
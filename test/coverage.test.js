@@ -79,9 +79,43 @@ describe("Full Coverage Tests - Core Functions", () => {
         repo: "repo",
         issue_number: 1,
         per_page: 100,
+        page: 1,
       });
     });
 
+    it("should follow pagination until a short page is returned", async () => {
+      const page = (start, count) =>
+        Array.from({ length: count }, (_, i) => ({
+          number: start + i,
+          repository_url: "https://api.github.com/repos/owner/repo",
+        }));
+      mockOctokit.rest.issues.listSubIssues
+        .mockResolvedValueOnce({ data: page(1, 2) })
+        .mockResolvedValueOnce({ data: page(3, 2) })
+        .mockResolvedValueOnce({ data: page(5, 1) });
+
+      const result = await getSubIssues(mockOctokit, "owner", "repo", 1, 2);
+
+      expect(result.map((subIssue) => subIssue.number)).toEqual([1, 2, 3, 4, 5]);
+      expect(mockOctokit.rest.issues.listSubIssues).toHaveBeenCalledTimes(3);
+      expect(mockOctokit.rest.issues.listSubIssues).toHaveBeenLastCalledWith(
+        expect.objectContaining({ per_page: 2, page: 3 })
+      );
+    });
+
+    it("should stop after an empty page when the last page was full", async () => {
+      mockOctokit.rest.issues.listSubIssues
+        .mockResolvedValueOnce({
+          data: [{ number: 2, repository_url: "https://api.github.com/repos/owner/repo" }],
+        })
+        .mockResolvedValueOnce({ data: [] });
+
+      const result = await getSubIssues(mockOctokit, "owner", "repo", 1, 1);
+
+      expect(result).toHaveLength(1);
+      expect(mockOctokit.rest.issues.listSubIssues).toHaveBeenCalledTimes(2);
+    });
+
     it("should return empty array for 404", async () => {
       const error = new Error("Not Found");
       error.status = 404;
@@ -120,8 +154,326 @@ describe("Full Coverage Tests - Core Functions", () => {
         owner: "owner",
         repo: "repo",
         issue_number: 1,
-        body: "🤖 Automatically closed: Test reason",
+        body: "🤖 Automatically closed: Test reason\n\n<!-- sub-issue-closer -->",
+      });
+    });
+  });
+
+  describe("closeIssue - options", () => {
+    it("should use the given state reason and comment body", async () => {
+      mockOctokit.rest.issues.update.mockResolvedValue({ data: {} });
+      mockOctokit.rest.issues.createComment.mockResolvedValue({ data: {} });
+
+      await closeIssue(mockOctokit, "owner", "repo", 1, "Test reason", {
+        stateReason: "not_planned",
+        body: "Custom body",
+      });
+
+      expect(mockOctokit.rest.issues.update).toHaveBeenCalledWith(
+        expect.objectContaining({ state_reason: "not_planned" })
+      );
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(
+        expect.objectContaining({ body: "Custom body\n\n<!-- sub-issue-closer -->" })
+      );
+    });
+
+    it("should close without a comment when the body is null", async () => {
+      mockOctokit.rest.issues.update.mockResolvedValue({ data: {} });
+
+      await closeIssue(mockOctokit, "owner", "repo", 1, "Test reason", { body: null });
+
+      expect(mockOctokit.rest.issues.update).toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("processIssueRecursively - closing comments", () => {
+    const setupCompleteParent = () => {
+      mockOctokit.rest.issues.get
+        .mockResolvedValueOnce({
+          data: {
+            number: 1,
+            title: "Parent",
+            state: "open",
+            sub_issues_summary: { total: 2, completed: 2, percent_completed: 100 },
+          },
+        })
+        .mockResolvedValue({
+          data: { number: 2, title: "Child", state: "closed", sub_issues_summary: null },
+        });
+      mockOctokit.rest.issues.listSubIssues.mockResolvedValue({
+        data: [
+          { number: 2, repository_url: "https://api.github.com/repos/owner/repo" },
+          { number: 3, repository_url: "https://api.github.com/repos/other/repo" },
+        ],
+      });
+      mockOctokit.rest.issues.update.mockResolvedValue({ data: {} });
+      mockOctokit.rest.issues.createComment.mockResolvedValue({ data: {} });
+    };
+
+    it("should render the comment template with the issue's details", async () => {
+      setupCompleteParent();
+
+      await processIssueRecursively(mockOctokit, "owner", "repo", 1, 0, false, false, {
+        closeReason: "not_planned",
+        commentTemplate: "{{issue}} {{title}} {{completed}}/{{total}}\n{{children}}",
       });
+
+      expect(mockOctokit.rest.issues.update).toHaveBeenCalledWith(
+        expect.objectContaining({ state_reason: "not_planned" })
+      );
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(
+        expect.objectContaining({
+          body: "owner/repo#1 Parent 2/2\n- [x] owner/repo#2\n- [x] other/repo#3\n\n<!-- sub-issue-closer -->",
+        })
+      );
+    });
+
+    it("should close silently when the template is null", async () => {
+      setupCompleteParent();
+
+      const result = await processIssueRecursively(
+        mockOctokit,
+        "owner",
+        "repo",
+        1,
+        0,
+        false,
+        false,
+        { commentTemplate: null }
+      );
+
+      expect(result.closed).toBe(1);
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("processIssueRecursively - completion threshold", () => {
+    const ref = (number) => ({
+      id: 1000 + number,
+      number,
+      repository_url: "https://api.github.com/repos/owner/repo",
+    });
+
+    // #1 has 5 sub-issues, #2-#5 closed and #6 still open
+    const setupMostlyComplete = () => {
+      mockOctokit.rest.issues.get.mockImplementation(async ({ issue_number }) => ({
+        data:
+          issue_number === 1
+            ? {
+                number: 1,
+                title: "Parent",
+                state: "open",
+                sub_issues_summary: { total: 5, completed: 4, percent_completed: 80 },
+              }
+            : {
+                number: issue_number,
+                title: `Child ${issue_number}`,
+                state: issue_number === 6 ? "open" : "closed",
+                sub_issues_summary: null,
+              },
+      }));
+      mockOctokit.rest.issues.listSubIssues.mockResolvedValue({
+        data: [ref(2), ref(3), ref(4), ref(5), ref(6)],
+      });
+      mockOctokit.rest.issues.update.mockResolvedValue({ data: {} });
+      mockOctokit.rest.issues.createComment.mockResolvedValue({ data: {} });
+    };
+
+    it("should close a parent that reaches the threshold and list what is still open", async () => {
+      setupMostlyComplete();
+
+      const result = await processIssueRecursively(
+        mockOctokit,
+        "owner",
+        "repo",
+        1,
+        0,
+        false,
+        false,
+        {
+          threshold: 80,
+        }
+      );
+
+      expect(result.closed).toBe(1);
+      expect(mockOctokit.rest.issues.update).toHaveBeenCalledWith(
+        expect.objectContaining({ issue_number: 1, state: "closed" })
+      );
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(
+        expect.objectContaining({
+          body:
+            "🤖 Automatically closed: 4/5 sub-issues are complete, which meets the 80% threshold" +
+            "\n\nStill open:\n- owner/repo#6\n\n<!-- sub-issue-closer -->",
+        })
+      );
+    });
+
+    it("should keep the parent open below the threshold", async () => {
+      setupMostlyComplete();
+
+      const result = await processIssueRecursively(
+        mockOctokit,
+        "owner",
+        "repo",
+        1,
+        0,
+        false,
+        false,
+        {
+          threshold: 90,
+        }
+      );
+
+      expect(result.closed).toBe(0);
+      expect(mockOctokit.rest.issues.update).not.toHaveBeenCalled();
+    });
+
+    it("should require 100% from parents with fewer than --min-children sub-issues", async () => {
+      setupMostlyComplete();
+
+      const result = await processIssueRecursively(
+        mockOctokit,
+        "owner",
+        "repo",
+        1,
+        0,
+        false,
+        true,
+        {
+          threshold: 80,
+          minChildren: 10,
+        }
+      );
+
+      expect(result.closed).toBe(0);
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        expect.stringContaining("fewer than 10 sub-issues to apply the threshold")
+      );
+    });
+
+    it("should move the open sub-issues onto a follow-up issue", async () => {
+      setupMostlyComplete();
+      mockOctokit.rest.issues.create = vi.fn().mockResolvedValue({ data: { number: 7 } });
+      mockOctokit.rest.issues.removeSubIssue = vi.fn().mockResolvedValue({ data: {} });
+      mockOctokit.rest.issues.addSubIssue = vi.fn().mockResolvedValue({ data: {} });
+
+      await processIssueRecursively(mockOctokit, "owner", "repo", 1, 0, false, false, {
+        threshold: 80,
+        followUp: true,
+        commentTemplate: "Leftovers are in {{follow_up}}:\n{{remaining}}",
+      });
+
+      expect(mockOctokit.rest.issues.create).toHaveBeenCalledWith(
+        expect.objectContaining({ owner: "owner", repo: "repo", title: "Follow-up: Parent" })
+      );
+      expect(mockOctokit.rest.issues.removeSubIssue).toHaveBeenCalledWith({
+        owner: "owner",
+        repo: "repo",
+        issue_number: 1,
+        sub_issue_id: 1006,
+      });
+      expect(mockOctokit.rest.issues.addSubIssue).toHaveBeenCalledWith({
+        owner: "owner",
+        repo: "repo",
+        issue_number: 7,
+        sub_issue_id: 1006,
+      });
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(
+        expect.objectContaining({
+          body: "Leftovers are in owner/repo#7:\n- owner/repo#6\n\n<!-- sub-issue-closer -->",
+        })
+      );
+    });
+
+    it("should journal each move and mark moved sub-issues in {{children}}", async () => {
+      setupMostlyComplete();
+      mockOctokit.rest.issues.create = vi.fn().mockResolvedValue({ data: { number: 7 } });
+      mockOctokit.rest.issues.removeSubIssue = vi.fn().mockResolvedValue({ data: {} });
+      mockOctokit.rest.issues.addSubIssue = vi.fn().mockResolvedValue({ data: {} });
+      const undo = { record: vi.fn() };
+
+      await processIssueRecursively(mockOctokit, "owner", "repo", 1, 0, false, false, {
+        threshold: 80,
+        followUp: true,
+        commentTemplate: "{{children}}",
+        undo,
+      });
+
+      expect(undo.record.mock.calls.map(([entry]) => entry.type)).toEqual([
+        "follow-up",
+        "moved",
+        "closed",
+        "comment",
+      ]);
+      expect(undo.record).toHaveBeenCalledWith({
+        type: "moved",
+        ref: "owner/repo#6",
+        owner: "owner",
+        repo: "repo",
+        issue_number: 1,
+        follow_up: "owner/repo#7",
+        follow_up_number: 7,
+        sub_issue_id: 1006,
+      });
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(
+        expect.objectContaining({
+          body: expect.stringContaining("- [ ] owner/repo#6 (moved to owner/repo#7)"),
+        })
+      );
+    });
+
+    it("should put a sub-issue back under its parent when it cannot be moved", async () => {
+      setupMostlyComplete();
+      mockOctokit.rest.issues.create = vi.fn().mockResolvedValue({ data: { number: 7 } });
+      mockOctokit.rest.issues.removeSubIssue = vi.fn().mockResolvedValue({ data: {} });
+      mockOctokit.rest.issues.addSubIssue = vi
+        .fn()
+        .mockRejectedValueOnce(new Error("Validation Failed"))
+        .mockResolvedValue({ data: {} });
+      const undo = { record: vi.fn() };
+
+      await expect(
+        processIssueRecursively(mockOctokit, "owner", "repo", 1, 0, false, false, {
+          threshold: 80,
+          followUp: true,
+          undo,
+        })
+      ).rejects.toThrow("Could not move owner/repo#6 to follow-up #7: Validation Failed");
+
+      expect(mockOctokit.rest.issues.addSubIssue).toHaveBeenLastCalledWith({
+        owner: "owner",
+        repo: "repo",
+        issue_number: 1,
+        sub_issue_id: 1006,
+      });
+      expect(mockOctokit.rest.issues.update).not.toHaveBeenCalled();
+      expect(undo.record.mock.calls.map(([entry]) => entry.type)).toEqual(["follow-up"]);
+    });
+
+    it("should only announce the follow-up issue in dry-run", async () => {
+      setupMostlyComplete();
+      mockOctokit.rest.issues.create = vi.fn();
+
+      const result = await processIssueRecursively(
+        mockOctokit,
+        "owner",
+        "repo",
+        1,
+        0,
+        true,
+        false,
+        {
+          threshold: 80,
+          followUp: true,
+        }
+      );
+
+      expect(result.closed).toBe(1);
+      expect(mockOctokit.rest.issues.create).not.toHaveBeenCalled();
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        expect.stringContaining("Would move 1 open sub-issue(s) to a follow-up issue")
+      );
     });
   });
 
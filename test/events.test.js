@@ -0,0 +1,111 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { createEventStream, EVENT_SCHEMAS } from "../lib/events.js";
+import { processIssueRecursively } from "../lib/core.js";
+
+describe("events.js", () => {
+  const now = () => new Date("2025-01-01T00:00:00Z");
+
+  describe("createEventStream", () => {
+    it("should write one JSON line per event with a timestamp", () => {
+      const write = vi.fn();
+      const emit = createEventStream({ write, now });
+
+      emit("visit", { ref: "o/r#1", depth: 0, title: "Epic", state: "open" });
+
+      expect(write).toHaveBeenCalledWith(
+        '{"type":"visit","at":"2025-01-01T00:00:00.000Z","ref":"o/r#1","depth":0,"title":"Epic","state":"open"}\n'
+      );
+    });
+
+    it("should keep to the schema of each event type", () => {
+      const lines = [];
+      const emit = createEventStream({ write: (line) => lines.push(line), now });
+
+      emit("skip", { ref: "o/r#2", depth: 1, reason: "already closed", extra: true });
+      emit("summary", { processed: 3, closed: 1 });
+
+      expect(JSON.parse(lines[0])).toEqual({
+        type: "skip",
+        at: "2025-01-01T00:00:00.000Z",
+        ref: "o/r#2",
+        depth: 1,
+        reason: "already closed",
+      });
+      // Missing fields are present as null so consumers can rely on them
+      expect(JSON.parse(lines[1])).toEqual({
+        type: "summary",
+        at: "2025-01-01T00:00:00.000Z",
+        processed: 3,
+        closed: 1,
+        reopened: null,
+        errors: null,
+      });
+    });
+
+    it("should reject unknown event types", () => {
+      const emit = createEventStream({ write: vi.fn(), now });
+
+      expect(() => emit("closing", {})).toThrow("Unknown event type: closing");
+    });
+  });
+
+  describe("processIssueRecursively events", () => {
+    let consoleLogSpy;
+    let consoleWarnSpy;
+
+    beforeEach(() => {
+      consoleLogSpy = vi.spyOn(console, "log").mockImplementation(() => {});
+      consoleWarnSpy = vi.spyOn(console, "warn").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      consoleLogSpy.mockRestore();
+      consoleWarnSpy.mockRestore();
+    });
+
+    it("should emit an event for every step of the walk", async () => {
+      const issues = {
+        1: { number: 1, title: "Epic", state: "open", sub_issues_summary: { total: 3 } },
+        2: { number: 2, title: "Done", state: "closed" },
+        3: { number: 3, title: "Leaf", state: "open", sub_issues_summary: { total: 0 } },
+      };
+      const octokit = {
+        rest: {
+          issues: {
+            get: vi.fn(async ({ issue_number }) => {
+              if (!issues[issue_number]) {
+                throw new Error("Server Error");
+              }
+              return { data: issues[issue_number] };
+            }),
+            listSubIssues: vi.fn().mockResolvedValue({
+              data: [2, 3, 4].map((number) => ({
+                number,
+                repository_url: "https://api.github.com/repos/o/r",
+              })),
+            }),
+          },
+        },
+      };
+      const events = [];
+
+      await processIssueRecursively(octokit, "o", "r", 1, 0, true, false, {
+        emit: (type, fields) => events.push({ type, ...fields }),
+      });
+
+      expect(events.map(({ type, ref }) => `${type} ${ref}`)).toEqual([
+        "visit o/r#1",
+        "visit o/r#2",
+        "skip o/r#2",
+        "visit o/r#3",
+        "kept-open o/r#3",
+        "error o/r#4",
+        "kept-open o/r#1",
+      ]);
+      expect(events[5]).toEqual({ type: "error", ref: "o/r#4", depth: 1, message: "Server Error" });
+      for (const event of events) {
+        expect(Object.keys(EVENT_SCHEMAS)).toContain(event.type);
+      }
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect } from "vitest";
+import { findBlockers, renderExplanation } from "../lib/explain.js";
+
+// Strips ANSI colors so lines can be compared as plain text
+const plain = (lines) => lines.map((line) => line.replace(/\x1b\[[0-9;]*m/g, ""));
+
+describe("explain.js", () => {
+  const node = (ref, overrides = {}) => ({
+    ref,
+    title: `Title of ${ref}`,
+    state: "open",
+    state_reason: null,
+    assignees: [],
+    labels: [],
+    updated_at: "2025-03-04T05:06:07Z",
+    summary: null,
+    depth: 0,
+    truncated: false,
+    children: [],
+    ...overrides,
+  });
+
+  // 1 ─┬─ 2 (closed)
+  //    ├─ 3 ─┬─ 5 (@alice)
+  //    │     └─ 6 (closed)
+  //    ├─ 4 (all sub-issues complete) ─── 7 (closed)
+  //    ├─ 5 (shared)
+  //    └─ 8 (unreadable)
+  const tree = node("o/r#1", {
+    title: "Epic",
+    summary: { total: 5, completed: 1 },
+    children: [
+      node("o/r#2", { state: "closed" }),
+      node("o/r#3", {
+        summary: { total: 2, completed: 1 },
+        children: [node("o/r#5", { assignees: ["alice"] }), node("o/r#6", { state: "closed" })],
+      }),
+      node("o/r#4", {
+        summary: { total: 1, completed: 1 },
+        children: [node("o/r#7", { state: "closed" })],
+      }),
+      { ref: "o/r#5", duplicate: true },
+      { ref: "o/r#8", error: "Not Found" },
+    ],
+  });
+
+  describe("findBlockers", () => {
+    it("should find the deepest open issue on every open branch", () => {
+      const blockers = findBlockers(tree);
+
+      expect(blockers).toEqual([
+        {
+          ref: "o/r#5",
+          title: "Title of o/r#5",
+          path: ["o/r#1", "o/r#3", "o/r#5"],
+          assignees: ["alice"],
+          updated_at: "2025-03-04T05:06:07Z",
+          reason: "open",
+        },
+        expect.objectContaining({
+          ref: "o/r#4",
+          path: ["o/r#1", "o/r#4"],
+          reason: "open although all 1 sub-issues are complete, the next close run would close it",
+        }),
+        expect.objectContaining({
+          ref: "o/r#8",
+          title: null,
+          updated_at: null,
+          reason: "could not be read: Not Found",
+        }),
+      ]);
+    });
+
+    it("should flag issues whose sub-issues were not checked", () => {
+      const truncated = node("o/r#1", { summary: { total: 2, completed: 0 }, truncated: true });
+
+      expect(findBlockers(truncated)[0].reason).toBe(
+        "open, its sub-issues are below --max-depth and were not checked"
+      );
+    });
+
+    it("should find nothing below a closed issue", () => {
+      expect(findBlockers(node("o/r#1", { state: "closed" }))).toEqual([]);
+    });
+  });
+
+  describe("renderExplanation", () => {
+    it("should list each blocker with its path, assignees and last update", () => {
+      const lines = plain(renderExplanation(tree, findBlockers(tree)));
+
+      expect(lines.slice(0, 6)).toEqual([
+        '🔎 o/r#1 - "Epic" is blocked by 3 open issue(s):',
+        "",
+        'ʘ o/r#5 - "Title of o/r#5"',
+        "   Path: o/r#1 → o/r#3 → o/r#5",
+        "   Assignees: @alice",
+        "   Last updated: 2025-03-04",
+      ]);
+      expect(lines).toContain("   Assignees: nobody");
+      expect(lines).toContain("   could not be read: Not Found");
+    });
+
+    it("should say when nothing is blocking", () => {
+      const done = node("o/r#1", {
+        summary: { total: 1, completed: 1 },
+        children: [node("o/r#2", { state: "closed" })],
+      });
+
+      expect(plain(renderExplanation(done, findBlockers(done)))).toEqual([
+        '🔎 No open sub-issues found below o/r#1 - "Title of o/r#1" (open although all 1 sub-issues are complete, the next close run would close it)',
+      ]);
+      expect(plain(renderExplanation(node("o/r#1", { state: "closed" }), []))).toEqual([
+        '⊘ o/r#1 - "Title of o/r#1" is already closed',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,20 @@
+/**
+ * Preloaded with `node --import` to answer the CLI's GitHub requests without a network.
+ * FAKE_GITHUB holds a JSON object mapping "METHOD /path" to `{ status, body }`; anything
+ * else is answered with a 404.
+ */
+
+const routes = JSON.parse(process.env.FAKE_GITHUB || "{}");
+
+globalThis.fetch = async (url, init = {}) => {
+  const { pathname } = new URL(url);
+  const route = routes[`${init.method || "GET"} ${pathname}`] || {
+    status: 404,
+    body: { message: "Not Found" },
+  };
+
+  return new Response(JSON.stringify(route.body), {
+    status: route.status || 200,
+    headers: { "content-type": "application/json" },
+  });
+};
@@ -0,0 +1,166 @@
+import { describe, it, expect } from "vitest";
+import {
+  flattenTree,
+  nodeStyle,
+  overlayDecisions,
+  renderDot,
+  renderMermaid,
+} from "../lib/graph.js";
+
+describe("graph.js", () => {
+  const node = (ref, overrides = {}) => ({
+    ref,
+    title: `Title of ${ref}`,
+    state: "open",
+    state_reason: null,
+    depth: 0,
+    summary: null,
+    decision: "kept_open",
+    reason: "no sub-issues",
+    children: [],
+    ...overrides,
+  });
+
+  const tree = node("o/r#1", {
+    title: 'Epic "Q3"',
+    summary: { total: 3, completed: 2, percent_completed: 66 },
+    decision: "would_close",
+    children: [
+      node("o/r#2", { state: "closed", decision: "skipped" }),
+      node("o/r#3", { children: [{ ref: "o/r#2", duplicate: true }] }),
+      node("o/r#4", { state: "closed", state_reason: "not_planned", decision: "skipped" }),
+    ],
+  });
+
+  describe("nodeStyle", () => {
+    it("should style nodes by state and completion", () => {
+      expect(nodeStyle(node("o/r#1"))).toBe("open");
+      expect(nodeStyle(node("o/r#1", { summary: { total: 2, completed: 1 } }))).toBe("inProgress");
+      expect(nodeStyle(node("o/r#1", { state: "closed" }))).toBe("closed");
+      expect(nodeStyle(node("o/r#1", { state: "closed", state_reason: "not_planned" }))).toBe(
+        "notPlanned"
+      );
+      expect(nodeStyle({ ref: "o/r#1", decision: "skipped", children: [] })).toBe("unknown");
+    });
+  });
+
+  describe("flattenTree", () => {
+    it("should draw shared sub-issues once with an edge from every parent", () => {
+      const { nodes, edges } = flattenTree(tree);
+
+      expect(nodes.map(({ id, ref }) => `${id} ${ref}`)).toEqual([
+        "n0 o/r#1",
+        "n1 o/r#2",
+        "n2 o/r#3",
+        "n3 o/r#4",
+      ]);
+      expect(edges).toEqual([
+        ["n0", "n1"],
+        ["n2", "n1"],
+        ["n0", "n2"],
+        ["n0", "n3"],
+      ]);
+    });
+  });
+
+  describe("overlayDecisions", () => {
+    it("should copy the dry-run decisions onto the hierarchy", () => {
+      const hierarchy = node("o/r#1", {
+        decision: undefined,
+        children: [
+          node("o/r#2", { decision: undefined, state: "closed", children: [node("o/r#5")] }),
+          { ref: "o/r#3", duplicate: true },
+        ],
+      });
+      const visited = new Map([
+        ["o/r#1", { decision: "would_close" }],
+        ["o/r#2", { decision: "skipped" }],
+      ]);
+
+      const overlaid = overlayDecisions(hierarchy, visited);
+
+      expect(overlaid.decision).toBe("would_close");
+      expect(overlaid.children[0].decision).toBe("skipped");
+      // The dry-run does not walk below closed issues, but the graph still shows them
+      expect(overlaid.children[0].children[0]).toMatchObject({ ref: "o/r#5", decision: null });
+      expect(overlaid.children[1]).toEqual({ ref: "o/r#3", duplicate: true });
+      expect(hierarchy.decision).toBeUndefined();
+    });
+  });
+
+  describe("renderMermaid", () => {
+    it("should draw sub-trees that could not be read as unknown leaves", () => {
+      const mermaid = renderMermaid(node("o/r#1", { children: [{ ref: "o/r#2", error: "Gone" }] }));
+
+      expect(mermaid).toContain('  n1["o/r#2"]\n');
+      expect(mermaid).toContain("  class n1 unknown\n");
+    });
+
+    it("should render a styled flowchart", () => {
+      expect(renderMermaid(tree)).toBe(
+        [
+          "flowchart TD",
+          '  n0["o/r#1<br/>Epic #quot;Q3#quot;<br/>2/3 done"]',
+          '  n1["o/r#2<br/>Title of o/r#2"]',
+          '  n2["o/r#3<br/>Title of o/r#3"]',
+          '  n3["o/r#4<br/>Title of o/r#4"]',
+          "  n0 --> n1",
+          "  n2 --> n1",
+          "  n0 --> n2",
+          "  n0 --> n3",
+          "  classDef open fill:#dafbe1,stroke:#1a7f37",
+          "  classDef inProgress fill:#fff8c5,stroke:#9a6700",
+          "  classDef closed fill:#fbefff,stroke:#8250df",
+          "  classDef notPlanned fill:#f6f8fa,stroke:#6e7781",
+          "  classDef unknown fill:#ffffff,stroke:#d0d7de",
+          "  class n0 inProgress",
+          "  class n1 closed",
+          "  class n2 open",
+          "  class n3 notPlanned",
+          "",
+        ].join("\n")
+      );
+    });
+
+    it("should highlight the issues a dry-run would close", () => {
+      const mermaid = renderMermaid(tree, { highlight: true });
+
+      expect(mermaid).toContain("  classDef wouldClose stroke:#cf222e,stroke-width:3px\n");
+      expect(mermaid).toContain("  class n0 wouldClose\n");
+    });
+
+    it("should cluster cross-repo hierarchies by repository", () => {
+      const mermaid = renderMermaid(node("o/r#1", { children: [node("o/other#7")] }));
+
+      expect(mermaid).toContain(
+        '  subgraph r0 ["o/r"]\n    n0["o/r#1<br/>Title of o/r#1"]\n  end\n'
+      );
+      expect(mermaid).toContain('  subgraph r1 ["o/other"]\n');
+    });
+  });
+
+  describe("renderDot", () => {
+    it("should render a styled digraph", () => {
+      const dot = renderDot(tree);
+
+      expect(dot).toMatch(/^digraph issues \{\n/);
+      expect(dot).toContain(
+        '  n0 [label="o/r#1\\nEpic \\"Q3\\"\\n2/3 done", fillcolor="#fff8c5", color="#9a6700"];\n'
+      );
+      expect(dot).toContain("  n2 -> n1;\n");
+      expect(dot).not.toContain("cluster");
+      expect(dot).not.toContain("penwidth");
+      expect(dot).toMatch(/\}\n$/);
+    });
+
+    it("should highlight closable issues and cluster repositories", () => {
+      const dot = renderDot(
+        node("o/r#1", { decision: "would_close", children: [node("o/other#7")] }),
+        { highlight: true }
+      );
+
+      expect(dot).toContain('color="#cf222e", penwidth=3];');
+      expect(dot).toContain('  subgraph cluster_1 {\n    label="o/other";\n');
+    });
+  });
+});
@@ -0,0 +1,222 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { createGraphQLSource, toRestIssue } from "../lib/graphql.js";
+import { processIssueRecursively } from "../lib/core.js";
+
+/**
+ * Builds a GraphQL issue node for the fake API below
+ */
+const node = (number, state, total, completed, { owner = "owner", repo = "repo" } = {}) => ({
+  id: `I_${owner}_${repo}_${number}`,
+  databaseId: 1000 + number,
+  number,
+  title: `Issue ${number}`,
+  state,
+  stateReason: state === "CLOSED" ? "COMPLETED" : null,
+  closedAt: state === "CLOSED" ? "2025-01-01T00:00:00Z" : null,
+  updatedAt: "2025-01-02T00:00:00Z",
+  url: `https://github.com/${owner}/${repo}/issues/${number}`,
+  repository: { name: repo, owner: { login: owner } },
+  labels: { nodes: number === 7 ? [{ name: "area/api" }] : [] },
+  assignees: { nodes: number === 7 ? [{ login: "octocat" }] : [] },
+  subIssuesSummary: {
+    total,
+    completed,
+    percentCompleted: total === 0 ? 0 : Math.round((completed / total) * 100),
+  },
+});
+
+/**
+ * Creates an octokit whose graphql() answers the three queries used by the source
+ * from an in-memory hierarchy
+ */
+const fakeOctokit = (nodes, children, pageSize) => {
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  const connection = (id, after) => {
+    const all = (children[id] || []).map((childId) => byId.get(childId));
+    const start = after ? Number(after) : 0;
+    const end = start + pageSize;
+    return {
+      pageInfo: { hasNextPage: end < all.length, endCursor: String(end) },
+      nodes: all.slice(start, end),
+    };
+  };
+
+  return {
+    graphql: vi.fn(async (query, variables) => {
+      if (query.includes("repository(owner")) {
+        const root = nodes.find(
+          (n) => n.repository.owner.login === variables.owner && n.number === variables.number
+        );
+        return {
+          repository: { issue: root ? { ...root, subIssues: connection(root.id) } : null },
+        };
+      }
+      if (query.includes("nodes(ids")) {
+        return { nodes: variables.ids.map((id) => ({ id, subIssues: connection(id) })) };
+      }
+      return { node: { subIssues: connection(variables.id, variables.cursor) } };
+    }),
+  };
+};
+
+describe("graphql.js", () => {
+  describe("toRestIssue", () => {
+    it("should convert a GraphQL node into the REST issue shape", () => {
+      expect(toRestIssue(node(7, "CLOSED", 2, 1, { owner: "org", repo: "svc" }))).toEqual({
+        id: 1007,
+        node_id: "I_org_svc_7",
+        number: 7,
+        title: "Issue 7",
+        state: "closed",
+        state_reason: "completed",
+        closed_at: "2025-01-01T00:00:00Z",
+        updated_at: "2025-01-02T00:00:00Z",
+        html_url: "https://github.com/org/svc/issues/7",
+        labels: [{ name: "area/api" }],
+        assignees: [{ login: "octocat" }],
+        repository_url: "https://api.github.com/repos/org/svc",
+        sub_issues_summary: { total: 2, completed: 1, percent_completed: 50 },
+      });
+    });
+  });
+
+  describe("createGraphQLSource", () => {
+    it("should load the hierarchy in batched queries and serve it from memory", async () => {
+      const nodes = [
+        node(1, "OPEN", 2, 0),
+        node(2, "OPEN", 2, 0),
+        node(3, "OPEN", 1, 0, { owner: "other" }),
+        node(4, "CLOSED", 0, 0),
+        node(5, "OPEN", 0, 0),
+        node(6, "CLOSED", 0, 0),
+      ];
+      const children = {
+        I_owner_repo_1: ["I_owner_repo_2", "I_other_repo_3"],
+        I_owner_repo_2: ["I_owner_repo_4", "I_owner_repo_5"],
+        I_other_repo_3: ["I_owner_repo_6"],
+      };
+      const octokit = fakeOctokit(nodes, children, 100);
+      const source = createGraphQLSource(octokit);
+
+      const root = await source.getIssue("owner", "repo", 1);
+      const rootChildren = await source.getSubIssues("owner", "repo", 1);
+      const grandChildren = await source.getSubIssues("owner", "repo", 2);
+      const crossRepo = await source.getIssue("other", "repo", 3);
+
+      expect(root.title).toBe("Issue 1");
+      expect(rootChildren.map((issue) => issue.number)).toEqual([2, 3]);
+      expect(grandChildren.map((issue) => issue.state)).toEqual(["closed", "open"]);
+      expect(crossRepo.repository_url).toBe("https://api.github.com/repos/other/repo");
+      // One root query plus one batched query for the two open children
+      expect(octokit.graphql).toHaveBeenCalledTimes(2);
+      expect(octokit.graphql.mock.calls[1][1].ids).toEqual(["I_owner_repo_2", "I_other_repo_3"]);
+    });
+
+    it("should follow sub-issue pagination", async () => {
+      const nodes = [node(1, "OPEN", 5, 5), ...[2, 3, 4, 5, 6].map((n) => node(n, "CLOSED", 0, 0))];
+      const children = { I_owner_repo_1: [2, 3, 4, 5, 6].map((n) => `I_owner_repo_${n}`) };
+      const octokit = fakeOctokit(nodes, children, 2);
+      const source = createGraphQLSource(octokit, { pageSize: 2 });
+
+      const subIssues = await source.getSubIssues("owner", "repo", 1);
+
+      expect(subIssues.map((issue) => issue.number)).toEqual([2, 3, 4, 5, 6]);
+      expect(octokit.graphql.mock.calls[1][1]).toMatchObject({ pageSize: 2, cursor: "2" });
+    });
+
+    it("should throw a not-found error like the REST backend", async () => {
+      const octokit = fakeOctokit([], {}, 100);
+      const source = createGraphQLSource(octokit);
+
+      await expect(source.getIssue("owner", "repo", 99)).rejects.toThrow(
+        "Issue #99 not found in owner/repo"
+      );
+    });
+
+    it("should update parent summaries when an issue is marked closed", async () => {
+      const nodes = [node(1, "OPEN", 2, 1), node(2, "OPEN", 0, 0), node(3, "CLOSED", 0, 0)];
+      const children = { I_owner_repo_1: ["I_owner_repo_2", "I_owner_repo_3"] };
+      const source = createGraphQLSource(fakeOctokit(nodes, children, 100));
+      await source.getIssue("owner", "repo", 1);
+
+      source.markClosed("owner", "repo", 2);
+
+      const parent = await source.getIssue("owner", "repo", 1);
+      expect(parent.sub_issues_summary).toEqual({ total: 2, completed: 2, percent_completed: 100 });
+      expect((await source.getIssue("owner", "repo", 2)).state).toBe("closed");
+    });
+
+    it("should keep the reason an issue was marked closed with", async () => {
+      const nodes = [node(1, "OPEN", 1, 0), node(2, "OPEN", 0, 0)];
+      const children = { I_owner_repo_1: ["I_owner_repo_2"] };
+      const source = createGraphQLSource(fakeOctokit(nodes, children, 100));
+      await source.getIssue("owner", "repo", 1);
+
+      source.markClosed("owner", "repo", 2, "not_planned");
+
+      expect((await source.getIssue("owner", "repo", 2)).state_reason).toBe("not_planned");
+    });
+
+    it("should throw a not-found error when sub-issues of a vanished issue are requested", async () => {
+      // Closed issues are not expanded up front, so their sub-issues are fetched on demand
+      const nodes = [node(1, "OPEN", 1, 1), node(2, "CLOSED", 1, 1)];
+      const octokit = fakeOctokit(nodes, { I_owner_repo_1: ["I_owner_repo_2"] }, 100);
+      const answer = octokit.graphql.getMockImplementation();
+      octokit.graphql.mockImplementation(async (query, variables) =>
+        query.includes("nodes(ids") ? { nodes: [null] } : answer(query, variables)
+      );
+      const source = createGraphQLSource(octokit);
+
+      await source.getIssue("owner", "repo", 1);
+
+      await expect(source.getSubIssues("owner", "repo", 2)).rejects.toThrow(
+        "Issue #2 not found in owner/repo"
+      );
+    });
+  });
+
+  describe("processIssueRecursively with the GraphQL source", () => {
+    let consoleLogSpy;
+    let consoleWarnSpy;
+
+    beforeEach(() => {
+      consoleLogSpy = vi.spyOn(console, "log").mockImplementation(() => {});
+      consoleWarnSpy = vi.spyOn(console, "warn").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      consoleLogSpy.mockRestore();
+      consoleWarnSpy.mockRestore();
+    });
+
+    it("should close parents bottom-up without any REST reads", async () => {
+      const nodes = [node(1, "OPEN", 1, 0), node(2, "OPEN", 1, 1), node(3, "CLOSED", 0, 0)];
+      const children = { I_owner_repo_1: ["I_owner_repo_2"], I_owner_repo_2: ["I_owner_repo_3"] };
+      const octokit = {
+        ...fakeOctokit(nodes, children, 100),
+        rest: {
+          issues: {
+            get: vi.fn(),
+            listSubIssues: vi.fn(),
+            update: vi.fn().mockResolvedValue({ data: {} }),
+            createComment: vi.fn().mockResolvedValue({ data: {} }),
+          },
+        },
+      };
+      const source = createGraphQLSource(octokit);
+
+      const result = await processIssueRecursively(octokit, "owner", "repo", 1, 0, false, false, {
+        source,
+      });
+
+      expect(result).toEqual({ processed: 2, closed: 2 });
+      expect(octokit.rest.issues.get).not.toHaveBeenCalled();
+      expect(octokit.rest.issues.listSubIssues).not.toHaveBeenCalled();
+      expect(octokit.rest.issues.update.mock.calls.map(([params]) => params.issue_number)).toEqual([
+        2, 1,
+      ]);
+      // Closing #2 updates the cached summary of #1, which is not a mismatch with GitHub
+      expect(consoleWarnSpy).not.toHaveBeenCalled();
+    });
+  });
+});
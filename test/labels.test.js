@@ -0,0 +1,68 @@
+import { describe, it, expect } from "vitest";
+import { applyLabelFilters, findMatchingLabel, globToRegExp } from "../lib/labels.js";
+
+describe("labels.js", () => {
+  describe("globToRegExp", () => {
+    it("should support * and ? wildcards", () => {
+      expect(globToRegExp("area/*").test("area/api")).toBe(true);
+      expect(globToRegExp("area/*").test("team/api")).toBe(false);
+      expect(globToRegExp("p?").test("p1")).toBe(true);
+      expect(globToRegExp("p?").test("p10")).toBe(false);
+    });
+
+    it("should match case-insensitively and treat other characters literally", () => {
+      expect(globToRegExp("WontFix").test("wontfix")).toBe(true);
+      expect(globToRegExp("v1.0 (old)").test("v1.0 (old)")).toBe(true);
+      expect(globToRegExp("v1.0").test("v1x0")).toBe(false);
+    });
+  });
+
+  describe("findMatchingLabel", () => {
+    it("should accept label objects and plain names", () => {
+      expect(findMatchingLabel([{ name: "bug" }, "epic"], ["ep*"])).toBe("epic");
+      expect(findMatchingLabel([{ name: "bug" }], ["epic"])).toBeNull();
+      expect(findMatchingLabel(undefined, ["epic"])).toBeNull();
+    });
+  });
+
+  describe("applyLabelFilters", () => {
+    const issue = (...labels) => ({ labels: labels.map((name) => ({ name })) });
+
+    it("should allow everything without filters", () => {
+      expect(applyLabelFilters(issue("bug"), {})).toEqual({
+        walk: true,
+        close: true,
+        reason: null,
+      });
+    });
+
+    it("should let skip win over protect and only", () => {
+      const filters = { skipLabels: ["wontfix"], protectLabels: ["epic"], onlyLabels: ["x"] };
+
+      expect(applyLabelFilters(issue("epic", "wontfix"), filters)).toEqual({
+        walk: false,
+        close: false,
+        reason: 'skipped by label "wontfix"',
+      });
+    });
+
+    it("should walk protected issues without closing them", () => {
+      expect(applyLabelFilters(issue("epic"), { protectLabels: ["epic"] })).toEqual({
+        walk: true,
+        close: false,
+        reason: 'protected by label "epic"',
+      });
+    });
+
+    it("should only allow closing issues with a matching --only-label", () => {
+      const filters = { onlyLabels: ["auto-close", "bot/*"] };
+
+      expect(applyLabelFilters(issue("bot/cleanup"), filters).close).toBe(true);
+      expect(applyLabelFilters(issue("bug"), filters)).toEqual({
+        walk: true,
+        close: false,
+        reason: 'no label matching "auto-close", "bot/*"',
+      });
+    });
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from "vitest";
+import { createLimiter } from "../lib/limiter.js";
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((r) => (resolve = r));
+  return { promise, resolve };
+};
+
+describe("limiter.js - createLimiter", () => {
+  it("should resolve with the task result", async () => {
+    const limit = createLimiter(2);
+
+    await expect(limit(async () => 42)).resolves.toBe(42);
+  });
+
+  it("should propagate task errors", async () => {
+    const limit = createLimiter(1);
+
+    await expect(
+      limit(async () => {
+        throw new Error("boom");
+      })
+    ).rejects.toThrow("boom");
+    // The slot is released after a failure
+    await expect(limit(async () => "next")).resolves.toBe("next");
+  });
+
+  it("should never run more tasks than the concurrency limit", async () => {
+    const limit = createLimiter(2);
+    const gates = [deferred(), deferred(), deferred(), deferred()];
+    let running = 0;
+    let peak = 0;
+
+    const results = gates.map((gate, index) =>
+      limit(async () => {
+        running++;
+        peak = Math.max(peak, running);
+        await gate.promise;
+        running--;
+        return index;
+      })
+    );
+
+    await Promise.resolve();
+    gates.forEach((gate) => gate.resolve());
+
+    expect(await Promise.all(results)).toEqual([0, 1, 2, 3]);
+    expect(peak).toBe(2);
+  });
+
+  it("should start queued tasks in submission order", async () => {
+    const limit = createLimiter(1);
+    const started = [];
+
+    await Promise.all(
+      ["a", "b", "c"].map((name) =>
+        limit(async () => {
+          started.push(name);
+        })
+      )
+    );
+
+    expect(started).toEqual(["a", "b", "c"]);
+  });
+});
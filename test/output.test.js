@@ -0,0 +1,293 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { buildRunReport, buildTree, renderMarkdownReport } from "../lib/output.js";
+import { processIssueRecursively } from "../lib/core.js";
+
+describe("output.js", () => {
+  const record = (ref, overrides = {}) => ({
+    ref,
+    title: `Title of ${ref}`,
+    depth: 0,
+    state: "open",
+    state_reason: null,
+    summary: null,
+    decision: "kept_open",
+    reason: "no sub-issues",
+    children: [],
+    closed: false,
+    settled: true,
+    ...overrides,
+  });
+
+  describe("buildTree", () => {
+    it("should nest the records of the walked issues", () => {
+      const visited = new Map([
+        ["o/r#1", record("o/r#1", { children: ["o/r#2"], decision: "would_close" })],
+        ["o/r#2", record("o/r#2", { depth: 1 })],
+      ]);
+
+      expect(buildTree(visited, "o/r#1")).toEqual({
+        ref: "o/r#1",
+        title: "Title of o/r#1",
+        state: "open",
+        state_reason: null,
+        depth: 0,
+        summary: null,
+        decision: "would_close",
+        reason: "no sub-issues",
+        children: [
+          {
+            ref: "o/r#2",
+            title: "Title of o/r#2",
+            state: "open",
+            state_reason: null,
+            depth: 1,
+            summary: null,
+            decision: "kept_open",
+            reason: "no sub-issues",
+            children: [],
+          },
+        ],
+      });
+    });
+
+    it("should mark shared sub-issues, cycles and unwalked sub-issues", () => {
+      const visited = new Map([
+        ["o/r#1", record("o/r#1", { children: ["o/r#2", "O/R#2", "o/r#3"] })],
+        ["o/r#2", record("o/r#2", { children: ["o/r#1"] })],
+      ]);
+
+      const tree = buildTree(visited, "o/r#1");
+
+      expect(tree.children[0].children).toEqual([{ ref: "o/r#1", duplicate: true }]);
+      expect(tree.children[1]).toEqual({ ref: "o/r#2", duplicate: true });
+      expect(tree.children[2]).toEqual({
+        ref: "o/r#3",
+        decision: "skipped",
+        reason: "not walked",
+        children: [],
+      });
+    });
+  });
+
+  describe("buildRunReport", () => {
+    let consoleLogSpy;
+
+    beforeEach(() => {
+      consoleLogSpy = vi.spyOn(console, "log").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      consoleLogSpy.mockRestore();
+    });
+
+    it("should describe a whole run with its decisions and totals", async () => {
+      const octokit = {
+        rest: {
+          issues: {
+            get: vi
+              .fn()
+              .mockResolvedValueOnce({
+                data: {
+                  number: 1,
+                  title: "Epic",
+                  state: "open",
+                  sub_issues_summary: { total: 1, completed: 1, percent_completed: 100 },
+                },
+              })
+              .mockResolvedValueOnce({ data: { number: 2, title: "Task", state: "closed" } }),
+            listSubIssues: vi.fn().mockResolvedValue({
+              data: [{ number: 2, repository_url: "https://api.github.com/repos/o/r" }],
+            }),
+          },
+        },
+      };
+      const visited = new Map();
+      const errors = [];
+
+      const totals = await processIssueRecursively(octokit, "o", "r", 1, 0, true, false, {
+        visited,
+        errors,
+      });
+      const report = buildRunReport({
+        command: "close",
+        root: "o/r#1",
+        dryRun: true,
+        visited,
+        totals,
+        errors,
+      });
+
+      expect(report).toMatchObject({
+        command: "close",
+        dryRun: true,
+        totals: { processed: 1, closed: 1 },
+        errors: [],
+        tree: {
+          ref: "o/r#1",
+          title: "Epic",
+          depth: 0,
+          summary: { total: 1, completed: 1, percent_completed: 100 },
+          decision: "would_close",
+          reason: "All sub-issues are now complete",
+          children: [
+            {
+              ref: "o/r#2",
+              title: "Task",
+              depth: 1,
+              decision: "skipped",
+              reason: "already closed",
+            },
+          ],
+        },
+      });
+      expect(() => JSON.stringify(report)).not.toThrow();
+    });
+
+    it("should give each root its own tree and totals", () => {
+      // o/r#3 sits below both roots, and o/r#2 was also given as a root of its own
+      const visited = new Map([
+        ["o/r#1", record("o/r#1", { children: ["o/r#2", "o/r#3"] })],
+        ["o/r#2", record("o/r#2", { depth: 1 })],
+        ["o/r#3", record("o/r#3", { depth: 1 })],
+        ["o/r#4", record("o/r#4", { children: ["o/r#3"] })],
+      ]);
+
+      const report = buildRunReport({
+        command: "close",
+        root: "o/r#1",
+        roots: [
+          { ref: "o/r#1", totals: { processed: 3, closed: 0 } },
+          { ref: "o/r#2", totals: { processed: 0, closed: 0 } },
+          { ref: "o/r#4", totals: { processed: 1, closed: 0 } },
+        ],
+        dryRun: true,
+        visited,
+        totals: { processed: 4, closed: 0 },
+        errors: [],
+      });
+
+      expect(report.tree).toBeUndefined();
+      expect(report.totals).toEqual({ processed: 4, closed: 0 });
+      expect(report.roots.map(({ ref, tree }) => [ref, tree.duplicate ?? false])).toEqual([
+        ["o/r#1", false],
+        ["o/r#2", true],
+        ["o/r#4", false],
+      ]);
+      expect(report.roots[2].tree.children).toEqual([{ ref: "o/r#3", duplicate: true }]);
+      expect(report.roots[2].totals).toEqual({ processed: 1, closed: 0 });
+    });
+  });
+
+  describe("renderMarkdownReport", () => {
+    const report = (overrides = {}) => ({
+      command: "close",
+      dryRun: false,
+      tree: buildTree(
+        new Map([
+          [
+            "o/r#1",
+            record("o/r#1", {
+              title: "Epic",
+              decision: "closed",
+              reason: "All sub-issues are now complete",
+              children: ["o/r#2", "o/r#3"],
+            }),
+          ],
+          [
+            "o/r#2",
+            record("o/r#2", {
+              title: "Done *soon*",
+              depth: 1,
+              state: "closed",
+              state_reason: "not_planned",
+              decision: "skipped",
+              reason: "already closed",
+            }),
+          ],
+        ]),
+        "o/r#1"
+      ),
+      totals: { processed: 1, closed: 1 },
+      errors: [],
+      ...overrides,
+    });
+
+    it("should render the hierarchy as a nested list with badges and reasons", () => {
+      const markdown = renderMarkdownReport(report());
+
+      expect(markdown).toBe(
+        [
+          "## 🔧 Sub-issue closer: `close` o/r#1 (live)",
+          "",
+          "- 🟣 **o/r#1** Epic — **closed**: All sub-issues are now complete",
+          "  - ⚪ **o/r#2** Done \\*soon\\* — skipped: already closed",
+          "  - ❔ **o/r#3** — skipped: not walked",
+          "",
+          "| Total | Count |",
+          "| --- | ---: |",
+          "| Issues processed | 1 |",
+          "| Issues closed | 1 |",
+          "| Sub-trees that could not be processed | 0 |",
+          "",
+        ].join("\n")
+      );
+    });
+
+    it("should describe dry-runs, reconcile totals and errors", () => {
+      const markdown = renderMarkdownReport(
+        report({
+          command: "reconcile",
+          dryRun: true,
+          totals: { processed: 2, reopened: 0 },
+          errors: [{ ref: "o/r#4", message: "Not Found" }],
+        })
+      );
+
+      expect(markdown).toContain("`reconcile` o/r#1 (dry-run)");
+      expect(markdown).toContain("| Issues that would be reopened | 0 |");
+      expect(markdown).toContain("| Sub-trees that could not be processed | 1 |");
+      expect(markdown).toContain("### Errors\n\n- o/r#4: Not Found\n");
+    });
+
+    it("should show pending changes in dry-runs", () => {
+      const tree = { ...report().tree, decision: "would_close", state: "open", children: [] };
+
+      expect(renderMarkdownReport(report({ dryRun: true, tree }))).toContain(
+        "- 🟢 → 🟣 **o/r#1** Epic — **would close**: All sub-issues are now complete"
+      );
+    });
+
+    it("should list every root and break the totals down per root", () => {
+      const visited = new Map([
+        ["o/r#1", record("o/r#1", { title: "Epic", decision: "would_close", reason: "done" })],
+        ["o/r#5", record("o/r#5", { title: "Chores" })],
+      ]);
+      const markdown = renderMarkdownReport(
+        buildRunReport({
+          command: "close",
+          root: "o/r#1",
+          roots: [
+            { ref: "o/r#1", totals: { processed: 1, closed: 1 } },
+            { ref: "o/r#5", totals: { processed: 1, closed: 0 } },
+          ],
+          dryRun: true,
+          visited,
+          totals: { processed: 2, closed: 1 },
+          errors: [],
+        })
+      );
+
+      expect(markdown).toContain("## 🔧 Sub-issue closer: `close` 2 roots (dry-run)");
+      expect(markdown).toContain("- 🟢 → 🟣 **o/r#1** Epic — **would close**: done");
+      expect(markdown).toContain("- 🟢 **o/r#5** Chores — kept open: no sub-issues");
+      expect(markdown).toContain(
+        [
+          "| Root | Processed | Would close |",
+          "| --- | ---: | ---: |",
+          "| o/r#1 | 1 | 1 |",
+          "| o/r#5 | 1 | 0 |",
+        ].join("\n")
+      );
+    });
+  });
+});
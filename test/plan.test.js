@@ -0,0 +1,236 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { applyPlan, findPlanChanges, readPlan, writePlan } from "../lib/plan.js";
+import { createCloseBudget, processIssueRecursively } from "../lib/core.js";
+
+const issue = (number, state, total = 0, completed = 0) => ({
+  number,
+  title: `Issue ${number}`,
+  state,
+  updated_at: `2025-01-0${number}T00:00:00Z`,
+  sub_issues_summary: {
+    total,
+    completed,
+    percent_completed: total === 0 ? 0 : Math.round((completed / total) * 100),
+  },
+});
+
+/**
+ * Creates an octokit serving issues by number in owner "o", repo "r"
+ */
+const fakeOctokit = (issues, children = {}) => ({
+  rest: {
+    issues: {
+      get: vi.fn(async ({ issue_number }) => ({ data: issues[issue_number] })),
+      listSubIssues: vi.fn(async ({ issue_number }) => ({
+        data: (children[issue_number] || []).map((number) => ({
+          number,
+          repository_url: "https://api.github.com/repos/o/r",
+        })),
+      })),
+      update: vi.fn().mockResolvedValue({}),
+      createComment: vi.fn().mockResolvedValue({}),
+    },
+  },
+});
+
+describe("plan.js", () => {
+  let dir;
+  let consoleLogSpy;
+  let consoleWarnSpy;
+
+  // 1 ─── 2 ─┬─ 3 (closed)
+  //          └─ 4 (closed)
+  const issues = {
+    1: issue(1, "open", 1, 0),
+    2: issue(2, "open", 2, 2),
+    3: issue(3, "closed"),
+    4: issue(4, "closed"),
+  };
+  const children = { 1: [2], 2: [3, 4] };
+
+  const makePlan = async () => {
+    const actions = [];
+    await processIssueRecursively(fakeOctokit(issues, children), "o", "r", 1, 0, true, false, {
+      plan: actions,
+    });
+    return { version: 1, created_at: "2025-01-10T00:00:00.000Z", root: "o/r#1", actions };
+  };
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), "sub-issue-closer-"));
+    consoleLogSpy = vi.spyOn(console, "log").mockImplementation(() => {});
+    consoleWarnSpy = vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+    consoleLogSpy.mockRestore();
+    consoleWarnSpy.mockRestore();
+  });
+
+  describe("collecting a plan", () => {
+    it("should record every close a dry-run decides on, children first", async () => {
+      const { actions } = await makePlan();
+
+      expect(actions).toEqual([
+        {
+          type: "close",
+          ref: "o/r#2",
+          owner: "o",
+          repo: "r",
+          issue_number: 2,
+          title: "Issue 2",
+          parent: "o/r#1",
+          state_reason: "completed",
+          reason: "All sub-issues are now complete",
+          body: expect.stringContaining("All sub-issues are now complete"),
+          updated_at: "2025-01-02T00:00:00Z",
+          summary: { total: 2, completed: 2, percent_completed: 100 },
+        },
+        expect.objectContaining({
+          ref: "o/r#1",
+          parent: null,
+          updated_at: "2025-01-01T00:00:00Z",
+          summary: { total: 1, completed: 0, percent_completed: 0 },
+        }),
+      ]);
+    });
+  });
+
+  describe("writePlan and readPlan", () => {
+    it("should round-trip a plan", async () => {
+      const file = join(dir, "plan.json");
+      const { actions } = await makePlan();
+
+      const written = writePlan(file, { root: "o/r#1", actions });
+
+      expect(readPlan(file)).toEqual(written);
+      expect(written).toMatchObject({ version: 1, root: "o/r#1" });
+    });
+
+    it("should reject files that are not plans", () => {
+      const file = join(dir, "other.json");
+      writeFileSync(file, JSON.stringify({ command: "close" }));
+
+      expect(() => readPlan(file)).toThrow(
+        `${file} is not a plan made by this version of the tool`
+      );
+      expect(() => readPlan(join(dir, "missing.json"))).toThrow("Could not read plan");
+    });
+  });
+
+  describe("findPlanChanges", () => {
+    it("should compare state, last update and completion", async () => {
+      const [action] = (await makePlan()).actions;
+
+      expect(findPlanChanges(issues[2], action)).toEqual([]);
+      expect(
+        findPlanChanges(
+          { ...issues[2], state: "closed", updated_at: "2025-02-01T00:00:00Z" },
+          action
+        )
+      ).toEqual([
+        "it is no longer open",
+        "it was updated at 2025-02-01T00:00:00Z (plan: 2025-01-02T00:00:00Z)",
+      ]);
+      expect(
+        findPlanChanges({ ...issues[2], sub_issues_summary: { total: 3, completed: 2 } }, action)
+      ).toEqual(["2/3 sub-issues are complete (plan: 2/2)"]);
+    });
+  });
+
+  describe("applyPlan", () => {
+    it("should close exactly the planned issues", async () => {
+      const plan = await makePlan();
+      const octokit = fakeOctokit(issues);
+
+      const result = await applyPlan(octokit, plan, { log: () => {} });
+
+      expect(result).toEqual({ planned: 2, closed: 2, refused: [], errors: [] });
+      expect(octokit.rest.issues.update.mock.calls.map(([args]) => args.issue_number)).toEqual([
+        2, 1,
+      ]);
+      expect(octokit.rest.issues.createComment).toHaveBeenCalledWith(
+        expect.objectContaining({
+          issue_number: 2,
+          body: expect.stringContaining(plan.actions[0].body),
+        })
+      );
+    });
+
+    it("should only check in dry-run", async () => {
+      const octokit = fakeOctokit(issues);
+
+      const result = await applyPlan(octokit, await makePlan(), { dryRun: true, log: () => {} });
+
+      expect(result.closed).toBe(2);
+      expect(octokit.rest.issues.update).not.toHaveBeenCalled();
+    });
+
+    it("should refuse the closes beyond --max-close", async () => {
+      const octokit = fakeOctokit(issues);
+
+      const result = await applyPlan(octokit, await makePlan(), {
+        closeBudget: createCloseBudget(1),
+        log: () => {},
+      });
+
+      expect(result.closed).toBe(1);
+      expect(result.refused).toEqual([{ ref: "o/r#1", reason: "--max-close 1 reached" }]);
+      expect(octokit.rest.issues.update).toHaveBeenCalledTimes(1);
+    });
+
+    it("should refuse changed issues and the parents that depend on them", async () => {
+      const plan = await makePlan();
+      const octokit = fakeOctokit({
+        ...issues,
+        2: { ...issues[2], updated_at: "2025-02-01T00:00:00Z" },
+      });
+
+      const result = await applyPlan(octokit, plan, { log: () => {} });
+
+      expect(result.closed).toBe(0);
+      expect(result.refused).toEqual([
+        {
+          ref: "o/r#2",
+          reason:
+            "it changed since the plan was made: it was updated at 2025-02-01T00:00:00Z (plan: 2025-01-02T00:00:00Z)",
+        },
+        { ref: "o/r#1", reason: "its planned sub-issue o/r#2 was not closed" },
+      ]);
+      expect(octokit.rest.issues.update).not.toHaveBeenCalled();
+    });
+
+    it("should close changed issues that were confirmed", async () => {
+      const plan = await makePlan();
+      const octokit = fakeOctokit({
+        ...issues,
+        2: { ...issues[2], updated_at: "2025-02-01T00:00:00Z" },
+      });
+      const confirmChanged = vi.fn().mockResolvedValue(true);
+
+      const result = await applyPlan(octokit, plan, { confirmChanged, log: () => {} });
+
+      expect(confirmChanged).toHaveBeenCalledWith(plan.actions[0], [
+        "it was updated at 2025-02-01T00:00:00Z (plan: 2025-01-02T00:00:00Z)",
+      ]);
+      expect(result.closed).toBe(2);
+    });
+
+    it("should skip issues closed since the plan without blocking their parents", async () => {
+      const plan = await makePlan();
+      const octokit = fakeOctokit({ ...issues, 2: { ...issues[2], state: "closed" } });
+
+      const result = await applyPlan(octokit, plan, { log: () => {} });
+
+      expect(result).toMatchObject({ closed: 1, refused: [] });
+      expect(octokit.rest.issues.update).toHaveBeenCalledTimes(1);
+      expect(octokit.rest.issues.update).toHaveBeenCalledWith(
+        expect.objectContaining({ issue_number: 1 })
+      );
+    });
+  });
+});
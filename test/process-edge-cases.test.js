@@ -1,5 +1,11 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
-import { processIssueRecursively, closeIssue } from "../lib/core.js";
+import {
+  processIssueRecursively,
+  closeIssue,
+  createCloseBudget,
+  summarizeSubIssues,
+  applyNotPlannedPolicy,
+} from "../lib/core.js";
 
 describe("core.js - processIssueRecursively Edge Cases", () => {
   let mockOctokit;
@@ -391,6 +397,735 @@ describe("core.js - processIssueRecursively Edge Cases", () => {
     });
   });
 
+  describe("duplicate and cycle detection", () => {
+    const issue = (number, state, summary) => ({
+      data: { number, title: `Issue ${number}`, state, sub_issues_summary: summary },
+    });
+    const ref = (number, owner = "owner") => ({
+      number,
+      repository_url: `https://api.github.com/repos/${owner}/repo`,
+    });
+
+    it("should process an issue reachable through two parents only once", async () => {
+      // #1 -> #2, #3 ; #2 -> #4 ; #3 -> #4
+      const issues = {
+        1: issue(1, "open", { total: 2, completed: 0, percent_completed: 0 }),
+        2: issue(2, "open", { total: 1, completed: 0, percent_completed: 0 }),
+        3: issue(3, "open", { total: 1, completed: 0, percent_completed: 0 }),
+        4: issue(4, "open", { total: 0, completed: 0, percent_completed: 0 }),
+      };
+      const children = { 1: [ref(2), ref(3)], 2: [ref(4)], 3: [ref(4)] };
+      mockOctokit.rest.issues.get.mockImplementation(
+        async ({ issue_number }) => issues[issue_number]
+      );
+      mockOctokit.rest.issues.listSubIssues.mockImplementation(async ({ issue_number }) => ({
+        data: children[issue_number] || [],
+      }));
+
+      const result = await processIssueRecursively(mockOctokit, "owner", "repo", 1, 0, true, true);
+
+      expect(result.processed).toBe(4);
+      const fetched = mockOctokit.rest.issues.get.mock.calls.filter(
+        ([params]) => params.issue_number === 4
+      );
+      expect(fetched).toHaveLength(1);
+      const logs = consoleLogSpy.mock.calls.map((call) => call[0]).join("\n");
+      expect(logs).toContain("Already processed elsewhere in the tree");
+    });
+
+    it("should treat refs that differ only in case as the same issue", async () => {
+      mockOctokit.rest.issues.get.mockResolvedValue(
+        issue(1, "open", { total: 1, completed: 0, percent_completed: 0 })
+      );
+      mockOctokit.rest.issues.listSubIssues.mockResolvedValue({ data: [ref(1, "OWNER")] });
+
+      const consoleWarnSpy = vi.spyOn(console, "warn").mockImplementation(() => {});
+      const result = await processIssueRecursively(mockOctokit, "owner", "repo", 1, 0, true, false);
+
+      expect(result.processed).toBe(1);
+      // Initial fetch plus the post-processing re-fetch; the child is never fetched
+      expect(mockOctokit.rest.issues.get).toHaveBeenCalledTimes(2);
+      consoleWarnSpy.mockRestore();
+    });
+
+    it("should stop at a cycle and report the path that produced it", async () => {
+      // #1 -> #2 -> #3 -> #1
+      const issues = {
+        1: issue(1, "open", { total: 1, completed: 0, percent_completed: 0 }),
+        2: issue(2, "open", { total: 1, completed: 0, percent_completed: 0 }),
+        3: issue(3, "open", { total: 1, completed: 0, percent_completed: 0 }),
+      };
+      const children = { 1: [ref(2)], 2: [ref(3)], 3: [ref(1)] };
+      mockOctokit.rest.issues.get.mockImplementation(
+        async ({ issue_number }) => issues[issue_number]
+      );
+      mockOctokit.rest.issues.listSubIssues.mockImplementation(async ({ issue_number }) => ({
+        data: children[issue_number] || [],
+      }));
+      const consoleWarnSpy = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+      const result = await processIssueRecursively(mockOctokit, "owner", "repo", 1, 0, true, false);
+
+      expect(result).toEqual({ processed: 3, closed: 0 });
+      const warnings = consoleWarnSpy.mock.calls.map((call) => call[0]).join("\n");
+      expect(warnings).toContain(
+        "Cycle detected: owner/repo#1 → owner/repo#2 → owner/repo#3 → owner/repo#1"
+      );
+      consoleWarnSpy.mockRestore();
+    });
+  });
+
+  describe("concurrent traversal", () => {
+    const issue = (number, state, summary) => ({
+      data: { number, title: `Issue ${number}`, state, sub_issues_summary: summary },
+    });
+    const ref = (number) => ({
+      number,
+      repository_url: "https://api.github.com/repos/owner/repo",
+    });
+
+    it("should keep each sub-tree's output grouped and in order", async () => {
+      // #1 -> #2, #3 ; #2 -> #4 ; #3 -> #5. #2's sub-tree is slower than #3's.
+      const issues = {
+        1: issue(1, "open", { total: 2, completed: 0, percent_completed: 0 }),
+        2: issue(2, "open", { total: 1, completed: 0, percent_completed: 0 }),
+        3: issue(3, "open", { total: 1, completed: 0, percent_completed: 0 }),
+        4: issue(4, "open", null),
+        5: issue(5, "open", null),
+      };
+      const children = { 1: [ref(2), ref(3)], 2: [ref(4)], 3: [ref(5)] };
+      mockOctokit.rest.issues.get.mockImplementation(async ({ issue_number }) => {
+        await new Promise((resolve) => setTimeout(resolve, issue_number === 4 ? 20 : 0));
+        return issues[issue_number];
+      });
+      mockOctokit.rest.issues.listSubIssues.mockImplementation(async ({ issue_number }) => ({
+        data: children[issue_number] || [],
+      }));
+
+      const result = await processIssueRecursively(mockOctokit, "owner", "repo", 1, 0, true, true, {
+        concurrency: 4,
+      });
+
+      expect(result.processed).toBe(5);
+      const headers = consoleLogSpy.mock.calls
+        .map((call) => call[0])
+        .map((line) => line.match(/owner\/repo#(\d)\b/)?.[1])
+        .filter(Boolean);
+      const order = headers.filter((number, index) => headers.indexOf(number) === index);
+      expect(order).toEqual(["1", "2", "4", "3", "5"]);
+    });
+
+    it("should only decide on the parent after every child has finished", async () => {
+      const events = [];
+      mockOctokit.rest.issues.get.mockImplementation(async ({ issue_number }) => {
+        if (issue_number === 1) {
+          events.push("get #1");
+          return issue(1, "open", { total: 2, completed: 2, percent_completed: 100 });
+        }
+        await new Promise((resolve) => setTimeout(resolve, issue_number === 2 ? 20 : 5));
+        events.push(`done #${issue_number}`);
+        return issue(issue_number, "closed", null);
+      });
+      mockOctokit.rest.issues.listSubIssues.mockResolvedValue({ data: [ref(2), ref(3)] });
+      mockOctokit.rest.issues.update.mockImplementation(async () => {
+        events.push("close #1");
+        return { data: {} };
+      });
+      mockOctokit.rest.issues.createComment.mockResolvedValue({ data: {} });
+
+      const result = await processIssueRecursively(
+        mockOctokit,
+        "owner",
+        "repo",
+        1,
+        0,
+        false,
+        false,
+        { concurrency: 2 }
+      );
+
+      expect(result.closed).toBe(1);
+      expect(events.indexOf("close #1")).toBeGreaterThan(events.indexOf("done #2"));
+      expect(events.indexOf("close #1")).toBeGreaterThan(events.indexOf("done #3"));
+    });
+
+    it("should report an unreadable sub-tree and fall back to GitHub's summary", async () => {
+      const consoleWarnSpy = vi.spyOn(console, "warn").mockImplementation(() => {});
+      let parentFetches = 0;
+      mockOctokit.rest.issues.get.mockImplementation(async ({ issue_number }) => {
+        if (issue_number === 1) {
+          parentFetches++;
+          return issue(1, "open", { total: 2, completed: 1, percent_completed: 50 });
+        }
+        if (issue_number === 2) {
+          throw Object.assign(new Error("Server Error"), { status: 500 });
+        }
+        return issue(3, "closed", null);
+      });
+      mockOctokit.rest.issues.listSubIssues.mockResolvedValue({ data: [ref(2), ref(3)] });
+      const errors = [];
+
+      const result = await processIssueRecursively(
+        mockOctokit,
+        "owner",
+        "repo",
+        1,
+        0,
+        true,
+        false,
+        { concurrency: 2, errors }
+      );
+
+      expect(result).toEqual({ processed: 1, closed: 0 });
+      expect(errors).toEqual([{ ref: "owner/repo#2", message: "Server Error" }]);
+      expect(parentFetches).toBe(2);
+      const warnings = consoleWarnSpy.mock.calls.map((call) => call[0]).join("\n");
+      expect(warnings).toContain("Could not process owner/repo#2: Server Error");
+      consoleWarnSpy.mockRestore();
+    });
+  });
+
+  describe("local completion", () => {
+    const issue = (number, state, summary) => ({
+      data: { number, title: `Issue ${number}`, state, sub_issues_summary: summary },
+    });
+    const ref = (number) => ({
+      number,
+      repository_url: "https://api.github.com/repos/owner/repo",
+    });
+
+    it("should not re-fetch a parent whose children were all observed", async () => {
+      mockOctokit.rest.issues.get
+        .mockResolvedValueOnce(issue(1, "open", { total: 2, completed: 2, percent_completed: 100 }))
+        .mockResolvedValueOnce(issue(2, "closed", null))
+        .mockResolvedValueOnce(issue(3, "closed", null));
+      mockOctokit.rest.issues.listSubIssues.mockResolvedValue({ data: [ref(2), ref(3)] });
+
+      const result = await processIssueRecursively(mockOctokit, "owner", "repo", 1, 0, true, false);
+
+      expect(result.closed).toBe(1);
+      expect(mockOctokit.rest.issues.get).toHaveBeenCalledTimes(3);
+    });
+
+    it("should count children that would be closed in dry-run as complete", async () => {
+      // #1 -> #2 -> #3 (closed): #2 would be closed, which completes #1
+      mockOctokit.rest.issues.get
+        .mockResolvedValueOnce(issue(1, "open", { total: 1, completed: 0, percent_completed: 0 }))
+        .mockResolvedValueOnce(issue(2, "open", { total: 1, completed: 1, percent_completed: 100 }))
+        .mockResolvedValueOnce(issue(3, "closed", null));
+      mockOctokit.rest.issues.listSubIssues
+        .mockResolvedValueOnce({ data: [ref(2)] })
+        .mockResolvedValueOnce({ data: [ref(3)] });
+
+      const result = await processIssueRecursively(mockOctokit, "owner", "repo", 1, 0, true, false);
+
+      expect(result).toEqual({ processed: 2, closed: 2 });
+      expect(mockOctokit.rest.issues.update).not.toHaveBeenCalled();
+    });
+
+    it("should warn when the observed children disagree with GitHub's summary", async () => {
+      const consoleWarnSpy = vi.spyOn(console, "warn").mockImplementation(() => {});
+      mockOctokit.rest.issues.get
+        .mockResolvedValueOnce(issue(1, "open", { total: 2, completed: 2, percent_completed: 100 }))
+        .mockResolvedValueOnce(issue(2, "closed", null))
+        .mockResolvedValueOnce(issue(3, "open", null));
+      mockOctokit.rest.issues.listSubIssues.mockResolvedValue({ data: [ref(2), ref(3)] });
+
+      const result = await processIssueRecursively(mockOctokit, "owner", "repo", 1, 0, true, false);
+
+      expect(result.closed).toBe(0);
+      const warnings = consoleWarnSpy.mock.calls.map((call) => call[0]).join("\n");
+      expect(warnings).toContain(
+        "owner/repo#1: GitHub reports 2/2 sub-issues complete but 1/2 were observed"
+      );
+      consoleWarnSpy.mockRestore();
+    });
+  });
+
+  describe("not planned sub-issues", () => {
+    const issue = (number, state, state_reason, summary) => ({
+      data: { number, title: `Issue ${number}`, state, state_reason, sub_issues_summary: summary },
+    });
+    const ref = (number) => ({
+      number,
+      repository_url: "https://api.github.com/repos/owner/repo",
+    });
+    const complete = { total: 2, completed: 2, percent_completed: 100 };
+
+    beforeEach(() => {
+      mockOctokit.rest.issues.update.mockResolvedValue({});
+      mockOctokit.rest.issues.createComment.mockResolvedValue({});
+      mockOctokit.rest.issues.listSubIssues.mockResolvedValue({ data: [ref(2), ref(3)] });
+    });
+
+    it("should close a parent as not planned when every sub-issue was abandoned", async () => {
+      mockOctokit.rest.issues.get
+        .mockResolvedValueOnce(issue(1, "open", null, complete))
+        .mockResolvedValueOnce(issue(2, "closed", "not_planned", null))
+        .mockResolvedValueOnce(issue(3, "closed", "duplicate", null));
+
+      const result = await processIssueRecursively(
+        mockOctokit,
+        "owner",
+        "repo",
+        1,
+        0,
+        false,
+        false
+      );
+
+      expect(result.closed).toBe(1);
+      expect(mockOctokit.rest.issues.update).toHaveBeenCalledWith(
+        expect.objectContaining({ issue_number: 1, state_reason: "not_planned" })
+      );
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(
+        expect.objectContaining({
+          body: "🤖 Automatically closed: All sub-issues were closed as not planned\n\n<!-- sub-issue-closer -->",
+        })
+      );
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        expect.stringContaining("(closed as not planned)")
+      );
+    });
+
+    it("should close normally when at least one sub-issue was completed", async () => {
+      mockOctokit.rest.issues.get
+        .mockResolvedValueOnce(issue(1, "open", null, complete))
+        .mockResolvedValueOnce(issue(2, "closed", "not_planned", null))
+        .mockResolvedValueOnce(issue(3, "closed", "completed", null));
+
+      await processIssueRecursively(mockOctokit, "owner", "repo", 1, 0, false, false);
+
+      expect(mockOctokit.rest.issues.update).toHaveBeenCalledWith(
+        expect.objectContaining({ issue_number: 1, state_reason: "completed" })
+      );
+    });
+
+    it("should keep the parent open with the review policy", async () => {
+      mockOctokit.rest.issues.get
+        .mockResolvedValueOnce(issue(1, "open", null, complete))
+        .mockResolvedValueOnce(issue(2, "closed", "not_planned", null))
+        .mockResolvedValueOnce(issue(3, "closed", "not_planned", null));
+
+      const result = await processIssueRecursively(
+        mockOctokit,
+        "owner",
+        "repo",
+        1,
+        0,
+        false,
+        true,
+        {
+          notPlannedPolicy: "review",
+        }
+      );
+
+      expect(result.closed).toBe(0);
+      expect(mockOctokit.rest.issues.update).not.toHaveBeenCalled();
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        expect.stringContaining(
+          "Keeping open (for review, all sub-issues were closed as not planned)"
+        )
+      );
+    });
+
+    it("should close as completed with the completed policy", async () => {
+      mockOctokit.rest.issues.get
+        .mockResolvedValueOnce(issue(1, "open", null, complete))
+        .mockResolvedValueOnce(issue(2, "closed", "not_planned", null))
+        .mockResolvedValueOnce(issue(3, "closed", "not_planned", null));
+
+      await processIssueRecursively(mockOctokit, "owner", "repo", 1, 0, false, false, {
+        notPlannedPolicy: "completed",
+      });
+
+      expect(mockOctokit.rest.issues.update).toHaveBeenCalledWith(
+        expect.objectContaining({ issue_number: 1, state_reason: "completed" })
+      );
+    });
+
+    it("should leave abandoned sub-issues out of the threshold by default", async () => {
+      // GitHub reports 50%, but the only sub-issue still in scope is open
+      mockOctokit.rest.issues.get
+        .mockResolvedValueOnce(
+          issue(1, "open", null, { total: 2, completed: 1, percent_completed: 50 })
+        )
+        .mockResolvedValueOnce(issue(2, "closed", "not_planned", null))
+        .mockResolvedValueOnce(issue(3, "open", null, null));
+
+      const result = await processIssueRecursively(
+        mockOctokit,
+        "owner",
+        "repo",
+        1,
+        0,
+        false,
+        true,
+        {
+          threshold: 50,
+        }
+      );
+
+      expect(result.closed).toBe(0);
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        expect.stringContaining(
+          "Keeping open (0/1 sub-issues complete, not counting 1 closed as not planned)"
+        )
+      );
+    });
+
+    it("should say which abandoned sub-issues were left out when closing", async () => {
+      mockOctokit.rest.issues.get
+        .mockResolvedValueOnce(issue(1, "open", null, complete))
+        .mockResolvedValueOnce(issue(2, "closed", "not_planned", null))
+        .mockResolvedValueOnce(issue(3, "closed", "completed", null));
+
+      await processIssueRecursively(mockOctokit, "owner", "repo", 1, 0, false, false);
+
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(
+        expect.objectContaining({
+          body: "🤖 Automatically closed: All sub-issues are now complete, not counting 1 closed as not planned\n\n<!-- sub-issue-closer -->",
+        })
+      );
+    });
+
+    it("should count abandoned sub-issues as not complete with the review policy", async () => {
+      mockOctokit.rest.issues.get
+        .mockResolvedValueOnce(issue(1, "open", null, complete))
+        .mockResolvedValueOnce(issue(2, "closed", "not_planned", null))
+        .mockResolvedValueOnce(issue(3, "closed", "completed", null));
+
+      const result = await processIssueRecursively(
+        mockOctokit,
+        "owner",
+        "repo",
+        1,
+        0,
+        false,
+        true,
+        {
+          notPlannedPolicy: "review",
+        }
+      );
+
+      expect(result.closed).toBe(0);
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        expect.stringContaining(
+          "Keeping open (1/2 sub-issues complete, 1 closed as not planned left for review)"
+        )
+      );
+    });
+
+    it("should still apply the threshold to mixed sub-issues with the review policy", async () => {
+      mockOctokit.rest.issues.get
+        .mockResolvedValueOnce(issue(1, "open", null, complete))
+        .mockResolvedValueOnce(issue(2, "closed", "not_planned", null))
+        .mockResolvedValueOnce(issue(3, "closed", "completed", null));
+
+      await processIssueRecursively(mockOctokit, "owner", "repo", 1, 0, false, false, {
+        notPlannedPolicy: "review",
+        threshold: 50,
+      });
+
+      expect(mockOctokit.rest.issues.update).toHaveBeenCalledWith(
+        expect.objectContaining({ issue_number: 1, state_reason: "completed" })
+      );
+    });
+
+    it("should apply the policy to each sub-issue of a summary", () => {
+      const summary = { total: 4, completed: 3, percent_completed: 75 };
+
+      expect(applyNotPlannedPolicy(summary, 1, "not_planned")).toEqual({
+        total: 3,
+        completed: 2,
+        percent_completed: 66,
+      });
+      expect(applyNotPlannedPolicy(summary, 1, "review")).toEqual({
+        total: 4,
+        completed: 2,
+        percent_completed: 50,
+      });
+      expect(applyNotPlannedPolicy(summary, 1, "completed")).toBe(summary);
+      expect(applyNotPlannedPolicy(summary, 0, "review")).toBe(summary);
+    });
+
+    it("should propagate abandonment to grandparents", async () => {
+      // #1 -> #2 -> (#3, #4) all not planned: #2 would close as not planned, and so would #1
+      mockOctokit.rest.issues.get
+        .mockResolvedValueOnce(
+          issue(1, "open", null, { total: 1, completed: 0, percent_completed: 0 })
+        )
+        .mockResolvedValueOnce(issue(2, "open", null, complete))
+        .mockResolvedValueOnce(issue(3, "closed", "not_planned", null))
+        .mockResolvedValueOnce(issue(4, "closed", "not_planned", null));
+      mockOctokit.rest.issues.listSubIssues
+        .mockReset()
+        .mockResolvedValueOnce({ data: [ref(2)] })
+        .mockResolvedValueOnce({ data: [ref(3), ref(4)] });
+
+      const result = await processIssueRecursively(mockOctokit, "owner", "repo", 1, 0, true, true);
+
+      expect(result.closed).toBe(2);
+      const lines = consoleLogSpy.mock.calls.map((call) => call[0]);
+      expect(lines.filter((line) => line.includes("Would close as not planned"))).toHaveLength(2);
+    });
+  });
+
+  describe("label filters", () => {
+    const issue = (number, state, labels, summary) => ({
+      data: { number, title: `Issue ${number}`, state, labels, sub_issues_summary: summary },
+    });
+    const ref = (number) => ({
+      number,
+      repository_url: "https://api.github.com/repos/owner/repo",
+    });
+    const complete = { total: 1, completed: 1, percent_completed: 100 };
+
+    it("should neither walk nor close an issue with a skipped label", async () => {
+      mockOctokit.rest.issues.get.mockResolvedValueOnce(
+        issue(1, "open", [{ name: "Area/Legacy-API" }], complete)
+      );
+
+      const result = await processIssueRecursively(mockOctokit, "owner", "repo", 1, 0, true, true, {
+        skipLabels: ["area/legacy-*"],
+      });
+
+      expect(result).toEqual({ processed: 0, closed: 0 });
+      expect(mockOctokit.rest.issues.listSubIssues).not.toHaveBeenCalled();
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        expect.stringContaining('Not walking its sub-issues, skipped by label "Area/Legacy-API"')
+      );
+    });
+
+    it("should keep a parent open when a skipped child is still open", async () => {
+      mockOctokit.rest.issues.get
+        .mockResolvedValueOnce(
+          issue(1, "open", [], { total: 1, completed: 0, percent_completed: 0 })
+        )
+        .mockResolvedValueOnce(issue(2, "open", ["wontfix"], complete));
+      mockOctokit.rest.issues.listSubIssues.mockResolvedValueOnce({ data: [ref(2)] });
+
+      const result = await processIssueRecursively(
+        mockOctokit,
+        "owner",
+        "repo",
+        1,
+        0,
+        true,
+        false,
+        {
+          skipLabels: ["wontfix"],
+        }
+      );
+
+      expect(result.closed).toBe(0);
+    });
+
+    it("should walk a protected issue but never close it", async () => {
+      mockOctokit.rest.issues.get
+        .mockResolvedValueOnce(issue(1, "open", [{ name: "epic" }], complete))
+        .mockResolvedValueOnce(issue(2, "open", [], complete))
+        .mockResolvedValueOnce(issue(3, "closed", [], null));
+      mockOctokit.rest.issues.listSubIssues
+        .mockResolvedValueOnce({ data: [ref(2)] })
+        .mockResolvedValueOnce({ data: [ref(3)] });
+
+      const result = await processIssueRecursively(mockOctokit, "owner", "repo", 1, 0, true, true, {
+        protectLabels: ["epic"],
+      });
+
+      // #2 would be closed, #1 stays open because of its label
+      expect(result.closed).toBe(1);
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        expect.stringContaining('Keeping open (protected by label "epic")')
+      );
+    });
+
+    it("should only close issues carrying one of the --only-label labels", async () => {
+      mockOctokit.rest.issues.get
+        .mockResolvedValueOnce(issue(1, "open", [], complete))
+        .mockResolvedValueOnce(issue(2, "open", [{ name: "auto-close" }], complete))
+        .mockResolvedValueOnce(issue(3, "closed", [], null));
+      mockOctokit.rest.issues.listSubIssues
+        .mockResolvedValueOnce({ data: [ref(2)] })
+        .mockResolvedValueOnce({ data: [ref(3)] });
+
+      const result = await processIssueRecursively(mockOctokit, "owner", "repo", 1, 0, true, true, {
+        onlyLabels: ["auto-*"],
+      });
+
+      expect(result.closed).toBe(1);
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        expect.stringContaining('Keeping open (no label matching "auto-*")')
+      );
+    });
+  });
+
+  describe("depth limits", () => {
+    const issue = (number, state, summary) => ({
+      data: { number, title: `Issue ${number}`, state, sub_issues_summary: summary },
+    });
+    const ref = (number, state = "open") => ({
+      number,
+      state,
+      repository_url: "https://api.github.com/repos/owner/repo",
+    });
+    const complete = { total: 1, completed: 1, percent_completed: 100 };
+
+    it("should not walk sub-issues beyond --max-depth", async () => {
+      // #1 -> #2 -> #3 (closed): with a max depth of 1, #3 is only seen in #2's listing
+      mockOctokit.rest.issues.get
+        .mockResolvedValueOnce(issue(1, "open", { total: 1, completed: 0, percent_completed: 0 }))
+        .mockResolvedValueOnce(issue(2, "open", complete));
+      mockOctokit.rest.issues.listSubIssues
+        .mockResolvedValueOnce({ data: [ref(2)] })
+        .mockResolvedValueOnce({ data: [ref(3, "closed")] });
+
+      const result = await processIssueRecursively(mockOctokit, "owner", "repo", 1, 0, true, true, {
+        maxDepth: 1,
+      });
+
+      expect(result).toEqual({ processed: 2, closed: 2 });
+      expect(mockOctokit.rest.issues.get).toHaveBeenCalledTimes(2);
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        expect.stringContaining("Depth limit reached, not walking its sub-issues")
+      );
+    });
+
+    it("should keep an issue at the depth limit open while its listed sub-issues are open", async () => {
+      mockOctokit.rest.issues.get.mockResolvedValueOnce(
+        issue(1, "open", { total: 1, completed: 0, percent_completed: 0 })
+      );
+      mockOctokit.rest.issues.listSubIssues.mockResolvedValueOnce({ data: [ref(2)] });
+
+      const result = await processIssueRecursively(
+        mockOctokit,
+        "owner",
+        "repo",
+        1,
+        0,
+        true,
+        false,
+        {
+          maxDepth: 0,
+        }
+      );
+
+      expect(result).toEqual({ processed: 1, closed: 0 });
+    });
+
+    it("should only close issues at levels within --close-depth", async () => {
+      mockOctokit.rest.issues.get
+        .mockResolvedValueOnce(issue(1, "open", complete))
+        .mockResolvedValueOnce(issue(2, "open", complete))
+        .mockResolvedValueOnce(issue(3, "closed", null));
+      mockOctokit.rest.issues.listSubIssues
+        .mockResolvedValueOnce({ data: [ref(2)] })
+        .mockResolvedValueOnce({ data: [ref(3)] });
+
+      const result = await processIssueRecursively(mockOctokit, "owner", "repo", 1, 0, true, true, {
+        closeDepth: { min: 0, max: 0 },
+      });
+
+      // #2 sits at depth 1 and stays open, so #1 cannot be closed either
+      expect(result.closed).toBe(0);
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        expect.stringContaining("Keeping open (depth 1 is not eligible for closing)")
+      );
+    });
+  });
+
+  describe("close cap", () => {
+    const issue = (number, state, summary) => ({
+      data: { number, title: `Issue ${number}`, state, sub_issues_summary: summary },
+    });
+    const ref = (number) => ({
+      number,
+      repository_url: "https://api.github.com/repos/owner/repo",
+    });
+    const complete = { total: 1, completed: 1, percent_completed: 100 };
+
+    // #1 -> #2 -> #3 (closed): #2 and then #1 become complete
+    const setupChain = () => {
+      mockOctokit.rest.issues.get
+        .mockResolvedValueOnce(issue(1, "open", { total: 1, completed: 0, percent_completed: 0 }))
+        .mockResolvedValueOnce(issue(2, "open", complete))
+        .mockResolvedValueOnce(issue(3, "closed", null));
+      mockOctokit.rest.issues.listSubIssues
+        .mockResolvedValueOnce({ data: [ref(2)] })
+        .mockResolvedValueOnce({ data: [ref(3)] });
+      mockOctokit.rest.issues.update.mockResolvedValue({});
+      mockOctokit.rest.issues.createComment.mockResolvedValue({ data: { id: 1 } });
+    };
+
+    it("should only report the closes beyond --max-close", async () => {
+      setupChain();
+      const visited = new Map();
+      const closeBudget = createCloseBudget(1);
+
+      const result = await processIssueRecursively(
+        mockOctokit,
+        "owner",
+        "repo",
+        1,
+        0,
+        false,
+        false,
+        { visited, closeBudget }
+      );
+
+      expect(result).toEqual({ processed: 2, closed: 1 });
+      expect(mockOctokit.rest.issues.update).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.rest.issues.update).toHaveBeenCalledWith(
+        expect.objectContaining({ issue_number: 2, state: "closed" })
+      );
+      expect(closeBudget.heldBack()).toBe(1);
+      expect(visited.get("owner/repo#1")).toMatchObject({
+        decision: "would_close",
+        reason: "All sub-issues are now complete (held back by --max-close)",
+      });
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        expect.stringContaining("would be closed, --max-close 1 reached")
+      );
+    });
+
+    it("should stop journaling progress once a close is held back", async () => {
+      setupChain();
+      const checkpoint = { settled: new Map(), record: vi.fn() };
+
+      await processIssueRecursively(mockOctokit, "owner", "repo", 1, 0, false, false, {
+        checkpoint,
+        closeBudget: createCloseBudget(1),
+      });
+
+      // #1 was not closed, so a resumed run has to process it again
+      const settled = checkpoint.record.mock.calls
+        .map(([entry]) => entry)
+        .filter((entry) => entry.type === "settled")
+        .map((entry) => entry.ref);
+      expect(settled).toEqual(["owner/repo#3", "owner/repo#2"]);
+    });
+
+    it("should not count closes in dry-run", async () => {
+      setupChain();
+      const closeBudget = createCloseBudget(1);
+
+      const result = await processIssueRecursively(
+        mockOctokit,
+        "owner",
+        "repo",
+        1,
+        0,
+        true,
+        false,
+        { closeBudget }
+      );
+
+      expect(result.closed).toBe(2);
+      expect(closeBudget.heldBack()).toBe(0);
+    });
+  });
+
   describe("sub_issues_summary variations", () => {
     it("should handle null sub_issues_summary", async () => {
       mockOctokit.rest.issues.get.mockResolvedValue({
@@ -438,6 +1173,42 @@ describe("core.js - processIssueRecursively Edge Cases", () => {
       expect(result).toEqual({ processed: 1, closed: 0 });
     });
 
+    it("should warn when fewer sub-issues are listed than the summary reports", async () => {
+      const consoleWarnSpy = vi.spyOn(console, "warn").mockImplementation(() => {});
+      mockOctokit.rest.issues.get
+        .mockResolvedValueOnce({
+          data: {
+            number: 1,
+            title: "Parent",
+            state: "open",
+            sub_issues_summary: { total: 3, completed: 1, percent_completed: 33 },
+          },
+        })
+        .mockResolvedValue({
+          data: {
+            number: 2,
+            title: "Sub 1",
+            state: "closed",
+            sub_issues_summary: { total: 0, completed: 0, percent_completed: 0 },
+          },
+        });
+
+      mockOctokit.rest.issues.listSubIssues.mockResolvedValue({
+        data: [{ number: 2, repository_url: "https://api.github.com/repos/owner/repo" }],
+      });
+
+      await processIssueRecursively(mockOctokit, "owner", "repo", 1, 0, true, false, {
+        pageSize: 50,
+      });
+
+      expect(mockOctokit.rest.issues.listSubIssues).toHaveBeenCalledWith(
+        expect.objectContaining({ per_page: 50, page: 1 })
+      );
+      const warnings = consoleWarnSpy.mock.calls.map((call) => call[0]).join("\n");
+      expect(warnings).toContain("GitHub reports 3 sub-issues but only 1 could be listed");
+      consoleWarnSpy.mockRestore();
+    });
+
     it("should handle partial completion correctly", async () => {
       mockOctokit.rest.issues.get
         .mockResolvedValueOnce({
@@ -504,4 +1275,29 @@ describe("core.js - processIssueRecursively Edge Cases", () => {
       expect(mockOctokit.rest.issues.update).not.toHaveBeenCalled();
     });
   });
+
+  describe("summarizeSubIssues", () => {
+    it("should count closed children and children closed in this run", () => {
+      expect(
+        summarizeSubIssues([
+          { state: "closed", closed: false },
+          { state: "open", closed: true },
+          { state: "open", closed: false },
+        ])
+      ).toEqual({ total: 3, completed: 2, percent_completed: 66 });
+    });
+
+    it("should never round an incomplete set up to 100%", () => {
+      const children = Array.from({ length: 200 }, (_, i) => ({
+        state: i === 0 ? "open" : "closed",
+        closed: false,
+      }));
+
+      expect(summarizeSubIssues(children).percent_completed).toBe(99);
+    });
+
+    it("should report 0% for no children", () => {
+      expect(summarizeSubIssues([])).toEqual({ total: 0, completed: 0, percent_completed: 0 });
+    });
+  });
 });
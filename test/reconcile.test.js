@@ -0,0 +1,229 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+  findCloserComment,
+  reconcileRecursively,
+  reopenIssue,
+  wasClosedByTool,
+} from "../lib/reconcile.js";
+
+const MARKER = "<!-- sub-issue-closer -->";
+
+describe("reconcile.js", () => {
+  let mockOctokit;
+  let consoleLogSpy;
+
+  const issue = (number, state, { total = 0, closed_at = null, labels = [] } = {}) => ({
+    data: {
+      number,
+      title: `Issue ${number}`,
+      state,
+      closed_at,
+      labels,
+      sub_issues_summary: { total, completed: 0, percent_completed: 0 },
+    },
+  });
+  const ref = (number, state) => ({
+    number,
+    state,
+    repository_url: "https://api.github.com/repos/owner/repo",
+  });
+  const closerComment = (created_at) => ({ body: `🤖 Automatically closed${MARKER}`, created_at });
+
+  /**
+   * #1 (closed by the tool) -> #2 (closed by the tool) -> #3 (reopened)
+   */
+  const setupTree = ({ comments = {}, labels = [] } = {}) => {
+    const closedAt = "2025-01-01T00:00:00Z";
+    const issues = {
+      1: issue(1, "closed", { total: 1, closed_at: closedAt }),
+      2: issue(2, "closed", { total: 1, closed_at: closedAt, labels }),
+      3: issue(3, "open"),
+    };
+    const children = { 1: [ref(2, "closed")], 2: [ref(3, "open")] };
+    const defaultComments = [closerComment("2025-01-01T00:00:02Z")];
+
+    mockOctokit.rest.issues.get.mockImplementation(
+      async ({ issue_number }) => issues[issue_number]
+    );
+    mockOctokit.rest.issues.listSubIssues.mockImplementation(async ({ issue_number }) => ({
+      data: children[issue_number] || [],
+    }));
+    mockOctokit.rest.issues.listComments.mockImplementation(async ({ issue_number }) => ({
+      data: comments[issue_number] || defaultComments,
+    }));
+  };
+
+  beforeEach(() => {
+    consoleLogSpy = vi.spyOn(console, "log").mockImplementation(() => {});
+    mockOctokit = {
+      rest: {
+        issues: {
+          get: vi.fn(),
+          listSubIssues: vi.fn(),
+          listComments: vi.fn(),
+          update: vi.fn().mockResolvedValue({ data: {} }),
+          createComment: vi.fn().mockResolvedValue({ data: {} }),
+        },
+      },
+    };
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    vi.clearAllMocks();
+  });
+
+  describe("findCloserComment", () => {
+    it("should return the latest marked comment across pages", async () => {
+      mockOctokit.rest.issues.listComments
+        .mockResolvedValueOnce({
+          data: [closerComment("2025-01-01T00:00:00Z"), { body: "thanks", created_at: "x" }],
+        })
+        .mockResolvedValueOnce({ data: [closerComment("2025-02-01T00:00:00Z")] });
+
+      const comment = await findCloserComment(mockOctokit, "owner", "repo", 1, 2);
+
+      expect(comment.created_at).toBe("2025-02-01T00:00:00Z");
+      expect(mockOctokit.rest.issues.listComments).toHaveBeenCalledTimes(2);
+    });
+
+    it("should return null when the tool never commented", async () => {
+      mockOctokit.rest.issues.listComments.mockResolvedValue({ data: [{ body: "hello" }] });
+
+      expect(await findCloserComment(mockOctokit, "owner", "repo", 1)).toBeNull();
+    });
+  });
+
+  describe("wasClosedByTool", () => {
+    const closed = { closed_at: "2025-01-01T00:00:00Z" };
+
+    it("should accept a closure followed by the tool's comment", () => {
+      expect(wasClosedByTool(closed, closerComment("2025-01-01T00:00:01Z"))).toBe(true);
+    });
+
+    it("should reject issues closed again by hand after the tool's comment", () => {
+      expect(wasClosedByTool(closed, closerComment("2024-12-01T00:00:00Z"))).toBe(false);
+      expect(wasClosedByTool(closed, null)).toBe(false);
+    });
+  });
+
+  describe("reopenIssue", () => {
+    it("should reopen the issue and explain why", async () => {
+      await reopenIssue(mockOctokit, "owner", "repo", 1, "Reopened");
+
+      expect(mockOctokit.rest.issues.update).toHaveBeenCalledWith({
+        owner: "owner",
+        repo: "repo",
+        issue_number: 1,
+        state: "open",
+      });
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(
+        expect.objectContaining({ body: "Reopened" })
+      );
+    });
+  });
+
+  describe("reconcileRecursively", () => {
+    it("should reopen every ancestor of a reopened sub-issue", async () => {
+      setupTree();
+
+      const result = await reconcileRecursively(mockOctokit, "owner", "repo", 1, 0, false, false);
+
+      expect(result).toEqual({ processed: 3, reopened: 2 });
+      expect(mockOctokit.rest.issues.update).toHaveBeenCalledWith(
+        expect.objectContaining({ issue_number: 2, state: "open" })
+      );
+      expect(mockOctokit.rest.issues.update).toHaveBeenCalledWith(
+        expect.objectContaining({ issue_number: 1, state: "open" })
+      );
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(
+        expect.objectContaining({
+          issue_number: 2,
+          body: expect.stringContaining("some of its sub-issues are open again\n\n- owner/repo#3"),
+        })
+      );
+    });
+
+    it("should only preview reopening in dry-run", async () => {
+      setupTree();
+
+      const result = await reconcileRecursively(mockOctokit, "owner", "repo", 1, 0, true, false);
+
+      expect(result.reopened).toBe(2);
+      expect(mockOctokit.rest.issues.update).not.toHaveBeenCalled();
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining("(would be reopened)"));
+    });
+
+    it("should leave parents closed by hand alone", async () => {
+      setupTree({ comments: { 2: [] } });
+
+      const result = await reconcileRecursively(mockOctokit, "owner", "repo", 1, 0, true, true);
+
+      // #2 stays closed, so #1 has no open sub-issues
+      expect(result.reopened).toBe(0);
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        expect.stringContaining(
+          "Keeping closed (has open sub-issues, but was not closed by this tool)"
+        )
+      );
+    });
+
+    it("should never reopen protected issues", async () => {
+      setupTree({ labels: [{ name: "frozen" }] });
+
+      const result = await reconcileRecursively(mockOctokit, "owner", "repo", 1, 0, true, false, {
+        protectLabels: ["frozen"],
+      });
+
+      expect(result.reopened).toBe(0);
+    });
+
+    it("should walk sibling sub-trees in parallel and print them in order", async () => {
+      const closedAt = "2025-01-01T00:00:00Z";
+      const issues = {
+        1: issue(1, "closed", { total: 2, closed_at: closedAt }),
+        2: issue(2, "open"),
+        3: issue(3, "open"),
+      };
+      const inFlight = new Set();
+      let overlapped = false;
+      mockOctokit.rest.issues.get.mockImplementation(async ({ issue_number }) => {
+        inFlight.add(issue_number);
+        overlapped ||= inFlight.has(2) && inFlight.has(3);
+        // The first sibling finishes last
+        await new Promise((resolve) => setTimeout(resolve, issue_number === 2 ? 20 : 0));
+        inFlight.delete(issue_number);
+        return issues[issue_number];
+      });
+      mockOctokit.rest.issues.listSubIssues.mockImplementation(async ({ issue_number }) => ({
+        data: issue_number === 1 ? [ref(2, "open"), ref(3, "open")] : [],
+      }));
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [closerComment("2025-01-01T00:00:02Z")],
+      });
+
+      const result = await reconcileRecursively(mockOctokit, "owner", "repo", 1, 0, true, true, {
+        concurrency: 4,
+      });
+
+      expect(result).toEqual({ processed: 3, reopened: 1 });
+      expect(overlapped).toBe(true);
+      const lines = consoleLogSpy.mock.calls.map(([line]) => line);
+      const second = lines.findIndex((line) => line.includes("owner/repo#2"));
+      const third = lines.findIndex((line) => line.includes("owner/repo#3"));
+      expect(second).toBeGreaterThan(-1);
+      expect(second).toBeLessThan(third);
+    });
+
+    it("should reopen silently without comments", async () => {
+      setupTree();
+
+      await reconcileRecursively(mockOctokit, "owner", "repo", 1, 0, false, false, {
+        comment: false,
+      });
+
+      expect(mockOctokit.rest.issues.update).toHaveBeenCalledTimes(2);
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+    });
+  });
+});
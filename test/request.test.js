@@ -0,0 +1,275 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import {
+  withRetries,
+  getRetryDelay,
+  isRateLimitError,
+  isRetryableError,
+  formatRateLimit,
+} from "../lib/request.js";
+
+const httpError = (status, headers = {}, message = "Request failed") =>
+  Object.assign(new Error(message), { status, response: { headers } });
+
+describe("request.js", () => {
+  let mockOctokit;
+  let sleep;
+  let warn;
+
+  beforeEach(() => {
+    sleep = vi.fn().mockResolvedValue();
+    warn = vi.fn();
+    mockOctokit = {
+      rest: {
+        issues: {
+          get: vi.fn(),
+          update: vi.fn(),
+          create: vi.fn(),
+          createComment: vi.fn(),
+          listComments: vi.fn(),
+          getComment: vi.fn(),
+          deleteComment: vi.fn(),
+          addSubIssue: vi.fn(),
+          listSubIssues: vi.fn(),
+          lock: vi.fn(),
+        },
+      },
+      graphql: vi.fn(),
+    };
+  });
+
+  const wrap = (options = {}) => withRetries(mockOctokit, { sleep, warn, ...options });
+
+  describe("error classification", () => {
+    it("should recognise primary and secondary rate limits", () => {
+      expect(isRateLimitError(httpError(403, { "x-ratelimit-remaining": "0" }))).toBe(true);
+      expect(isRateLimitError(httpError(403, {}, "You have exceeded a secondary rate limit"))).toBe(
+        true
+      );
+      expect(isRateLimitError(httpError(429))).toBe(true);
+      expect(isRateLimitError({ errors: [{ type: "RATE_LIMITED" }] })).toBe(true);
+      expect(isRateLimitError(httpError(403, {}, "Resource not accessible"))).toBe(false);
+    });
+
+    it("should only retry rate limits and transient server errors", () => {
+      expect(isRetryableError(httpError(502))).toBe(true);
+      expect(isRetryableError(httpError(503))).toBe(true);
+      expect(isRetryableError(httpError(404))).toBe(false);
+      expect(isRetryableError(httpError(422))).toBe(false);
+    });
+
+    it("should not retry connection failures that will not fix themselves", () => {
+      const dnsFailure = Object.assign(new Error("getaddrinfo ENOTFOUND api.github.com"), {
+        status: 500,
+      });
+      const reset = Object.assign(new Error("read ECONNRESET"), { status: 500 });
+
+      expect(isRetryableError(dnsFailure)).toBe(false);
+      expect(isRetryableError(reset)).toBe(true);
+    });
+  });
+
+  describe("getRetryDelay", () => {
+    const options = { baseDelay: 1000, maxDelay: 8000, now: () => 1_000_000 };
+
+    it("should honour retry-after", () => {
+      expect(getRetryDelay(httpError(403, { "retry-after": "12" }), 0, options)).toBe(12000);
+    });
+
+    it("should wait until x-ratelimit-reset when the quota is exhausted", () => {
+      const error = httpError(403, { "x-ratelimit-remaining": "0", "x-ratelimit-reset": "1030" });
+
+      expect(getRetryDelay(error, 0, options)).toBe(31000);
+    });
+
+    it("should wait a minute for secondary rate limits without headers", () => {
+      expect(getRetryDelay(httpError(403, {}, "secondary rate limit"), 0, options)).toBe(60000);
+    });
+
+    it("should cap the waits asked for by GitHub's headers", () => {
+      const capped = { ...options, maxWait: 60000 };
+      const exhausted = httpError(403, {
+        "x-ratelimit-remaining": "0",
+        "x-ratelimit-reset": String(1_000 + 24 * 60 * 60),
+      });
+
+      expect(getRetryDelay(httpError(429, { "retry-after": "86400" }), 0, capped)).toBe(60000);
+      expect(getRetryDelay(exhausted, 0, capped)).toBe(60000);
+      expect(getRetryDelay(exhausted, 0, options)).toBe(15 * 60 * 1000);
+    });
+
+    it("should back off exponentially up to the maximum", () => {
+      expect(getRetryDelay(httpError(502), 0, options)).toBe(1000);
+      expect(getRetryDelay(httpError(502), 2, options)).toBe(4000);
+      expect(getRetryDelay(httpError(502), 5, options)).toBe(8000);
+    });
+  });
+
+  describe("withRetries", () => {
+    it("should retry transient errors on reads", async () => {
+      mockOctokit.rest.issues.get
+        .mockRejectedValueOnce(httpError(502))
+        .mockRejectedValueOnce(httpError(503))
+        .mockResolvedValueOnce({ data: { number: 1 } });
+
+      const { data } = await wrap().rest.issues.get({ owner: "o", repo: "r", issue_number: 1 });
+
+      expect(data.number).toBe(1);
+      expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([1000, 2000]);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining("issues.get HTTP 502"));
+    });
+
+    it("should give up after the configured number of retries", async () => {
+      mockOctokit.rest.issues.get.mockRejectedValue(httpError(500, {}, "Server Error"));
+
+      await expect(wrap({ retries: 2 }).rest.issues.get({})).rejects.toThrow("Server Error");
+      expect(mockOctokit.rest.issues.get).toHaveBeenCalledTimes(3);
+    });
+
+    it("should not retry errors that are real answers", async () => {
+      mockOctokit.rest.issues.get.mockRejectedValue(httpError(404, {}, "Not Found"));
+
+      await expect(wrap().rest.issues.get({})).rejects.toThrow("Not Found");
+      expect(mockOctokit.rest.issues.get).toHaveBeenCalledTimes(1);
+      expect(sleep).not.toHaveBeenCalled();
+    });
+
+    it("should retry idempotent writes", async () => {
+      mockOctokit.rest.issues.update
+        .mockRejectedValueOnce(httpError(403, { "retry-after": "3" }, "secondary rate limit"))
+        .mockResolvedValueOnce({ data: {} });
+
+      await wrap().rest.issues.update({ state: "closed" });
+
+      expect(mockOctokit.rest.issues.update).toHaveBeenCalledTimes(2);
+      expect(sleep).toHaveBeenCalledWith(3000);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining("rate limited"));
+    });
+
+    it("should never retry a create call that cannot be verified", async () => {
+      mockOctokit.rest.issues.create.mockRejectedValue(httpError(502));
+
+      await expect(wrap().rest.issues.create({ title: "x" })).rejects.toThrow();
+      expect(mockOctokit.rest.issues.create).toHaveBeenCalledTimes(1);
+    });
+
+    it("should only retry writes known to be idempotent", async () => {
+      mockOctokit.rest.issues.lock.mockRejectedValue(httpError(502));
+
+      await expect(wrap().rest.issues.lock({ issue_number: 1 })).rejects.toThrow();
+      expect(mockOctokit.rest.issues.lock).toHaveBeenCalledTimes(1);
+    });
+
+    it("should not repeat adding a sub-issue that landed despite the error", async () => {
+      const params = { owner: "o", repo: "r", issue_number: 1, sub_issue_id: 22 };
+      mockOctokit.rest.issues.addSubIssue.mockRejectedValue(httpError(502));
+      mockOctokit.rest.issues.listSubIssues.mockResolvedValue({ data: [{ id: 22 }] });
+
+      await wrap().rest.issues.addSubIssue(params);
+
+      expect(mockOctokit.rest.issues.addSubIssue).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.rest.issues.listSubIssues).toHaveBeenCalledWith(
+        expect.objectContaining({ owner: "o", repo: "r", issue_number: 1 })
+      );
+    });
+
+    it("should retry adding a sub-issue once it is verified not to have landed", async () => {
+      mockOctokit.rest.issues.addSubIssue
+        .mockRejectedValueOnce(httpError(502))
+        .mockResolvedValueOnce({ data: { id: 1 } });
+      mockOctokit.rest.issues.listSubIssues.mockResolvedValue({ data: [{ id: 23 }] });
+
+      await wrap().rest.issues.addSubIssue({ issue_number: 1, sub_issue_id: 22 });
+
+      expect(mockOctokit.rest.issues.addSubIssue).toHaveBeenCalledTimes(2);
+    });
+
+    it("should not repeat deleting a comment that is already gone", async () => {
+      mockOctokit.rest.issues.deleteComment.mockRejectedValue(httpError(502));
+      mockOctokit.rest.issues.getComment.mockRejectedValue(httpError(404, {}, "Not Found"));
+
+      await wrap().rest.issues.deleteComment({ owner: "o", repo: "r", comment_id: 42 });
+
+      expect(mockOctokit.rest.issues.deleteComment).toHaveBeenCalledTimes(1);
+    });
+
+    it("should not repeat a comment that landed despite the error", async () => {
+      const params = { owner: "o", repo: "r", issue_number: 1, body: "closing" };
+      mockOctokit.rest.issues.createComment.mockRejectedValue(httpError(502));
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [
+          { id: 1, body: "unrelated" },
+          { id: 2, body: "closing" },
+        ],
+      });
+
+      const { data } = await wrap().rest.issues.createComment(params);
+
+      expect(data.id).toBe(2);
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledTimes(1);
+    });
+
+    it("should retry a comment once it is verified not to have landed", async () => {
+      mockOctokit.rest.issues.createComment
+        .mockRejectedValueOnce(httpError(502))
+        .mockResolvedValueOnce({ data: { id: 3 } });
+      mockOctokit.rest.issues.listComments.mockResolvedValue({ data: [] });
+
+      const { data } = await wrap().rest.issues.createComment({ body: "closing" });
+
+      expect(data.id).toBe(3);
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledTimes(2);
+    });
+
+    it("should refuse to retry a comment when verification fails", async () => {
+      mockOctokit.rest.issues.createComment.mockRejectedValue(httpError(502, {}, "Bad Gateway"));
+      mockOctokit.rest.issues.listComments.mockRejectedValue(httpError(404));
+
+      await expect(wrap().rest.issues.createComment({ body: "closing" })).rejects.toThrow(
+        "Bad Gateway"
+      );
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledTimes(1);
+    });
+
+    it("should retry GraphQL queries", async () => {
+      mockOctokit.graphql
+        .mockRejectedValueOnce(httpError(502))
+        .mockResolvedValueOnce({ repository: null });
+
+      const data = await wrap().graphql("query { viewer { login } }", { owner: "o" });
+
+      expect(data).toEqual({ repository: null });
+      expect(mockOctokit.graphql).toHaveBeenLastCalledWith("query { viewer { login } }", {
+        owner: "o",
+      });
+    });
+
+    it("should track the remaining quota from response headers", async () => {
+      mockOctokit.rest.issues.get.mockResolvedValue({
+        data: {},
+        headers: {
+          "x-ratelimit-remaining": "4321",
+          "x-ratelimit-limit": "5000",
+          "x-ratelimit-reset": "1700000000",
+        },
+      });
+      const octokit = wrap();
+
+      await octokit.rest.issues.get({});
+
+      expect(octokit.rateLimit).toEqual({ remaining: 4321, limit: 5000, reset: 1700000000 });
+      expect(formatRateLimit(octokit.rateLimit)).toMatch(/^4321\/5000 \(resets at /);
+    });
+
+    it("should keep access to the rest of the Octokit instance", () => {
+      mockOctokit.paginate = vi.fn();
+
+      expect(wrap().paginate).toBe(mockOctokit.paginate);
+    });
+  });
+
+  describe("formatRateLimit", () => {
+    it("should return null before GitHub reports a quota", () => {
+      expect(formatRateLimit({ remaining: null, limit: null, reset: null })).toBeNull();
+    });
+  });
+});
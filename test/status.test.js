@@ -0,0 +1,157 @@
+import { describe, it, expect, vi } from "vitest";
+import { collectStatusTree, computeRollups, progressBar, renderStatus } from "../lib/status.js";
+
+/**
+ * Creates an octokit serving a fixed hierarchy of issues in owner "o", repo "r"
+ */
+const fakeOctokit = (issues, children) => ({
+  rest: {
+    issues: {
+      get: vi.fn(async ({ issue_number }) => {
+        if (!issues[issue_number]) {
+          throw new Error("Not Found");
+        }
+        return { data: issues[issue_number] };
+      }),
+      listSubIssues: vi.fn(async ({ issue_number }) => ({
+        data: (children[issue_number] || []).map((number) => ({
+          number,
+          repository_url: "https://api.github.com/repos/o/r",
+        })),
+      })),
+    },
+  },
+});
+
+const issue = (number, state, total = 0, completed = 0, extra = {}) => ({
+  number,
+  title: `Issue ${number}`,
+  state,
+  state_reason: state === "closed" ? "completed" : null,
+  sub_issues_summary: { total, completed, percent_completed: 0 },
+  assignees: [],
+  labels: [],
+  ...extra,
+});
+
+// Strips ANSI colors so lines can be compared as plain text
+const plain = (lines) => lines.map((line) => line.replace(/\x1b\[[0-9;]*m/g, ""));
+
+describe("status.js", () => {
+  // 1 ─┬─ 2 (closed) ─── 4 (closed)
+  //    ├─ 3 ─┬─ 5
+  //    │     └─ 4 (shared)
+  //    └─ 6 (unreadable)
+  const issues = {
+    1: issue(1, "open", 3, 1, { assignees: [{ login: "alice" }], labels: [{ name: "epic" }] }),
+    2: issue(2, "closed", 1, 1),
+    3: issue(3, "open", 2, 1),
+    4: issue(4, "closed"),
+    5: issue(5, "open"),
+  };
+  const children = { 1: [2, 3, 6], 2: [4], 3: [5, 4] };
+
+  describe("collectStatusTree", () => {
+    it("should read the whole hierarchy, closed sub-trees included", async () => {
+      const errors = [];
+      const tree = await collectStatusTree(fakeOctokit(issues, children), "o", "r", 1, 0, {
+        errors,
+      });
+
+      expect(tree).toMatchObject({
+        ref: "o/r#1",
+        assignees: ["alice"],
+        labels: ["epic"],
+        children: [
+          { ref: "o/r#2", state: "closed", children: [{ ref: "o/r#4", state: "closed" }] },
+          { ref: "o/r#3", children: [{ ref: "o/r#5" }, { ref: "o/r#4", duplicate: true }] },
+          { ref: "o/r#6", error: "Not Found" },
+        ],
+      });
+      expect(errors).toEqual([{ ref: "o/r#6", message: "Not Found" }]);
+    });
+
+    it("should not read below closed issues unless asked to", async () => {
+      const octokit = fakeOctokit(issues, children);
+      const tree = await collectStatusTree(octokit, "o", "r", 1, 0, { walkClosed: false });
+
+      expect(tree.children[0]).toMatchObject({ ref: "o/r#2", state: "closed", children: [] });
+      expect(octokit.rest.issues.listSubIssues).not.toHaveBeenCalledWith(
+        expect.objectContaining({ issue_number: 2 })
+      );
+    });
+
+    it("should stop at --max-depth", async () => {
+      const octokit = fakeOctokit(issues, children);
+      const tree = await collectStatusTree(octokit, "o", "r", 1, 0, { maxDepth: 0 });
+
+      expect(tree.truncated).toBe(true);
+      expect(tree.children).toEqual([]);
+      expect(octokit.rest.issues.listSubIssues).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("computeRollups", () => {
+    it("should count every descendant once, at any depth", async () => {
+      const tree = computeRollups(
+        await collectStatusTree(fakeOctokit(issues, children), "o", "r", 1)
+      );
+
+      // 2, 3, 4, 5 and the unreadable 6; 2 and 4 are closed
+      expect(tree.rollup).toEqual({ completed: 2, total: 5, percent: 40 });
+      expect(tree.children[1].rollup).toEqual({ completed: 1, total: 2, percent: 50 });
+      expect(tree.children[1].children[0].rollup).toEqual({
+        completed: 0,
+        total: 0,
+        percent: null,
+      });
+    });
+
+    it("should fall back to GitHub's summary below the depth limit", async () => {
+      const tree = computeRollups(
+        await collectStatusTree(fakeOctokit(issues, children), "o", "r", 1, 0, { maxDepth: 1 })
+      );
+
+      // 2, 3, 6 plus the summaries of 2 (1/1) and 3 (1/2)
+      expect(tree.rollup).toEqual({ completed: 3, total: 6, percent: 50 });
+    });
+  });
+
+  describe("progressBar", () => {
+    it("should fill the bar in proportion", () => {
+      expect(progressBar(0)).toBe("░░░░░░░░░░");
+      expect(progressBar(40)).toBe("████░░░░░░");
+      expect(progressBar(100, 4)).toBe("████");
+    });
+  });
+
+  describe("renderStatus", () => {
+    const load = async () =>
+      computeRollups(await collectStatusTree(fakeOctokit(issues, children), "o", "r", 1));
+
+    it("should print each issue with its rollup, assignees and labels", async () => {
+      expect(plain(renderStatus(await load()))).toEqual([
+        "ʘ o/r#1 Issue 1  ████░░░░░░ 40% 2/5 (direct 1/3)  @alice  [epic]",
+        "  ⊘ o/r#2 Issue 2  ██████████ 100% 1/1 (direct 1/1)",
+        "    ⊘ o/r#4 Issue 4",
+        "  ʘ o/r#3 Issue 3  █████░░░░░ 50% 1/2 (direct 1/2)",
+        "    ʘ o/r#5 Issue 5",
+        "    · o/r#4 - shown above",
+        "  ⚠️  o/r#6 - Not Found",
+      ]);
+    });
+
+    it("should sort siblings and collapse closed branches", async () => {
+      const lines = plain(renderStatus(await load(), { sort: "progress", collapseClosed: true }));
+
+      expect(lines.slice(1)).toEqual([
+        "  ⚠️  o/r#6 - Not Found",
+        "  ʘ o/r#3 Issue 3  █████░░░░░ 50% 1/2 (direct 1/2)",
+        "    ʘ o/r#5 Issue 5",
+        "    · o/r#4 - shown above",
+        "  ⊘ o/r#2 Issue 2  ██████████ 100% 1/1 (direct 1/1)",
+        "    · 1 sub-issue(s) hidden",
+      ]);
+    });
+  });
+});
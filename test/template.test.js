@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  DEFAULT_COMMENT_TEMPLATE,
+  getRunUrl,
+  loadCommentTemplate,
+  renderTemplate,
+  validateTemplate,
+} from "../lib/template.js";
+
+describe("template.js", () => {
+  describe("loadCommentTemplate", () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = mkdtempSync(join(tmpdir(), "sub-issue-closer-"));
+    });
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should read the template from a file", () => {
+      const file = join(dir, "comment.md");
+      writeFileSync(file, "Closed {{issue}}");
+
+      expect(loadCommentTemplate(file)).toBe("Closed {{issue}}");
+    });
+
+    it("should use the value itself when it is not a file", () => {
+      expect(loadCommentTemplate("Closed {{issue}}")).toBe("Closed {{issue}}");
+      expect(loadCommentTemplate("Done, see https://example.com/x")).toBe(
+        "Done, see https://example.com/x"
+      );
+      expect(loadCommentTemplate("{{reason}}")).toBe("{{reason}}");
+    });
+
+    it("should refuse values that look like a path but name no file", () => {
+      expect(() => loadCommentTemplate("templates/clsoe.md")).toThrow(
+        "Comment template file not found: templates/clsoe.md"
+      );
+      expect(() => loadCommentTemplate("close.txt")).toThrow("Comment template file not found");
+      expect(() => loadCommentTemplate(dir)).toThrow("Comment template file not found");
+    });
+  });
+
+  describe("validateTemplate", () => {
+    it("should accept the default template and every known placeholder", () => {
+      expect(validateTemplate(DEFAULT_COMMENT_TEMPLATE)).toEqual([]);
+      expect(
+        validateTemplate(
+          "{{issue}} {{title}} {{parent}} {{reason}} {{ completed }}/{{total}} {{children}} {{run_url}}"
+        )
+      ).toEqual([]);
+    });
+
+    it("should report unknown placeholders", () => {
+      const problems = validateTemplate("Closed {{isue}}");
+
+      expect(problems).toHaveLength(1);
+      expect(problems[0]).toContain("Unknown placeholder {{isue}}");
+    });
+
+    it("should report unbalanced braces", () => {
+      expect(validateTemplate("Closed {{issue}")).toEqual(["Unbalanced {{ }} in comment template"]);
+    });
+  });
+
+  describe("renderTemplate", () => {
+    it("should fill in placeholders and leave missing values empty", () => {
+      expect(
+        renderTemplate("{{issue}} ({{ completed }}/{{total}}) {{run_url}}", {
+          issue: "owner/repo#1",
+          completed: 3,
+          total: 3,
+        })
+      ).toBe("owner/repo#1 (3/3) ");
+    });
+  });
+
+  describe("getRunUrl", () => {
+    it("should build the Actions run URL", () => {
+      expect(
+        getRunUrl({
+          GITHUB_SERVER_URL: "https://github.example.com",
+          GITHUB_REPOSITORY: "owner/repo",
+          GITHUB_RUN_ID: "42",
+        })
+      ).toBe("https://github.example.com/owner/repo/actions/runs/42");
+    });
+
+    it("should be empty outside GitHub Actions", () => {
+      expect(getRunUrl({})).toBe("");
+    });
+  });
+});
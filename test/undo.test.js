@@ -0,0 +1,375 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { defaultUndoFile, openUndoLog, pairComments, readUndoLog, rollback } from "../lib/undo.js";
+import { closeIssue, processIssueRecursively } from "../lib/core.js";
+import { reopenIssue } from "../lib/reconcile.js";
+
+const readEntries = (file) =>
+  readFileSync(file, "utf8")
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line));
+
+describe("undo.js", () => {
+  let dir;
+  let file;
+  let consoleLogSpy;
+  let consoleWarnSpy;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), "sub-issue-closer-"));
+    file = join(dir, "undo.ndjson");
+    consoleLogSpy = vi.spyOn(console, "log").mockImplementation(() => {});
+    consoleWarnSpy = vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+    consoleLogSpy.mockRestore();
+    consoleWarnSpy.mockRestore();
+  });
+
+  describe("defaultUndoFile", () => {
+    it("should name the journal after the start of the run", () => {
+      expect(defaultUndoFile(new Date("2025-01-02T03:04:05.678Z"))).toBe(
+        "undo-2025-01-02T03-04-05.ndjson"
+      );
+    });
+  });
+
+  describe("openUndoLog", () => {
+    it("should only create the journal once something changes", () => {
+      const undo = openUndoLog(file, { command: "close", root: "o/r#1" });
+
+      expect(existsSync(file)).toBe(false);
+
+      undo.record({ type: "closed", ref: "o/r#2" });
+
+      expect(undo.count()).toBe(1);
+      expect(readEntries(file)).toEqual([
+        expect.objectContaining({ type: "run", command: "close", root: "o/r#1" }),
+        expect.objectContaining({ type: "closed", ref: "o/r#2", at: expect.any(String) }),
+      ]);
+    });
+  });
+
+  describe("readUndoLog", () => {
+    it("should return the recorded changes without run headers or truncated lines", () => {
+      writeFileSync(
+        file,
+        '{"type":"run","command":"close"}\n{"type":"closed","ref":"o/r#2"}\n{"type":"clo'
+      );
+
+      expect(readUndoLog(file)).toEqual([{ type: "closed", ref: "o/r#2" }]);
+    });
+
+    it("should fail on a missing journal", () => {
+      expect(() => readUndoLog(join(dir, "missing.ndjson"))).toThrow("Undo journal not found");
+    });
+  });
+
+  describe("recording live runs", () => {
+    it("should return the id of the closing comment", async () => {
+      const octokit = {
+        rest: {
+          issues: {
+            update: vi.fn().mockResolvedValue({}),
+            createComment: vi.fn().mockResolvedValue({ data: { id: 77 } }),
+          },
+        },
+      };
+
+      expect(await closeIssue(octokit, "o", "r", 1, "Done")).toEqual({ comment_id: 77 });
+      expect(await closeIssue(octokit, "o", "r", 1, "Done", { body: null })).toEqual({
+        comment_id: null,
+      });
+    });
+
+    it("should journal every close with the previous state and comment id", async () => {
+      const octokit = {
+        rest: {
+          issues: {
+            get: vi
+              .fn()
+              .mockResolvedValueOnce({
+                data: {
+                  number: 1,
+                  title: "Epic",
+                  state: "open",
+                  state_reason: "reopened",
+                  sub_issues_summary: { total: 1, completed: 1, percent_completed: 100 },
+                },
+              })
+              .mockResolvedValueOnce({ data: { number: 2, title: "Task", state: "closed" } }),
+            listSubIssues: vi.fn().mockResolvedValue({
+              data: [{ number: 2, repository_url: "https://api.github.com/repos/o/r" }],
+            }),
+            update: vi.fn().mockResolvedValue({}),
+            createComment: vi.fn().mockResolvedValue({ data: { id: 42 } }),
+          },
+        },
+      };
+      const undo = openUndoLog(file, { command: "close", root: "o/r#1" });
+
+      await processIssueRecursively(octokit, "o", "r", 1, 0, false, false, { undo });
+
+      expect(readUndoLog(file)).toEqual([
+        {
+          type: "closed",
+          ref: "o/r#1",
+          owner: "o",
+          repo: "r",
+          issue_number: 1,
+          previous_state: "open",
+          previous_state_reason: "reopened",
+          state_reason: "completed",
+          at: expect.any(String),
+        },
+        {
+          type: "comment",
+          ref: "o/r#1",
+          owner: "o",
+          repo: "r",
+          issue_number: 1,
+          comment_id: 42,
+          at: expect.any(String),
+        },
+      ]);
+    });
+
+    it("should journal a close whose comment could not be posted", async () => {
+      const octokit = {
+        rest: {
+          issues: {
+            update: vi.fn().mockResolvedValue({}),
+            createComment: vi.fn().mockRejectedValue(new Error("Server Error")),
+          },
+        },
+      };
+      const undo = openUndoLog(file, { command: "close", root: "o/r#1" });
+
+      await expect(
+        closeIssue(octokit, "o", "r", 1, "Done", { undo, previous: { state: "open" } })
+      ).rejects.toThrow("Server Error");
+
+      expect(pairComments(readUndoLog(file))).toEqual([
+        expect.objectContaining({ type: "closed", ref: "o/r#1", comment_id: null }),
+      ]);
+    });
+
+    it("should journal issues reopened by reconcile", async () => {
+      const octokit = {
+        rest: {
+          issues: {
+            update: vi.fn().mockResolvedValue({}),
+            createComment: vi.fn().mockResolvedValue({ data: { id: 43 } }),
+          },
+        },
+      };
+      const undo = openUndoLog(file, { command: "reconcile", root: "o/r#1" });
+
+      await reopenIssue(octokit, "o", "r", 1, "Reopened", {
+        undo,
+        previous: { state: "closed", state_reason: "completed" },
+      });
+
+      expect(pairComments(readUndoLog(file))).toEqual([
+        expect.objectContaining({
+          type: "reopened",
+          ref: "o/r#1",
+          previous_state: "closed",
+          previous_state_reason: "completed",
+          comment_id: 43,
+        }),
+      ]);
+    });
+  });
+
+  describe("pairComments", () => {
+    it("should attach each comment to the latest change of its issue", () => {
+      expect(
+        pairComments([
+          { type: "closed", ref: "o/r#2" },
+          { type: "comment", ref: "o/r#2", comment_id: 7 },
+          { type: "closed", ref: "o/r#1" },
+        ])
+      ).toEqual([
+        { type: "closed", ref: "o/r#2", comment_id: 7 },
+        { type: "closed", ref: "o/r#1", comment_id: null },
+      ]);
+    });
+  });
+
+  describe("rollback", () => {
+    const closed = {
+      type: "closed",
+      ref: "o/r#1",
+      owner: "o",
+      repo: "r",
+      issue_number: 1,
+      previous_state: "open",
+      previous_state_reason: null,
+      state_reason: "completed",
+      comment_id: 42,
+    };
+    const followUp = {
+      type: "follow-up",
+      ref: "o/r#1",
+      owner: "o",
+      repo: "r",
+      issue_number: 1,
+      follow_up: "o/r#9",
+      follow_up_number: 9,
+    };
+    const moved = {
+      type: "moved",
+      ref: "o/r#3",
+      owner: "o",
+      repo: "r",
+      issue_number: 1,
+      follow_up: "o/r#9",
+      follow_up_number: 9,
+      sub_issue_id: 303,
+    };
+
+    const createOctokit = (state = "closed") => ({
+      rest: {
+        issues: {
+          get: vi.fn().mockResolvedValue({ data: { number: 1, title: "Epic", state } }),
+          update: vi.fn().mockResolvedValue({}),
+          deleteComment: vi.fn().mockResolvedValue({}),
+          updateComment: vi.fn().mockResolvedValue({}),
+          removeSubIssue: vi.fn().mockResolvedValue({}),
+          addSubIssue: vi.fn().mockResolvedValue({}),
+        },
+      },
+    });
+
+    it("should reopen closed issues and delete their closing comments", async () => {
+      const octokit = createOctokit();
+
+      const result = await rollback(octokit, [closed], { log: () => {} });
+
+      expect(result).toEqual({ reopened: 1, reclosed: 0, restored: 0, errors: [] });
+      expect(octokit.rest.issues.update).toHaveBeenCalledWith({
+        owner: "o",
+        repo: "r",
+        issue_number: 1,
+        state: "open",
+      });
+      expect(octokit.rest.issues.deleteComment).toHaveBeenCalledWith({
+        owner: "o",
+        repo: "r",
+        comment_id: 42,
+      });
+    });
+
+    it("should edit the closing comments when asked to", async () => {
+      const octokit = createOctokit();
+
+      await rollback(octokit, [closed], { editComments: true, log: () => {} });
+
+      expect(octokit.rest.issues.deleteComment).not.toHaveBeenCalled();
+      expect(octokit.rest.issues.updateComment).toHaveBeenCalledWith({
+        owner: "o",
+        repo: "r",
+        comment_id: 42,
+        body: "🤖 This issue was closed by mistake and has been reopened.",
+      });
+    });
+
+    it("should leave issues that were reopened since alone", async () => {
+      const octokit = createOctokit("open");
+
+      const result = await rollback(octokit, [closed], { log: () => {} });
+
+      expect(result.reopened).toBe(0);
+      expect(octokit.rest.issues.update).not.toHaveBeenCalled();
+      expect(octokit.rest.issues.deleteComment).not.toHaveBeenCalled();
+    });
+
+    it("should move back each journaled sub-issue before closing the follow-up issue", async () => {
+      const octokit = createOctokit();
+
+      const result = await rollback(octokit, [followUp, moved, closed], { log: () => {} });
+
+      expect(result).toEqual({ reopened: 1, reclosed: 0, restored: 1, errors: [] });
+      expect(octokit.rest.issues.removeSubIssue).toHaveBeenCalledWith({
+        owner: "o",
+        repo: "r",
+        issue_number: 9,
+        sub_issue_id: 303,
+      });
+      expect(octokit.rest.issues.addSubIssue).toHaveBeenCalledWith({
+        owner: "o",
+        repo: "r",
+        issue_number: 1,
+        sub_issue_id: 303,
+      });
+      // The parent is reopened first, and the follow-up issue only closed once it is empty
+      expect(octokit.rest.issues.update.mock.calls.map(([args]) => args)).toEqual([
+        { owner: "o", repo: "r", issue_number: 1, state: "open" },
+        { owner: "o", repo: "r", issue_number: 9, state: "closed", state_reason: "not_planned" },
+      ]);
+      expect(octokit.rest.issues.removeSubIssue.mock.invocationCallOrder[0]).toBeLessThan(
+        octokit.rest.issues.update.mock.invocationCallOrder[1]
+      );
+    });
+
+    it("should only report in dry-run", async () => {
+      const octokit = createOctokit();
+      const lines = [];
+
+      const result = await rollback(octokit, [followUp, moved, closed], {
+        dryRun: true,
+        log: (line) => lines.push(line),
+      });
+
+      expect(result).toEqual({ reopened: 1, reclosed: 0, restored: 1, errors: [] });
+      expect(octokit.rest.issues.update).not.toHaveBeenCalled();
+      expect(octokit.rest.issues.deleteComment).not.toHaveBeenCalled();
+      expect(octokit.rest.issues.removeSubIssue).not.toHaveBeenCalled();
+      expect(lines.join("\n")).toContain("would be reopened");
+    });
+
+    it("should close issues reopened by reconcile again, with their previous reason", async () => {
+      const octokit = createOctokit("open");
+      const reopenedEntry = {
+        ...closed,
+        type: "reopened",
+        previous_state: "closed",
+        previous_state_reason: "not_planned",
+      };
+
+      const result = await rollback(octokit, [reopenedEntry], { log: () => {} });
+
+      expect(result).toEqual({ reopened: 0, reclosed: 1, restored: 0, errors: [] });
+      expect(octokit.rest.issues.update).toHaveBeenCalledWith({
+        owner: "o",
+        repo: "r",
+        issue_number: 1,
+        state: "closed",
+        state_reason: "not_planned",
+      });
+      expect(octokit.rest.issues.deleteComment).toHaveBeenCalledWith({
+        owner: "o",
+        repo: "r",
+        comment_id: 42,
+      });
+    });
+
+    it("should collect errors and carry on", async () => {
+      const octokit = createOctokit();
+      octokit.rest.issues.get.mockRejectedValueOnce(new Error("Not Found"));
+
+      const result = await rollback(octokit, [closed, { ...closed, ref: "o/r#2" }], {
+        log: () => {},
+      });
+
+      expect(result.errors).toEqual([{ ref: "o/r#2", message: "Not Found" }]);
+      expect(result.reopened).toBe(1);
+    });
+  });
+});